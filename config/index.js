@@ -26,7 +26,17 @@ const config = {
             silent: false,
             level: process.env.LOGLEVEL || 'debug'
         },
+        retention: {
+            // The personal data of the applicants is removed this amount of days after the event ends.
+            days: parseInt(process.env.RETENTION_DAYS, 10) || 180,
+            // If set, only the report of what would be removed is logged, nothing is changed.
+            dry_run: process.env.RETENTION_DRY_RUN !== 'false',
+            // When the job is run, in the cron format.
+            schedule: '0 3 * * *'
+        },
         host: process.env.HOST || 'localhost',
+        // Where the participants limits increase requests are sent to be reviewed.
+        cd_email: process.env.CD_EMAIL || 'cd@aegee.eu',
         bugsnagKey: process.env.BUGSNAG_KEY || '',
         images_dir: '/usr/app/media'
     },
@@ -43,6 +53,10 @@ const config = {
             silent: (typeof process.env.ENABLE_LOGGING !== 'undefined') ? (!process.env.ENABLE_LOGGING) : true
         },
         bugsnagKey: 'CHANGEME',
+        retention: {
+            // Not scheduling it automatically, the tests are running it themselves.
+            schedule: false
+        },
         images_dir: './tmp_upload'
     }
 };
@@ -1,23 +1,45 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
 const crypto = require('crypto');
-const xlsx = require('node-xlsx').default;
 
 const errors = require('./errors');
 const core = require('./core');
 const mailer = require('./mailer');
-const { Application, VotesPerAntenna, PaxLimit } = require('../models');
+const notifications = require('./notifications');
+const logger = require('./logger');
+const {
+    Application,
+    VotesPerAntenna,
+    PaxLimit,
+    Image,
+    ApplicationChange,
+    ApplicationDraft
+} = require('../models');
 const constants = require('./constants');
 const helpers = require('./helpers');
-const { sequelize } = require('./sequelize');
+const filters = require('./filters');
+const exporter = require('./export');
+const { Sequelize, sequelize } = require('./sequelize');
 
-exports.listAllApplications = async (req, res) => {
-    if (!req.permissions.see_applications) {
-        return errors.makeForbiddenError(res, 'You are not allowed to see applications.');
+// Filtering, sorting and paginating the applications list. Only the fields displayed
+// in the list can be used for that (or all of them, if the list has all the fields).
+const listApplications = async (req, res, { where, attributes }) => {
+    const allowedFields = attributes || Object.keys(Application.rawAttributes);
+
+    let filter;
+    let order;
+    try {
+        filter = filters.parseFilter(Application, req.query.filter, allowedFields);
+        order = filters.parseSort(Application, req.query.sort, allowedFields);
+    } catch (err) {
+        return errors.makeBadRequestError(res, err.message);
     }
 
     const applications = await Application.findWithParams({
-        where: { event_id: req.event.id },
-        query: req.query
+        where,
+        attributes,
+        query: req.query,
+        filter,
+        order
     });
 
     return res.json({
@@ -29,23 +51,24 @@ exports.listAllApplications = async (req, res) => {
     });
 };
 
+exports.listAllApplications = async (req, res) => {
+    if (!req.permissions.see_applications) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see applications.');
+    }
+
+    return listApplications(req, res, {
+        where: { event_id: req.event.id }
+    });
+};
+
 exports.listIncomingApplications = async (req, res) => {
     if (!req.permissions.see_applications_incoming) {
         return errors.makeForbiddenError(res, 'You are not allowed to see applications.');
     }
 
-    const applications = await Application.findWithParams({
+    return listApplications(req, res, {
         where: { event_id: req.event.id, cancelled: false, status: 'accepted' },
-        attributes: constants.ALLOWED_INCOMING_FIELDS,
-        query: req.query
-    });
-
-    return res.json({
-        success: true,
-        data: applications.rows,
-        meta: {
-            count: applications.count
-        }
+        attributes: constants.ALLOWED_INCOMING_FIELDS
     });
 };
 
@@ -75,18 +98,9 @@ exports.listJCApplications = async (req, res) => {
         return errors.makeForbiddenError(res, 'You are not allowed to see applications.');
     }
 
-    const applications = await Application.findWithParams({
+    return listApplications(req, res, {
         where: { event_id: req.event.id, cancelled: false, status: 'accepted', confirmed: true },
-        attributes: constants.ALLOWED_JURIDICAL_LIST_FIELDS,
-        query: req.query
-    });
-
-    return res.json({
-        success: true,
-        data: applications.rows,
-        meta: {
-            count: applications.count
-        }
+        attributes: constants.ALLOWED_JURIDICAL_LIST_FIELDS
     });
 };
 
@@ -95,18 +109,9 @@ exports.listNetworkApplications = async (req, res) => {
         return errors.makeForbiddenError(res, 'You are not allowed to see applications.');
     }
 
-    const applications = await Application.findWithParams({
+    return listApplications(req, res, {
         where: { event_id: req.event.id, cancelled: false },
-        attributes: constants.ALLOWED_NETWORK_LIST_FIELDS,
-        query: req.query
-    });
-
-    return res.json({
-        success: true,
-        data: applications.rows,
-        meta: {
-            count: applications.count
-        }
+        attributes: constants.ALLOWED_NETWORK_LIST_FIELDS
     });
 };
 
@@ -137,8 +142,9 @@ exports.getStats = async (req, res) => {
     // Filtering out cancelled applications.
     const notCancelledApplications = applications.filter(app => !app.cancelled);
 
-    // By date
-    const dates = notCancelledApplications.map(app => moment(app.created_at).format('YYYY-MM-DD'))
+    // By date, in the event's timezone.
+    const formatDate = date => moment.tz(date, req.event.timezone).format('YYYY-MM-DD');
+    const dates = notCancelledApplications.map(app => formatDate(app.created_at))
         .filter((elt, index, array) => array.indexOf(elt) === index)
         .sort();
     const startDate = dates[0];
@@ -149,7 +155,7 @@ exports.getStats = async (req, res) => {
     for (let date = moment(startDate, 'YYYY-MM-DD'); date.isSameOrBefore(moment(endDate, 'YYYY-MM-DD')); date = date.add(1, 'day')) {
         const dateFormatted = moment(date).format('YYYY-MM-DD');
         const applicationsAmount = notCancelledApplications
-            .filter(elt => moment(elt.created_at).format('YYYY-MM-DD') === dateFormatted)
+            .filter(elt => formatDate(elt.created_at) === dateFormatted)
             .length;
 
         cumulativeSum += applicationsAmount;
@@ -213,6 +219,31 @@ exports.listBoardView = async (req, res) => {
     });
 };
 
+exports.listBoardViewHistory = async (req, res) => {
+    if (Number.isNaN(parseInt(req.params.body_id, 10))) {
+        return errors.makeBadRequestError(res, 'Body ID should be a number.');
+    }
+
+    if (!req.permissions.see_boardview.global && !req.permissions.see_boardview[req.params.body_id]) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see the history of this body.');
+    }
+
+    // Only the changes done while the application was in this body are displayed.
+    const changes = await ApplicationChange.findAll({
+        where: { event_id: req.event.id, body_id: parseInt(req.params.body_id, 10) },
+        include: [{
+            model: Application,
+            attributes: ['id', 'user_id', 'first_name', 'last_name', 'statutory_id']
+        }],
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    return res.json({
+        success: true,
+        data: changes
+    });
+};
+
 exports.getApplication = async (req, res) => {
     if (!req.permissions.see_application) {
         return errors.makeForbiddenError(res, 'You are not allowed to see this application.');
@@ -227,6 +258,22 @@ exports.getApplication = async (req, res) => {
     });
 };
 
+exports.getApplicationHistory = async (req, res) => {
+    if (!req.permissions.see_application_history) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see the history of this application.');
+    }
+
+    const changes = await ApplicationChange.findAll({
+        where: { application_id: req.application.id },
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    return res.json({
+        success: true,
+        data: changes
+    });
+};
+
 exports.updateApplication = async (req, res) => {
     if (!req.permissions.edit_application) {
         return errors.makeForbiddenError(res, 'You cannot edit this application.');
@@ -246,6 +293,9 @@ exports.updateApplication = async (req, res) => {
     delete req.body.departed;
     delete req.body.cancelled;
     delete req.body.confirmed;
+    delete req.body.visa_letter_issued_at;
+    delete req.body.badge_printed_at;
+    delete req.body.created_by;
     delete req.body.user_id;
 
     // Some fields are filled in from the user/body automatically.
@@ -272,7 +322,7 @@ exports.updateApplication = async (req, res) => {
 
     await sequelize.transaction(async (t) => {
         // Updating application in a transaction, so if mail sending fails, the update would be reverted.
-        await req.application.update(req.body, { transaction: t });
+        await req.application.update(req.body, { transaction: t, user: req.user });
 
         // Sending the mail to a user.
         await mailer.sendMail({
@@ -317,6 +367,91 @@ exports.updateApplication = async (req, res) => {
     });
 };
 
+// Checking if the body of this application has a free place for its participant type.
+const hasFreePlace = async (req, application, transaction) => {
+    if (!application.participant_type) {
+        return true;
+    }
+
+    const body = await core.getBody(req, application.body_id);
+    const limit = await PaxLimit.fetchOrUseDefaultForBody(body, req.event.type, transaction);
+    const maxParticipants = limit[application.participant_type];
+
+    // null means there's no limit.
+    if (maxParticipants === null) {
+        return true;
+    }
+
+    const acceptedCount = await Application.count({
+        where: {
+            event_id: req.event.id,
+            body_id: application.body_id,
+            participant_type: application.participant_type,
+            status: 'accepted',
+            cancelled: false
+        },
+        transaction
+    });
+
+    return acceptedCount < maxParticipants;
+};
+
+// Accepting the next application from the waiting list after an accepted one was
+// cancelled or rejected, if it's enabled for this event. The applications from the same body
+// with the same participant type go first, then all the others, both by the creation date.
+// The ones that won't fit into the participants limits of their bodies are skipped.
+const promoteFromWaitingList = async (req, freedApplication, oldValues) => {
+    if (!req.event.auto_promote_waiting_list) {
+        return;
+    }
+
+    const wasActive = oldValues.status === 'accepted' && !oldValues.cancelled;
+    const isActive = freedApplication.status === 'accepted' && !freedApplication.cancelled;
+    if (!wasActive || isActive) {
+        return;
+    }
+
+    try {
+        await sequelize.transaction(async (t) => {
+            const waitingList = await Application.findAll({
+                where: {
+                    event_id: req.event.id,
+                    status: 'waiting_list',
+                    cancelled: false
+                },
+                order: [['created_at', 'ASC'], ['id', 'ASC']],
+                transaction: t
+            });
+
+            const isSameSlot = application => application.body_id === freedApplication.body_id
+                && application.participant_type === freedApplication.participant_type;
+            const candidates = waitingList.filter(isSameSlot).concat(waitingList.filter(a => !isSameSlot(a)));
+
+            for (const candidate of candidates) {
+                if (await hasFreePlace(req, candidate, t)) {
+                    // Updating in a transaction, so if mail sending fails, the promotion would be reverted.
+                    await candidate.update({ status: 'accepted' }, { transaction: t });
+                    await VotesPerAntenna.recalculateVotesForDelegates(req.event, candidate.body_id, t);
+
+                    await mailer.sendMail({
+                        to: candidate.email,
+                        subject: `Your application for ${req.event.name} was accepted`,
+                        template: 'statutory_promoted_from_waiting_list.html',
+                        parameters: {
+                            application: candidate,
+                            event: req.event
+                        }
+                    });
+                    return;
+                }
+            }
+        });
+    } catch (err) {
+        // The change that freed the place is already saved, so it shouldn't fail because of this.
+        logger.error('Could not promote the waiting list for event #%s: %s', req.event.id, err);
+    }
+};
+
 function setApplicationBoolean(key) {
     return async (req, res) => {
         // Only 'cancelled' can work with '/me' postfix.
@@ -335,14 +470,24 @@ function setApplicationBoolean(key) {
         const toUpdate = {};
         toUpdate[key] = req.body[key];
 
+        // Hooks are disabled here, so the history is recorded separately.
+        const oldValues = { [key]: req.application[key] };
+        const oldStatus = req.application.status;
         const dbResult = await req.application.update(
             toUpdate,
             { returning: true, hooks: false }
         );
+        await ApplicationChange.recordChanges(req.application, oldValues, { user: req.user });
 
         // Recalculating votes per delegate for this antenna.
         await VotesPerAntenna.recalculateVotesForDelegates(req.event, req.application.body_id);
 
+        notifications.notifyApplicationChanges(req.event, req.application, oldValues);
+
+        if (key === 'cancelled') {
+            await promoteFromWaitingList(req, req.application, { status: oldStatus, cancelled: oldValues.cancelled });
+        }
+
         return res.json({
             success: true,
             data: dbResult
@@ -370,20 +515,170 @@ exports.setApplicationStatus = async (req, res) => {
         );
     }
 
+    const oldValues = { status: req.application.status, cancelled: req.application.cancelled };
     const dbResult = await req.application.update(
         { status: req.body.status },
-        { returning: true }
+        { returning: true, user: req.user }
     );
 
     // Recalculating votes per delegate for this antenna.
     await VotesPerAntenna.recalculateVotesForDelegates(req.event, req.application.body_id);
 
+    notifications.notifyApplicationChanges(req.event, req.application, oldValues);
+
+    if (req.application.status === 'rejected') {
+        await promoteFromWaitingList(req, req.application, oldValues);
+    }
+
     return res.json({
         success: true,
         data: dbResult
     });
 };
 
+// Changing the same attributes of many applications at once, for example marking
+// the participants as confirmed or registered. The applications are referenced by their IDs
+// or statutory IDs, and the permissions are checked for each of them separately.
+// Everything is done in one transaction, so if any of the applications cannot be updated,
+// nothing is saved and the results for each of them are returned.
+exports.setApplicationsBulk = async (req, res) => {
+    const { applications: identifiers, changes } = req.body;
+
+    if (constants.EVENT_LOCKED_STATUSES.includes(req.event.status)) {
+        return errors.makeForbiddenError(res, 'The applications of cancelled, finished or archived events cannot be changed in bulk.');
+    }
+
+    if (!Array.isArray(identifiers) || identifiers.length === 0) {
+        return errors.makeBadRequestError(res, 'The applications list should be a non-empty array.');
+    }
+
+    for (const identifier of identifiers) {
+        if (!['number', 'string'].includes(typeof identifier)) {
+            return errors.makeBadRequestError(res, 'The application IDs should be numbers or strings.');
+        }
+    }
+
+    if (!helpers.isObject(changes) || Object.keys(changes).length === 0) {
+        return errors.makeBadRequestError(res, 'The changes should be a non-empty object.');
+    }
+
+    const fields = Object.keys(changes);
+    const notAllowedFields = fields.filter(field => !(field in constants.APPLICATION_BULK_FIELDS));
+    if (notAllowedFields.length > 0) {
+        return errors.makeBadRequestError(res, 'These fields cannot be changed in bulk: ' + notAllowedFields.join(', ') + '.');
+    }
+
+    const applications = await Application.findAll({
+        where: {
+            event_id: req.event.id,
+            [Sequelize.Op.or]: [
+                { id: { [Sequelize.Op.in]: identifiers.filter(helpers.isNumber).map(Number) } },
+                { statutory_id: { [Sequelize.Op.in]: identifiers.filter(identifier => !helpers.isNumber(identifier)) } }
+            ]
+        }
+    });
+
+    const findApplication = identifier => (helpers.isNumber(identifier)
+        ? applications.find(application => application.id === Number(identifier))
+        : applications.find(application => application.statutory_id === identifier));
+
+    const results = [];
+    const updated = [];
+
+    try {
+        await sequelize.transaction(async (t) => {
+            for (const identifier of identifiers) {
+                const application = findApplication(identifier);
+                if (!application) {
+                    results.push({ id: identifier, success: false, message: 'Application is not found.' });
+                    continue;
+                }
+
+                const permissions = helpers.getApplicationPermissions({
+                    permissions: Object.assign({}, req.permissions),
+                    corePermissions: req.corePermissions,
+                    user: req.user,
+                    event: req.event,
+                    application,
+                    mine: req.user.id === application.user_id
+                });
+
+                const forbiddenFields = fields.filter(field => !permissions[constants.APPLICATION_BULK_FIELDS[field]]);
+                if (forbiddenFields.length > 0) {
+                    results.push({
+                        id: identifier,
+                        success: false,
+                        message: 'You don\'t have permissions to change these attributes of this application: '
+                            + forbiddenFields.join(', ') + '.'
+                    });
+                    continue;
+                }
+
+                // Needed for the waiting list promotion later.
+                const oldValues = { status: application.status, cancelled: application.cancelled };
+                for (const field of fields) {
+                    oldValues[field] = application[field];
+                }
+
+                // Hooks are disabled here, same as for a single application, so the history is recorded separately.
+                try {
+                    await application.update(changes, { transaction: t, hooks: false });
+                } catch (err) {
+                    if (err.name !== 'SequelizeValidationError') {
+                        throw err;
+                    }
+
+                    results.push({
+                        id: identifier,
+                        success: false,
+                        errors: err.errors.reduce((acc, val) => {
+                            acc[val.path] = (acc[val.path] || []).concat(val.message);
+                            return acc;
+                        }, {})
+                    });
+                    continue;
+                }
+
+                await ApplicationChange.recordChanges(application, oldValues, { user: req.user, transaction: t });
+
+                updated.push({ application, oldValues });
+                results.push({ id: identifier, success: true, data: application });
+            }
+
+            if (results.some(result => !result.success)) {
+                throw new Error('Some of the applications could not be updated, no changes were saved.');
+            }
+
+            // Recalculating votes per delegate once for each of the affected bodies.
+            const bodiesIds = [...new Set(updated.map(({ application }) => application.body_id))];
+            for (const bodyId of bodiesIds) {
+                await VotesPerAntenna.recalculateVotesForDelegates(req.event, bodyId, t);
+            }
+        });
+    } catch (err) {
+        // Here we go only when the transaction has failed and rolled back.
+        if (!results.some(result => !result.success)) {
+            throw err;
+        }
+
+        return res.status(422).json({
+            success: false,
+            message: err.message,
+            data: results
+        });
+    }
+
+    for (const { application, oldValues } of updated) {
+        notifications.notifyApplicationChanges(req.event, application, oldValues);
+        await promoteFromWaitingList(req, application, oldValues);
+    }
+
+    return res.json({
+        success: true,
+        data: results
+    });
+};
+
 // For single application
 exports.setApplicationBoard = async (req, res) => {
     if (Number.isNaN(Number(req.params.application_id, 10))) {
@@ -415,12 +710,13 @@ exports.setApplicationBoard = async (req, res) => {
     // against the limit for this body. If something goes wrong or there's a
     // calculation error, rollback everything. Advantages: don't need to worry
     // about validations, they'll fail the transaction.
+    let application;
     try {
         await sequelize.transaction(async (t) => {
             // First, saving the application.
             // If we've passed after this one, there's no duplicated, validations
             // and constraint take care about it.
-            const application = await req.application.update(toUpdate, { returning: true, transaction: t });
+            application = await req.application.update(toUpdate, { returning: true, transaction: t, user: req.user });
 
             // Recalculating votes per delegate for this antenna.
             await VotesPerAntenna.recalculateVotesForDelegates(req.event, req.application.body_id, t);
@@ -432,12 +728,6 @@ exports.setApplicationBoard = async (req, res) => {
                 application,
                 transaction: t
             });
-
-            // If we got here, everything is okay.
-            return res.json({
-                success: true,
-                data: application
-            });
         });
     } catch (err) {
         // Here we go only when the transaction has failed and rolled back.
@@ -449,6 +739,13 @@ exports.setApplicationBoard = async (req, res) => {
 
         return errors.makeForbiddenError(res, err.message);
     }
+
+    // If we got here, everything is okay. Responding after the transaction
+    // is committed, so the changes are visible right away.
+    return res.json({
+        success: true,
+        data: application
+    });
 };
 
 // WARNING: This will reset all of the pax types and orders and board comments
@@ -498,6 +795,16 @@ exports.setBoardForBody = async (req, res) => {
     // Same as in above.
     try {
         await sequelize.transaction(async (t) => {
+            // Storing the values before the changes, as the applications are reset first
+            // and the history should have the values before the reset, not the reset ones.
+            const applicationsBefore = await Application.findAll({
+                where: {
+                    event_id: req.event.id,
+                    body_id: body.id
+                },
+                transaction: t
+            });
+
             // First, resetting all applications' pax type, order and board comment.
             // (will re-set them later).
             await Application.update(
@@ -541,7 +848,7 @@ exports.setBoardForBody = async (req, res) => {
                 // First, saving the application.
                 // If we've passed after this one, there's no duplications, validations
                 // and constraint take care about it.
-                await application.update(toUpdate, { returning: true, transaction: t });
+                await application.update(toUpdate, { returning: true, transaction: t, history: false });
 
                 // Checking is done in a helper.
                 await helpers.checkApplicationBoardviewValidity({
@@ -552,6 +859,13 @@ exports.setBoardForBody = async (req, res) => {
                 });
             }
 
+            for (const application of applicationsBefore) {
+                const oldValues = helpers.whitelistObject(application.toJSON(), constants.APPLICATION_BOARDVIEW_CHANGED_FIELDS);
+
+                await application.reload({ transaction: t });
+                await ApplicationChange.recordChanges(application, oldValues, { user: req.user, transaction: t });
+            }
+
             // Recalculating votes per delegate for this antenna.
             // We only do it once, because a lot of applications are changed.
             await VotesPerAntenna.recalculateVotesForDelegates(req.event, req.params.body_id, t);
@@ -574,13 +888,160 @@ exports.setBoardForBody = async (req, res) => {
     });
 };
 
-exports.postApplication = async (req, res) => {
+// Swapping or reordering the participant types and orders between the applications of the same body,
+// like making the delegate 2 the delegate 1 and vice versa. Setting them one by one won't work,
+// as the unique constraint on type and order would fail in the middle, so all the slots are freed
+// first and then set again, all in one transaction. Other applications of the body are not touched.
+exports.swapParticipantSlots = async (req, res) => {
+    if (Number.isNaN(Number(req.params.body_id, 10))) {
+        return errors.makeBadRequestError(res, 'The body ID is invalid.');
+    }
+
+    // The users with the global permission can do it after the board approve deadline as well.
+    if (
+        !req.permissions.set_board_comment_and_participant_type[req.params.body_id]
+        && !req.permissions.set_board_comment_and_participant_type.global
+    ) {
+        return errors.makeForbiddenError(
+            res,
+            'You don\'t have permissions to change the participant type of this body.'
+        );
+    }
+
+    if (!Array.isArray(req.body) || req.body.length < 2) {
+        return errors.makeBadRequestError(res, 'The body should be an array with at least 2 entries.');
+    }
+
+    for (let index = 0; index < req.body.length; index++) {
+        const entry = req.body[index];
+        if (!helpers.isObject(entry)) {
+            return errors.makeBadRequestError(res, `Entry ${index + 1}: is not an object.`);
+        }
+
+        if (typeof entry.user_id !== 'number') {
+            return errors.makeBadRequestError(res, `Entry ${index + 1}: user ID is not a number.`);
+        }
+
+        // Both can be null, to move the application out of the slots.
+        if (entry.participant_type !== null && typeof entry.participant_type !== 'string') {
+            return errors.makeBadRequestError(res, `Entry ${index + 1}: participant type is not a string.`);
+        }
+
+        if (entry.participant_order !== null && typeof entry.participant_order !== 'number') {
+            return errors.makeBadRequestError(res, `Entry ${index + 1}: participant order is not a number.`);
+        }
+    }
+
+    const usersIds = req.body.map(entry => entry.user_id);
+    if (new Set(usersIds).size !== usersIds.length) {
+        return errors.makeBadRequestError(res, 'Each application can only be set once.');
+    }
+
+    // need to fetch body to get its body type
+    const body = await core.getBody(req, req.params.body_id);
+
+    let applications;
+    try {
+        await sequelize.transaction(async (t) => {
+            const where = {
+                event_id: req.event.id,
+                body_id: body.id,
+                user_id: { [Sequelize.Op.in]: usersIds }
+            };
+
+            // Locking the applications, so nobody else changes them in the meantime.
+            applications = await Application.findAll({ where, transaction: t, lock: t.LOCK.UPDATE });
+
+            for (const userId of usersIds) {
+                if (!applications.some(application => application.user_id === userId)) {
+                    throw new Error(`Application with user ID #${userId} from body ID #${body.id} is not found.`);
+                }
+            }
+
+            const oldValues = applications.map(application => helpers.whitelistObject(
+                application.toJSON(),
+                constants.APPLICATION_BOARDVIEW_CHANGED_FIELDS
+            ));
+
+            // First, freeing all the slots, so they won't clash with each other.
+            await Application.update(
+                { participant_type: null, participant_order: null },
+                { where, transaction: t, hooks: false }
+            );
+
+            // Then setting them again, with the validations.
+            for (const entry of req.body) {
+                const application = applications.find(a => a.user_id === entry.user_id);
+                await application.reload({ transaction: t });
+                await application.update({
+                    participant_type: entry.participant_type,
+                    participant_order: entry.participant_order
+                }, { transaction: t, history: false });
+            }
+
+            // Checking the limits only after all of them are set, as they can be exceeded in the middle.
+            for (const application of applications) {
+                await helpers.checkApplicationBoardviewValidity({
+                    body,
+                    event: req.event,
+                    application,
+                    transaction: t
+                });
+            }
+
+            // The history is recorded against the values before the swap, not the freed ones.
+            for (let index = 0; index < applications.length; index++) {
+                await ApplicationChange.recordChanges(applications[index], oldValues[index], { user: req.user, transaction: t });
+            }
+
+            await VotesPerAntenna.recalculateVotesForDelegates(req.event, body.id, t);
+        });
+    } catch (err) {
+        // Here we go only when the transaction has failed and rolled back.
+
+        // If validation error, throw it further so general error handler can handle it.
+        if (err.name && ['SequelizeValidationError', 'SequelizeUniqueConstraintError'].includes(err.name)) {
+            throw err;
+        }
+
+        return errors.makeForbiddenError(res, err.message);
+    }
+
+    return res.json({
+        success: true,
+        data: applications
+    });
+};
+
+// Creating the application and notifying the applicant and the board of their body.
+// Used both when applying directly and when submitting a draft, in the latter case
+// the draft is removed within the same transaction.
+// When applying on behalf of another member, the application is created for the member
+// from user_id, with their profile data fetched from the core.
+const createApplication = async (req, res, { draft = null, isOnBehalf = false } = {}) => {
+    if (isOnBehalf && !req.permissions.apply_on_behalf) {
+        return errors.makeForbiddenError(res, 'You are not allowed to apply on behalf of other members.');
+    }
+
     if (!req.permissions.apply) {
         return errors.makeForbiddenError(res, 'The deadline for applications has passed or the applications period hasn\'t started yet.');
     }
 
-    req.body.user_id = req.user.id;
-    if (!helpers.isMemberOf(req.user, req.body.body_id)) {
+    let applicant = req.user;
+    if (isOnBehalf) {
+        if (!Number.isInteger(req.body.user_id)) {
+            return errors.makeBadRequestError(res, 'The user ID is invalid.');
+        }
+
+        applicant = await core.getMember(req, req.body.user_id);
+        if (!applicant) {
+            return errors.makeNotFoundError(res, 'The member is not found.');
+        }
+    } else {
+        req.body.user_id = req.user.id;
+    }
+
+    if (!helpers.isMemberOf(applicant, req.body.body_id)) {
         return errors.makeForbiddenError(res, 'You cannot apply on behalf of the body you are not a member of.');
     }
 
@@ -602,16 +1063,19 @@ exports.postApplication = async (req, res) => {
     delete req.body.departed;
     delete req.body.cancelled;
     delete req.body.confirmed;
+    delete req.body.visa_letter_issued_at;
+    delete req.body.badge_printed_at;
 
     req.body.event_id = req.event.id;
+    req.body.created_by = isOnBehalf ? req.user.id : null;
 
     // Some fields are filled in from the user/body automatically.
-    req.body.first_name = req.user.first_name;
-    req.body.last_name = req.user.last_name;
-    req.body.gender = req.user.gender;
-    req.body.email = req.user.user.email;
-    req.body.body_name = req.user.bodies.find(b => req.body.body_id === b.id).name;
-    req.body.date_of_birth = req.user.date_of_birth;
+    req.body.first_name = applicant.first_name;
+    req.body.last_name = applicant.last_name;
+    req.body.gender = applicant.gender;
+    req.body.email = applicant.user.email;
+    req.body.body_name = applicant.bodies.find(b => req.body.body_id === b.id).name;
+    req.body.date_of_birth = applicant.date_of_birth;
 
     let newApplication;
 
@@ -619,18 +1083,39 @@ exports.postApplication = async (req, res) => {
     await sequelize.transaction(async (t) => {
         newApplication = await Application.create(req.body, { transaction: t });
 
+        if (draft) {
+            await draft.destroy({ transaction: t });
+        }
+
         // We don't need to recalculate the votes amount, as the pax type is not set here.
 
-        // Sending the mail to a user.
-        await mailer.sendMail({
-            to: newApplication.email,
-            subject: `You've successfully applied for ${req.event.name}`,
-            template: 'statutory_applied.html',
-            parameters: {
-                application: newApplication,
-                event: req.event
-            }
-        });
+        if (isOnBehalf) {
+            // Recording who has filed it, so it's visible in the application history.
+            await ApplicationChange.recordChanges(newApplication, { created_by: null }, { user: req.user, transaction: t });
+
+            // The applicant should check that everything was filled in correctly.
+            await mailer.sendMail({
+                to: newApplication.email,
+                subject: `You've been applied for ${req.event.name}`,
+                template: 'statutory_applied_on_behalf.html',
+                parameters: {
+                    application: newApplication,
+                    event: req.event,
+                    created_by: req.user
+                }
+            });
+        } else {
+            // Sending the mail to a user.
+            await mailer.sendMail({
+                to: newApplication.email,
+                subject: `You've successfully applied for ${req.event.name}`,
+                template: 'statutory_applied.html',
+                parameters: {
+                    application: newApplication,
+                    event: req.event
+                }
+            });
+        }
 
         // Sending emails to board members of this body.
         const boardMembers = await core.getBodyUsersForPermission({
@@ -657,6 +1142,105 @@ exports.postApplication = async (req, res) => {
     });
 };
 
+exports.postApplication = (req, res) => createApplication(req, res);
+
+// For the members who cannot apply themselves, like when they have no internet access.
+exports.postApplicationOnBehalf = (req, res) => createApplication(req, res, { isOnBehalf: true });
+
+const findMyDraft = req => ApplicationDraft.findOne({
+    where: {
+        event_id: req.event.id,
+        user_id: req.user.id
+    }
+});
+
+exports.getApplicationDraft = async (req, res) => {
+    const draft = await findMyDraft(req);
+    if (!draft) {
+        return errors.makeNotFoundError(res, 'You don\'t have a draft for this event.');
+    }
+
+    return res.json({
+        success: true,
+        data: draft
+    });
+};
+
+// Saving the application as is, without validating it or sending any mails,
+// so it can be filled in step by step and submitted later.
+exports.saveApplicationDraft = async (req, res) => {
+    if (!req.permissions.apply) {
+        return errors.makeForbiddenError(res, 'The deadline for applications has passed or the applications period hasn\'t started yet.');
+    }
+
+    if (req.myApplication) {
+        return errors.makeForbiddenError(res, 'You have already applied to this event.');
+    }
+
+    if (helpers.isTruthy(req.body.body_id) && !helpers.isMemberOf(req.user, req.body.body_id)) {
+        return errors.makeForbiddenError(res, 'You cannot apply on behalf of the body you are not a member of.');
+    }
+
+    const draft = await findMyDraft(req) || ApplicationDraft.build({
+        event_id: req.event.id,
+        user_id: req.user.id
+    });
+
+    draft.data = req.body;
+    await draft.save();
+
+    return res.json({
+        success: true,
+        data: draft
+    });
+};
+
+exports.deleteApplicationDraft = async (req, res) => {
+    const draft = await findMyDraft(req);
+    if (!draft) {
+        return errors.makeNotFoundError(res, 'You don\'t have a draft for this event.');
+    }
+
+    await draft.destroy();
+
+    return res.json({
+        success: true,
+        message: 'The draft was deleted successfully.'
+    });
+};
+
+// Validating the draft and creating the application out of it, the same way as when applying directly.
+exports.submitApplicationDraft = async (req, res) => {
+    const draft = await findMyDraft(req);
+    if (!draft) {
+        return errors.makeNotFoundError(res, 'You don\'t have a draft for this event.');
+    }
+
+    req.body = Object.assign({}, draft.data);
+    return createApplication(req, res, { draft });
+};
+
+// Uploading the file to be used as an answer to the "file" question.
+// Its ID should be passed as the answer afterwards.
+exports.uploadAnswerFile = async (req, res) => {
+    // The ones who apply on behalf of others or import the applications upload the files for them,
+    // these files are accepted as the answers of the applications they've created.
+    const canUpload = req.permissions.apply
+        || req.myApplication
+        || req.permissions.apply_on_behalf
+        || req.permissions.import_applications;
+
+    if (!canUpload) {
+        await req.image.destroy();
+        return errors.makeForbiddenError(res, 'You cannot upload files for this event.');
+    }
+
+    return res.json({
+        success: true,
+        data: req.image
+    });
+};
+
 exports.exportOpenslides = async (req, res) => {
     // Exporting users to mass-import into OpenSlides.
     // The file structure is CSV file with this headers in the first row:
@@ -674,8 +1258,6 @@ exports.exportOpenslides = async (req, res) => {
         where: { event_id: req.event.id, cancelled: false, status: 'accepted' },
     });
 
-    const wrap = string => '"' + string + '"';
-
     const headers = [
         'Title',
         'Given name',
@@ -692,11 +1274,11 @@ exports.exportOpenslides = async (req, res) => {
     ];
 
     // Returns a CSV string
-    const exportString = headers.map(wrap).join(',') + '\n' + applications.map((application) => {
+    const exportString = exporter.toCsvLine(headers) + applications.map((application) => {
         // Generating random pw for a user.
         const password = crypto.randomBytes(5).toString('hex');
 
-        return [
+        return exporter.toCsvLine([
             '', // Title
             application.first_name,
             application.last_name,
@@ -709,8 +1291,8 @@ exports.exportOpenslides = async (req, res) => {
             0, // Is committee
             password,
             application.email // User email, currently not fetched from the system.
-        ].map(wrap).join(',');
-    }).filter(line => line.length > 0).join('\n');
+        ]);
+    }).join('');
 
     res.setHeader('Content-type', 'text/csv');
     res.setHeader('Content-disposition', 'attachment; filename=openslides.csv');
@@ -719,7 +1301,7 @@ exports.exportOpenslides = async (req, res) => {
 };
 
 exports.exportAll = async (req, res) => {
-    // Exporting users as XLSX for LOs/Chair/CD/whoever.
+    // Exporting users as XLSX, CSV or JSON for LOs/Chair/CD/whoever.
     if (!['all', 'incoming'].includes(req.params.prefix)) {
         return errors.makeBadRequestError(res, `Prefix should be one of these: "all", "incoming", but received ${req.params.prefix}`);
     }
@@ -732,46 +1314,82 @@ exports.exportAll = async (req, res) => {
         return errors.makeBadRequestError(res, 'Filters are not provided or are invalid.');
     }
 
+    const format = exporter.getFormat(req);
+    if (!exporter.isValidFormat(format)) {
+        return errors.makeBadRequestError(res, `Format should be one of these: ${constants.EXPORT_FORMATS.join(', ')}.`);
+    }
+
     if (typeof req.query.filter !== 'object') {
         req.query.filter = {};
     }
 
     // If prefix is /incoming, only specific fields are allowed.
     // If prefix is /all, all fields are available.
+    const allowedFields = req.params.prefix === 'all'
+        ? Object.keys(Application.rawAttributes)
+        : constants.ALLOWED_INCOMING_FIELDS;
+
     if (req.params.prefix !== 'all') {
         req.query.select = req.query.select.filter(field => constants.ALLOWED_INCOMING_FIELDS.includes(field));
     }
 
-    // Default query is filtering out cancelled applications.
-    const defaultFilter = { cancelled: false };
-
-    // Then applying user filter on it.
-    const applicationsFilter = Object.assign(defaultFilter, req.query.filter);
+    // The same filters as for the lists, so only the exported fields can be filtered on.
+    let filter;
+    try {
+        filter = filters.parseFilter(Application, req.query.filter, allowedFields);
+    } catch (err) {
+        return errors.makeBadRequestError(res, err.message);
+    }
 
     const headersNames = helpers.getApplicationFields(req.event);
     const headers = req.query.select.map(field => headersNames[field]);
 
-    const applications = await Application.findAll({ where: { event_id: req.event.id, ...applicationsFilter } });
+    // Fetching the files uploaded as answers, to display the paths to them.
+    const fileQuestionsIds = req.event.questions
+        .filter(question => question.type === 'file')
+        .map(question => question.id);
 
-    const resultArray = applications
-        .map(application => application.toJSON())
-        .map(application => helpers.flattenObject(application))
-        .map((application) => {
-            return req.query.select.map(field => helpers.beautify(application[field]));
-        });
+    const fetchBatch = async ({ offset, limit }) => {
+        // Default query is filtering out cancelled applications, unless the user has filtered by it.
+        const where = { event_id: req.event.id };
+        if (!('cancelled' in req.query.filter)) {
+            where.cancelled = false;
+        }
 
-    const resultBuffer = xlsx.build([
-        {
-            name: 'Application stats',
-            data: [
-                headers,
-                ...resultArray
-            ]
+        if (filter.length > 0) {
+            where[Sequelize.Op.and] = filter;
         }
-    ]);
 
-    res.setHeader('Content-type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-disposition', 'attachment; filename=stats.xlsx');
+        const applications = await Application.findAll({
+            where,
+            order: [['id', 'ASC']],
+            offset,
+            limit
+        });
 
-    return res.send(resultBuffer);
+        const filesIds = applications
+            .map(application => fileQuestionsIds.map(id => application.answers[id]))
+            .reduce((acc, val) => acc.concat(val), [])
+            .filter(id => Number.isInteger(id));
+        const files = await Image.findAll({ where: { id: { [Sequelize.Op.in]: filesIds } } });
+        const filesMap = files.reduce((acc, file) => Object.assign(acc, { [file.id]: file }), {});
+
+        return applications
+            .map(application => application.toJSON())
+            .map(application => Object.assign(application, {
+                answers: helpers.formatAnswers(req.event.questions, application.answers, filesMap)
+            }))
+            .map(application => helpers.flattenObject(application))
+            .map(application => req.query.select.map(field => application[field]));
+    };
+
+    return exporter.sendTable(res, {
+        format,
+        filename: 'stats',
+        sheetName: 'Application stats',
+        keys: req.query.select,
+        headers,
+        timezone: req.event.timezone,
+        fetchBatch
+    });
 };
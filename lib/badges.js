@@ -0,0 +1,178 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const errors = require('./errors');
+const constants = require('./constants');
+const { Application, ApplicationChange } = require('../models');
+const { Sequelize, sequelize } = require('./sequelize');
+
+// Printable badges for the participants, 2 columns and 4 rows per A4 page.
+// Each one has a QR code with the statutory ID, which can be scanned at the event.
+// Fetching them with GET is only a preview, they are stored as printed on POST.
+
+const PAGE_MARGIN = 28;
+const BADGE_PADDING = 14;
+const BADGES_PER_ROW = 2;
+const BADGES_PER_COLUMN = 4;
+const QR_CODE_SIZE = 90;
+const PARTICIPANT_TYPES = Application.rawAttributes.participant_type.values;
+
+// The query params can be passed either once or multiple times.
+const toArray = value => (Array.isArray(value) ? value : [value]);
+
+const getParticipantLabel = (application) => {
+    if (!application.participant_type) {
+        return '';
+    }
+
+    const type = application.participant_type.charAt(0).toUpperCase() + application.participant_type.slice(1);
+    return application.participant_order ? `${type} ${application.participant_order}` : type;
+};
+
+const drawBadge = async (document, application, x, y, width, height) => {
+    const qrCode = await QRCode.toBuffer(application.statutory_id, { type: 'png', margin: 1, width: QR_CODE_SIZE * 2 });
+    const textWidth = width - QR_CODE_SIZE - (BADGE_PADDING * 3);
+
+    // Dashed border to cut the badges along.
+    document.save()
+        .lineWidth(0.5)
+        .dash(4, { space: 4 })
+        .rect(x, y, width, height)
+        .stroke()
+        .restore();
+
+    // The texts are cut to fit into the badge, otherwise the long ones would go to the next page.
+    const textX = x + BADGE_PADDING;
+    const textY = y + BADGE_PADDING;
+
+    document.font(constants.PDF_FONTS.bold)
+        .fontSize(16)
+        .text(`${application.first_name} ${application.last_name}`, textX, textY, { width: textWidth, height: 40, ellipsis: true });
+
+    document.font(constants.PDF_FONTS.regular)
+        .fontSize(12)
+        .text(application.body_name, textX, textY + 48, { width: textWidth, height: 30, ellipsis: true })
+        .text(getParticipantLabel(application), textX, textY + 86, { width: textWidth, height: 15, ellipsis: true });
+
+    document.image(qrCode, x + width - QR_CODE_SIZE - BADGE_PADDING, y + height - QR_CODE_SIZE - BADGE_PADDING, {
+        width: QR_CODE_SIZE
+    });
+
+    document.font(constants.PDF_FONTS.regular)
+        .fontSize(8)
+        .text(application.statutory_id, x + width - QR_CODE_SIZE - BADGE_PADDING, y + height - BADGE_PADDING, {
+            width: QR_CODE_SIZE,
+            align: 'center'
+        });
+};
+
+const buildBadgesPdf = async (applications) => {
+    const document = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+    const chunks = [];
+
+    document.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        document.on('end', () => resolve(Buffer.concat(chunks)));
+        document.on('error', reject);
+    });
+
+    const badgesPerPage = BADGES_PER_ROW * BADGES_PER_COLUMN;
+
+    for (let index = 0; index < applications.length; index++) {
+        if (index % badgesPerPage === 0) {
+            document.addPage();
+        }
+
+        const width = (document.page.width - (PAGE_MARGIN * 2)) / BADGES_PER_ROW;
+        const height = (document.page.height - (PAGE_MARGIN * 2)) / BADGES_PER_COLUMN;
+        const position = index % badgesPerPage;
+        const x = PAGE_MARGIN + ((position % BADGES_PER_ROW) * width);
+        const y = PAGE_MARGIN + (Math.floor(position / BADGES_PER_ROW) * height);
+
+        await drawBadge(document, applications[index], x, y, width, height);
+    }
+
+    document.end();
+    return finished;
+};
+
+// Storing when the badges were printed. Hooks are disabled here, so the history is recorded separately.
+const markAsPrinted = async (applications, user) => {
+    const printedAt = new Date();
+
+    await sequelize.transaction(async (t) => {
+        for (const application of applications) {
+            const oldValues = { badge_printed_at: application.badge_printed_at };
+            await application.update({ badge_printed_at: printedAt }, { transaction: t, hooks: false });
+            await ApplicationChange.recordChanges(application, oldValues, { user, transaction: t });
+        }
+    });
+};
+
+const sendBadges = markPrinted => async (req, res) => {
+    if (!req.permissions.print_badges) {
+        return errors.makeForbiddenError(res, 'You are not allowed to print badges.');
+    }
+
+    if (markPrinted && !req.permissions.mark_badges_printed) {
+        return errors.makeForbiddenError(res, 'You are not allowed to print badges for this event.');
+    }
+
+    // Only the accepted participants are getting the badges.
+    const where = {
+        event_id: req.event.id,
+        status: 'accepted',
+        cancelled: false
+    };
+
+    if (req.query.participant_type) {
+        const types = toArray(req.query.participant_type);
+        const invalidTypes = types.filter(type => !PARTICIPANT_TYPES.includes(type));
+        if (invalidTypes.length > 0) {
+            return errors.makeBadRequestError(res, `Participant type should be one of these: ${PARTICIPANT_TYPES.join(', ')}, \
+but received: ${invalidTypes.join(', ')}.`);
+        }
+
+        where.participant_type = { [Sequelize.Op.in]: types };
+    }
+
+    if (req.query.body_id) {
+        const bodiesIds = toArray(req.query.body_id).map(id => parseInt(id, 10));
+        if (bodiesIds.some(id => Number.isNaN(id))) {
+            return errors.makeBadRequestError(res, 'Body ID should be a number.');
+        }
+
+        where.body_id = { [Sequelize.Op.in]: bodiesIds };
+    }
+
+    if (req.query.not_printed === true || req.query.not_printed === 'true') {
+        where.badge_printed_at = null;
+    }
+
+    const applications = await Application.findAll({
+        where,
+        order: [
+            ['body_name', 'ASC'],
+            ['participant_type', 'ASC'],
+            ['participant_order', 'ASC'],
+            ['id', 'ASC']
+        ]
+    });
+
+    if (applications.length === 0) {
+        return errors.makeNotFoundError(res, 'There are no badges to print.');
+    }
+
+    const badges = await buildBadgesPdf(applications);
+    if (markPrinted) {
+        await markAsPrinted(applications, req.user);
+    }
+
+    res.setHeader('Content-type', 'application/pdf');
+    res.setHeader('Content-disposition', 'attachment; filename=badges.pdf');
+
+    return res.send(badges);
+};
+
+exports.previewBadges = sendBadges(false);
+exports.printBadges = sendBadges(true);
@@ -0,0 +1,170 @@
+const moment = require('moment');
+
+const config = require('../config');
+const packageInfo = require('../package');
+const constants = require('./constants');
+const { Sequelize } = require('./sequelize');
+const { Event, Position, Plenary, Session } = require('../models');
+
+// Generating iCalendar (RFC 5545) feeds, so people can subscribe to the deadlines
+// and plenaries from their calendar apps.
+// The format is simple enough, so no external library is used.
+
+// Text values should have these characters escaped.
+const escapeText = text => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// All dates are in UTC, so there's no need for VTIMEZONE component.
+const formatDate = date => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+
+// Lines longer than 75 octets should be split, with each next line starting with
+// the whitespace, which counts towards the limit as well. Iterating over the code points,
+// so the multi-byte characters (and the surrogate pairs) are not split in the middle.
+const foldLine = (line) => {
+    const chunks = [''];
+    let length = 0;
+    for (const char of line) {
+        const charLength = Buffer.byteLength(char);
+        if (length + charLength > (chunks.length === 1 ? 75 : 74)) {
+            chunks.push('');
+            length = 0;
+        }
+
+        chunks[chunks.length - 1] += char;
+        length += charLength;
+    }
+
+    return chunks.join('\r\n ');
+};
+
+// A helper to get all the entries for a single event.
+// If the entry has no end date, then it's a deadline and not a period.
+const getEntriesForEvent = (event, positions, plenaries) => {
+    const entries = [
+        { key: 'event', summary: event.name, starts: event.starts, ends: event.ends },
+        { key: 'application-period', summary: 'Application period', starts: event.application_period_starts, ends: event.application_period_ends },
+        { key: 'board-approve-deadline', summary: 'Board approve deadline', starts: event.board_approve_deadline },
+        { key: 'participants-list-publish', summary: 'Participants list publish', starts: event.participants_list_publish_deadline }
+    ];
+
+    // Memberslists are only for Agora.
+    if (event.type === 'agora') {
+        entries.push({ key: 'memberslist-submission-deadline', summary: 'Members list submission deadline', starts: event.memberslist_submission_deadline });
+        entries.push({ key: 'memberslist-edit-deadline', summary: 'Members list edit deadline', starts: event.memberslist_edit_deadline });
+    }
+
+    for (const position of positions) {
+        entries.push({ key: `position-${position.id}-opens`, summary: `Position "${position.name}": applications open`, starts: position.starts });
+        entries.push({ key: `position-${position.id}-closes`, summary: `Position "${position.name}": applications close`, starts: position.ends });
+        entries.push({ key: `position-${position.id}-force-closes`, summary: `Position "${position.name}": applications force close`, starts: position.ends_force });
+    }
+
+    for (const plenary of plenaries) {
+        entries.push({ key: `plenary-${plenary.id}`, summary: `Plenary: ${plenary.name}`, starts: plenary.starts, ends: plenary.ends });
+    }
+
+    return entries
+        .filter(entry => entry.starts)
+        .map(entry => Object.assign(entry, {
+            uid: `${event.url}-${entry.key}@${config.host}`,
+            summary: event.name + ': ' + entry.summary,
+            updated_at: event.updated_at
+        }));
+};
+
+// A helper to get the entries for the event schedule.
+const getEntriesForSessions = (event, sessions) => sessions.map((session) => {
+    const location = event.locations.find(eventLocation => eventLocation.id === session.location_id);
+    const place = [session.room, location ? location.name : null].filter(Boolean).join(', ');
+
+    return {
+        uid: `${event.url}-session-${session.id}@${config.host}`,
+        summary: event.name + ': ' + session.name,
+        description: session.description,
+        location: place,
+        starts: session.starts,
+        ends: session.ends,
+        updated_at: session.updated_at
+    };
+});
+
+// A helper to build the calendar from the list of entries.
+// The timezone is only a hint for calendar apps, the dates themselves are in UTC.
+const buildCalendar = (name, entries, timezone = null) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//AEGEE//${packageInfo.name} ${packageInfo.version}//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' + escapeText(name)
+    ];
+
+    if (timezone) {
+        lines.push('X-WR-TIMEZONE:' + escapeText(timezone));
+    }
+
+    for (const entry of entries) {
+        lines.push('BEGIN:VEVENT');
+        lines.push('UID:' + escapeText(entry.uid));
+        lines.push('DTSTAMP:' + formatDate(entry.updated_at));
+        lines.push('DTSTART:' + formatDate(entry.starts));
+        if (entry.ends) {
+            lines.push('DTEND:' + formatDate(entry.ends));
+        }
+        lines.push('SUMMARY:' + escapeText(entry.summary));
+        if (entry.description) {
+            lines.push('DESCRIPTION:' + escapeText(entry.description));
+        }
+        if (entry.location) {
+            lines.push('LOCATION:' + escapeText(entry.location));
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const sendCalendar = (res, filename, calendar) => {
+    res.setHeader('Content-type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-disposition', `attachment; filename=${filename}.ics`);
+
+    return res.send(calendar);
+};
+
+exports.getEventCalendar = async (req, res) => {
+    const positions = await Position.findAll({ where: { event_id: req.event.id } });
+    const plenaries = await Plenary.findAll({ where: { event_id: req.event.id } });
+
+    const entries = getEntriesForEvent(req.event, positions, plenaries);
+    return sendCalendar(res, req.event.url, buildCalendar(req.event.name, entries, req.event.timezone));
+};
+
+exports.getSessionsCalendar = async (req, res) => {
+    const sessions = await Session.findAll({
+        where: { event_id: req.event.id },
+        order: [['starts', 'ASC'], ['id', 'ASC']]
+    });
+
+    const entries = getEntriesForSessions(req.event, sessions);
+    return sendCalendar(res, req.event.url + '-schedule', buildCalendar(req.event.name + ': schedule', entries, req.event.timezone));
+};
+
+exports.getAllEventsCalendar = async (req, res) => {
+    const events = await Event.findAll({
+        where: { status: { [Sequelize.Op.in]: constants.EVENT_PUBLIC_STATUSES } },
+        order: [['starts', 'DESC']],
+        include: [Position, Plenary]
+    });
+
+    const entries = events
+        .map(event => getEntriesForEvent(event, event.positions, event.plenaries))
+        .reduce((acc, val) => acc.concat(val), []);
+
+    return sendCalendar(res, 'statutory', buildCalendar('Statutory events', entries));
+};
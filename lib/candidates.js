@@ -61,7 +61,7 @@ exports.submitYourCandidature = async (req, res) => {
     // Closing position immediately if enough candidates.
     const candidatesCount = await Candidate.count({ where: { position_id: req.position.id } });
     if (moment().isAfter(req.position.ends) && candidatesCount > req.position.places) {
-        await req.position.update({ status: 'closed' });
+        await req.position.update({ status: 'closed' }, { timezone: req.event.timezone });
     }
 
     return res.json({
@@ -0,0 +1,112 @@
+const errors = require('./errors');
+const constants = require('./constants');
+const helpers = require('./helpers');
+const notifications = require('./notifications');
+const { Application, ApplicationChange, VotesPerAntenna } = require('../models');
+const { sequelize } = require('./sequelize');
+
+// Checking in the participants at the registration desk by scanning the statutory ID
+// from their badge, instead of looking them up by name.
+
+const getBlockers = (event, application) => {
+    const blockers = [];
+
+    if (application.cancelled) blockers.push('cancelled');
+    if (!application.confirmed) blockers.push('not_confirmed');
+    // The memberslists are only used for Agora, is_on_memberslist is not set for other events.
+    if (event.type === 'agora' && !application.is_on_memberslist) blockers.push('not_on_memberslist');
+    if (application.visa_required && !application.visa_letter_issued_at) blockers.push('visa_pending');
+
+    return blockers.map(type => ({ type, message: constants.CHECK_IN_BLOCKERS[type] }));
+};
+
+exports.checkIn = async (req, res) => {
+    if (typeof req.body.statutory_id !== 'string' || req.body.statutory_id.trim().length === 0) {
+        return errors.makeBadRequestError(res, 'The statutory ID is not set.');
+    }
+
+    // The action can be overridden, for example to use the same desk both for arrivals and departures.
+    const action = req.body.action || req.event.check_in_action;
+    if (!(action in constants.CHECK_IN_ACTIONS)) {
+        return errors.makeBadRequestError(res, 'Check-in action should be one of these: '
+            + Object.keys(constants.CHECK_IN_ACTIONS).join(', ') + '.');
+    }
+
+    const field = constants.CHECK_IN_ACTIONS[action];
+
+    const application = await Application.findOne({
+        where: {
+            event_id: req.event.id,
+            statutory_id: req.body.statutory_id.trim()
+        }
+    });
+
+    if (!application) {
+        return errors.makeNotFoundError(res, 'The application is not found.');
+    }
+
+    const permissions = helpers.getApplicationPermissions({
+        permissions: Object.assign({}, req.permissions),
+        corePermissions: req.corePermissions,
+        user: req.user,
+        event: req.event,
+        application,
+        mine: req.user.id === application.user_id
+    });
+
+    if (!permissions['set_application_' + field]) {
+        return errors.makeForbiddenError(res, `You don't have permissions to change the "${field}" attribute of this application.`);
+    }
+
+    let blockers = [];
+    let changed = false;
+    let oldValues = {};
+
+    await sequelize.transaction(async (t) => {
+        // Locking the application, so scanning the same badge twice at the same time won't do anything weird.
+        await application.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+        // The blockers are only preventing the arrival, the participants can always leave.
+        blockers = getBlockers(req.event, application);
+        if (action !== 'depart' && blockers.length > 0 && req.body.force !== true) {
+            return;
+        }
+
+        // Scanning the badge for the second time is not an error.
+        if (application[field]) {
+            return;
+        }
+
+        // Hooks are disabled here, same as for a single application, so the history is recorded separately.
+        oldValues = { [field]: application[field] };
+        await application.update({ [field]: true }, { transaction: t, hooks: false });
+        await ApplicationChange.recordChanges(application, oldValues, { user: req.user, transaction: t });
+        await VotesPerAntenna.recalculateVotesForDelegates(req.event, application.body_id, t);
+
+        changed = true;
+    });
+
+    if (changed) {
+        notifications.notifyApplicationChanges(req.event, application, oldValues);
+    }
+
+    const data = {
+        action,
+        changed,
+        application: helpers.whitelistObject(application, constants.ALLOWED_CHECK_IN_FIELDS),
+        blockers
+    };
+
+    if (!changed && !application[field]) {
+        return res.status(422).json({
+            success: false,
+            message: 'The participant cannot be checked in: ' + blockers.map(blocker => blocker.message).join(' '),
+            data
+        });
+    }
+
+    return res.json({
+        success: true,
+        data
+    });
+};
@@ -1,5 +1,186 @@
 module.exports = {
     CURRENT_USER_PREFIX: 'me',
+    DEFAULT_TIMEZONE: 'Europe/Brussels',
+    // Events' texts are in this language, other languages are stored as translations.
+    DEFAULT_LANGUAGE: 'en',
+    LANGUAGE_CODE_REGEX: /^[a-z]{2}$/,
+    // The questions' regexes are set by the organizers and run against every answer,
+    // so they are kept short to limit the backtracking.
+    QUESTION_REGEX_MAX_LENGTH: 100,
+    EVENT_DATE_FIELDS: [
+        'starts',
+        'ends',
+        'application_period_starts',
+        'application_period_ends',
+        'board_approve_deadline',
+        'participants_list_publish_deadline',
+        'memberslist_submission_deadline'
+    ],
+    POSITION_DATE_FIELDS: ['starts', 'ends', 'ends_force'],
+    PLENARY_DATE_FIELDS: ['starts', 'ends'],
+    SESSION_DATE_FIELDS: ['starts', 'ends'],
+    // These fields are changed on every update, so there's no need to store them in the history.
+    APPLICATION_HISTORY_IGNORED_FIELDS: ['created_at', 'updated_at'],
+    // The fields that can be changed when the board sets the participant types for the whole body
+    // (is_on_memberslist is recalculated on every application update).
+    APPLICATION_BOARDVIEW_CHANGED_FIELDS: ['participant_type', 'participant_order', 'board_comment', 'is_on_memberslist'],
+    // The fields that can be changed for many applications at once and the permissions needed for them.
+    APPLICATION_BULK_FIELDS: {
+        status: 'change_status',
+        cancelled: 'set_application_cancelled',
+        confirmed: 'set_application_confirmed',
+        attended: 'set_application_attended',
+        registered: 'set_application_registered',
+        departed: 'set_application_departed',
+        is_on_memberslist: 'set_application_is_on_memberslist'
+    },
+    // The actions the registration desk can do when scanning a badge, and the fields they set.
+    CHECK_IN_ACTIONS: {
+        register: 'registered',
+        attend: 'attended',
+        depart: 'departed'
+    },
+    // The reasons why the participant should not be checked in.
+    CHECK_IN_BLOCKERS: {
+        cancelled: 'The application is cancelled.',
+        not_confirmed: 'The participant is not confirmed.',
+        not_on_memberslist: 'The participant is not on the memberslist.',
+        visa_pending: 'The participant needs a visa, but the visa letter was not issued yet.'
+    },
+    // The mails sent to the applicant when their application is changed, if enabled for the event.
+    // 'status' is sent on any status change, the others when the attribute is set to true.
+    APPLICATION_NOTIFICATIONS: {
+        status: 'statutory_status_changed.html',
+        confirmed: 'statutory_confirmed.html',
+        registered: 'statutory_registered.html',
+        cancelled: 'statutory_cancelled.html'
+    },
+    EXPORT_FORMATS: ['xlsx', 'csv', 'json'],
+    // How many rows are fetched from the database at once while exporting.
+    EXPORT_BATCH_SIZE: 500,
+    // The columns that can be set when importing the applications from a spreadsheet,
+    // the answers are set with the 'answers.<question ID>' columns.
+    IMPORT_FIELDS: [
+        'user_id',
+        'body_id',
+        'participant_type',
+        'participant_order',
+        'nationality',
+        'meals',
+        'allergies',
+        'number_of_events_visited',
+        'visa_required',
+        'visa_place_of_birth',
+        'visa_passport_number',
+        'visa_passport_issue_date',
+        'visa_passport_expiration_date',
+        'visa_passport_issue_authority',
+        'visa_embassy',
+        'visa_street_and_house',
+        'visa_postal_code',
+        'visa_city',
+        'visa_country'
+    ],
+    // The personal data that is removed from the applications after the event has ended,
+    // along with the values it's replaced with (empty string is for the non-nullable fields).
+    // The answers can have any personal data, so they are removed as well, along with the uploaded files.
+    APPLICATION_ANONYMISED_FIELDS: {
+        date_of_birth: '',
+        answers: {},
+        allergies: null,
+        visa_place_of_birth: null,
+        visa_passport_number: null,
+        visa_passport_issue_date: null,
+        visa_passport_expiration_date: null,
+        visa_passport_issue_authority: null,
+        visa_embassy: null,
+        visa_street_and_house: null,
+        visa_postal_code: null,
+        visa_city: null,
+        visa_country: null
+    },
+    // The fields that should be filled in if the applicant needs a visa.
+    VISA_FIELDS: [
+        'visa_place_of_birth',
+        'visa_passport_number',
+        'visa_passport_issue_date',
+        'visa_passport_expiration_date',
+        'visa_passport_issue_authority',
+        'visa_embassy',
+        'visa_street_and_house',
+        'visa_postal_code',
+        'visa_city',
+        'visa_country'
+    ],
+    // The values that can be used in the visa invitation letter templates, like {{event_name}}.
+    VISA_LETTER_PLACEHOLDERS: [
+        'today',
+        'event_name',
+        'event_starts',
+        'event_ends',
+        'first_name',
+        'last_name',
+        'gender',
+        'date_of_birth',
+        'nationality',
+        'visa_place_of_birth',
+        'visa_passport_number',
+        'visa_passport_issue_date',
+        'visa_passport_expiration_date',
+        'visa_passport_issue_authority',
+        'visa_embassy',
+        'visa_street_and_house',
+        'visa_postal_code',
+        'visa_city',
+        'visa_country'
+    ],
+    // Used if the event has no template for the visa invitation letters.
+    DEFAULT_VISA_LETTER_TEMPLATE: `{{today}}
+
+To: {{visa_embassy}}
+
+INVITATION LETTER
+
+We hereby invite {{first_name}} {{last_name}}, born on {{date_of_birth}} in {{visa_place_of_birth}}, \
+citizen of {{nationality}}, holding the passport number {{visa_passport_number}} \
+issued on {{visa_passport_issue_date}} by {{visa_passport_issue_authority}} \
+and valid until {{visa_passport_expiration_date}}, living at {{visa_street_and_house}}, \
+{{visa_postal_code}} {{visa_city}}, {{visa_country}}, \
+to participate in {{event_name}}, taking place from {{event_starts}} to {{event_ends}}.
+
+We kindly ask you to issue the visa for the duration of the event.`,
+    // The fonts for the generated PDFs, the built-in ones cannot draw Cyrillic or Greek letters.
+    PDF_FONTS: {
+        regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+        bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+    },
+    SESSION_TYPES: ['plenary', 'workshop', 'prytaneum', 'meal', 'social', 'other'],
+    // Which statuses the event can be moved to from each status.
+    EVENT_STATUS_TRANSITIONS: {
+        draft: ['published', 'cancelled'],
+        published: ['draft', 'ongoing', 'cancelled', 'archived'],
+        ongoing: ['finished', 'cancelled'],
+        finished: ['archived'],
+        cancelled: ['archived'],
+        archived: []
+    },
+    // The events in these statuses are visible to everyone.
+    EVENT_PUBLIC_STATUSES: ['published', 'ongoing', 'finished'],
+    // The events can be sorted by these fields when listing them.
+    EVENT_SORTABLE_FIELDS: [
+        'id',
+        'name',
+        'type',
+        'status',
+        'starts',
+        'ends',
+        'application_period_starts',
+        'application_period_ends',
+        'created_at',
+        'updated_at'
+    ],
+    // Applications for the events in these statuses cannot be created or changed.
+    EVENT_LOCKED_STATUSES: ['cancelled', 'finished', 'archived'],
     ALLOWED_NETWORK_LIST_FIELDS: [
         'id',
         'statutory_id',
@@ -50,6 +231,7 @@ module.exports = {
         'email',
         'gender',
         'nationality',
+        'visa_required',
         'visa_place_of_birth',
         'visa_passport_number',
         'visa_passport_issue_date',
@@ -92,6 +274,26 @@ module.exports = {
         'body_id',
         'body_name'
     ],
+    ALLOWED_CHECK_IN_FIELDS: [
+        'id',
+        'statutory_id',
+        'user_id',
+        'first_name',
+        'last_name',
+        'body_id',
+        'body_name',
+        'participant_type',
+        'participant_order',
+        'status',
+        'cancelled',
+        'confirmed',
+        'is_on_memberslist',
+        'registered',
+        'attended',
+        'departed',
+        'visa_required',
+        'visa_letter_issued_at'
+    ],
     ALLOWED_PENDING_CANDIDATE_FIELDS: [
         'id',
         'statutory_id',
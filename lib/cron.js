@@ -1,8 +1,84 @@
 const scheduler = require('node-schedule');
-const moment = require('moment');
+const moment = require('moment-timezone');
 
+const config = require('../config');
 const logger = require('./logger');
-const { Position, Candidate, Plenary } = require('../models');
+const constants = require('./constants');
+const fs = require('./fs');
+const { Sequelize, sequelize } = require('./sequelize');
+const {
+    Position,
+    Candidate,
+    Plenary,
+    Event,
+    Application,
+    ApplicationChange,
+    ApplicationDraft,
+    Image
+} = require('../models');
+
+// The events that have ended more than the configured amount of days ago
+// and still have the personal data of the applicants.
+const getRetentionReport = async () => {
+    const events = await Event.findAll({
+        where: {
+            ends: { [Sequelize.Op.lt]: moment().subtract(config.retention.days, 'days').toDate() },
+            anonymised_at: null
+        },
+        order: [['ends', 'ASC'], ['id', 'ASC']]
+    });
+
+    const report = {
+        days: config.retention.days,
+        fields: Object.keys(constants.APPLICATION_ANONYMISED_FIELDS),
+        events: []
+    };
+
+    for (const event of events) {
+        report.events.push({
+            id: event.id,
+            name: event.name,
+            ends: event.ends,
+            applications: await Application.count({ where: { event_id: event.id } })
+        });
+    }
+
+    return report;
+};
+
+// The files uploaded as the answers to the event's 'file' questions, including the ones
+// from the drafts and the ones that were replaced later and are only left in the history.
+const getAnswerFiles = async (eventId, transaction) => {
+    const event = await Event.findByPk(eventId, { transaction });
+    const questionsIds = event.questions
+        .filter(question => question.type === 'file')
+        .map(question => question.id);
+
+    if (questionsIds.length === 0) {
+        return [];
+    }
+
+    const applications = await Application.findAll({ where: { event_id: eventId }, transaction });
+    const drafts = await ApplicationDraft.findAll({ where: { event_id: eventId }, transaction });
+    const changes = await ApplicationChange.findAll({ where: { event_id: eventId, field: 'answers' }, transaction });
+
+    const answersList = [
+        ...applications.map(application => application.answers),
+        ...drafts.map(draft => draft.data.answers),
+        ...changes.map(change => change.old_value),
+        ...changes.map(change => change.new_value)
+    ].filter(answers => answers && typeof answers === 'object');
+
+    const filesIds = answersList
+        .reduce((acc, answers) => acc.concat(questionsIds.map(id => answers[id])), [])
+        .filter(id => Number.isInteger(id));
+
+    if (filesIds.length === 0) {
+        return [];
+    }
+
+    return Image.findAll({ where: { id: { [Sequelize.Op.in]: filesIds } }, transaction });
+};
 
 const JobCallbacks = {
     CLOSE_ATTENDANCES: async ({ id }) => {
@@ -58,9 +134,76 @@ const JobCallbacks = {
 
         await position.update({ status: 'closed' }, { hooks: false });
         logger.info(`Closing applications for position ${id}: Successfully closed deadline for position #${id} (${position.name})`);
+    },
+    ANONYMISE_APPLICATIONS: async ({ dryRun = true }) => {
+        const report = await getRetentionReport();
+        const prefix = dryRun ? 'Removing personal data (dry run)' : 'Removing personal data';
+
+        logger.info(`${prefix}: found ${report.events.length} events ended more than ${report.days} days ago.`);
+        for (const event of report.events) {
+            logger.info(`${prefix}: event #${event.id} (${event.name}), ${event.applications} applications, fields: ${report.fields.join(', ')}.`);
+        }
+
+        if (dryRun) {
+            return report;
+        }
+
+        for (const event of report.events) {
+            // Validations and hooks are skipped, as the application wouldn't be valid without these fields.
+            // The history of changes of these fields and the drafts are removed as well, as they contain the same data.
+            let files = [];
+            await sequelize.transaction(async (t) => {
+                // The files are removed from the disk only after the transaction is committed,
+                // so they are not lost if something fails.
+                files = await getAnswerFiles(event.id, t);
+                await Image.destroy({
+                    where: { id: { [Sequelize.Op.in]: files.map(file => file.id) } },
+                    transaction: t
+                });
+
+                await Application.update(constants.APPLICATION_ANONYMISED_FIELDS, {
+                    where: { event_id: event.id },
+                    validate: false,
+                    hooks: false,
+                    transaction: t
+                });
+                await ApplicationChange.update({ old_value: null, new_value: null }, {
+                    where: {
+                        event_id: event.id,
+                        field: { [Sequelize.Op.in]: report.fields }
+                    },
+                    transaction: t
+                });
+                await ApplicationDraft.destroy({ where: { event_id: event.id }, transaction: t });
+                await Event.update({ anonymised_at: new Date() }, {
+                    where: { id: event.id },
+                    validate: false,
+                    hooks: false,
+                    transaction: t
+                });
+            });
+
+            for (const file of files) {
+                try {
+                    await fs.remove(file.file_path_absolute);
+                } catch (err) {
+                    logger.warn(`${prefix}: Could not remove file ${file.file_path_absolute}: ${err}`);
+                }
+            }
+
+            logger.info(`${prefix}: Successfully removed personal data and ${files.length} files for event #${event.id} (${event.name}).`);
+        }
+
+        return report;
     }
 };
 
+// Scheduling works with absolute dates, the timezone is only used
+// to render the time the same way as the event organizers see it.
+const formatTime = (time, timezone = constants.DEFAULT_TIMEZONE) => moment.tz(time, timezone).format('YYYY-MM-DD HH:mm:ss z');
+
+const formatJobTime = job => (job.recurring ? `"${job.time}"` : formatTime(job.time, job.timezone));
+
 class JobManager {
     constructor() {
         this.jobs = {};
@@ -81,11 +224,16 @@ class JobManager {
                 key: 'CLOSE_POSITION_APPLICATIONS',
                 description: 'Close position application deadline',
                 callback: JobCallbacks.CLOSE_POSITION_APPLICATIONS
+            },
+            ANONYMISE_APPLICATIONS: {
+                key: 'ANONYMISE_APPLICATIONS',
+                description: 'Remove personal data from the applications for past events',
+                callback: JobCallbacks.ANONYMISE_APPLICATIONS
             }
         };
     }
 
-    addJob(jobType, time, params) {
+    addJob(jobType, time, params, timezone = constants.DEFAULT_TIMEZONE) {
         const {
             description,
             callback,
@@ -94,7 +242,7 @@ class JobManager {
 
         if (moment().isAfter(time)) {
             logger.warn(`Job "${description}" with params %o is not added: \
-is in the past (${moment(time).format('YYYY-MM-DD HH:mm:SS')}), not scheduling.`, params);
+is in the past (${formatTime(time, timezone)}), not scheduling.`, params);
             return;
         }
 
@@ -106,13 +254,41 @@ is in the past (${moment(time).format('YYYY-MM-DD HH:mm:SS')}), not scheduling.`
             key,
             description,
             time,
+            timezone,
             params,
             id,
             callback,
             job
         };
         logger.info(`Added a job: "${description}" with id ${id}, \
-scheduled on ${moment(time).format('YYYY-MM-DD HH:mm:SS')}, \
+scheduled on ${formatTime(time, timezone)}, \
+with the following params: %o`, params);
+        return id;
+    }
+
+    addRecurringJob(jobType, rule, params) {
+        const {
+            description,
+            callback,
+            key
+        } = jobType;
+
+        const id = ++this.currentJob;
+
+        const job = scheduler.scheduleJob(rule, () => this.executeJob(id));
+
+        this.jobs[id] = {
+            key,
+            description,
+            time: rule,
+            recurring: true,
+            params,
+            id,
+            callback,
+            job
+        };
+        logger.info(`Added a recurring job: "${description}" with id ${id}, \
+scheduled as "${rule}", \
 with the following params: %o`, params);
         return id;
     }
@@ -124,10 +300,14 @@ with the following params: %o`, params);
             return;
         }
 
-        logger.info(`Executing job #${job.id}: "${job.description}", scheduled on ${moment(job.time).format('YYYY-MM-DD HH:mm:SS')}.`);
+        logger.info(`Executing job #${job.id}: "${job.description}", scheduled on ${formatJobTime(job)}.`);
         await job.callback(job.params);
-        logger.info(`Executed job #${job.id}: "${job.description}", scheduled on ${moment(job.time).format('YYYY-MM-DD HH:mm:SS')}.`);
-        delete this.jobs[id];
+        logger.info(`Executed job #${job.id}: "${job.description}", scheduled on ${formatJobTime(job)}.`);
+
+        // The recurring jobs are kept, as they'll be run again.
+        if (!job.recurring) {
+            delete this.jobs[id];
+        }
     }
 
     cancelJob(id) {
@@ -137,19 +317,23 @@ with the following params: %o`, params);
             return;
         }
 
-        logger.info(`Cancelling job #${job.id}: "${job.description}", scheduled on ${moment(job.time).format('YYYY-MM-DD HH:mm:SS')}.`);
+        logger.info(`Cancelling job #${job.id}: "${job.description}", scheduled on ${formatJobTime(job)}.`);
         scheduler.cancelJob(job.job);
         delete this.jobs[id];
     }
 
     // eslint-disable-next-line class-methods-use-this
     async registerAllDeadlines() {
+        // Only needed to log the deadlines in the events' timezones.
+        const events = await Event.findAll({ attributes: ['id', 'timezone'] });
+        const getTimezone = eventId => events.find(event => event.id === eventId).timezone;
+
         const positions = await Position.findAll({});
         logger.info(`Registering deadline for ${positions.length} positions...`);
         for (const position of positions) {
             // Triggering model update to run hooks to set deadlines.
             position.changed('id', true);
-            await position.save();
+            await position.save({ timezone: getTimezone(position.event_id) });
         }
 
         const plenaries = await Plenary.findAll({});
@@ -160,11 +344,30 @@ with the following params: %o`, params);
             } else {
                 // Triggering model update to run hooks to set deadlines.
                 plenary.changed('id', true);
-                await plenary.save();
+                await plenary.save({ timezone: getTimezone(plenary.event_id) });
             }
         }
     }
 
+    // Removing the personal data of the applicants some time after the event has ended.
+    // Not scheduled if there's no schedule in the config.
+    registerRetentionJob() {
+        if (!config.retention.schedule) {
+            return null;
+        }
+
+        return this.addRecurringJob(
+            this.JOB_TYPES.ANONYMISE_APPLICATIONS,
+            config.retention.schedule,
+            { dryRun: config.retention.dry_run }
+        );
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    getRetentionReport() {
+        return getRetentionReport();
+    }
+
     clearJobs(key, params) {
         const ids = Object.keys(this.jobs);
         for (const id of ids) {
@@ -3,8 +3,27 @@ const moment = require('moment');
 const errors = require('./errors');
 const constants = require('./constants');
 const helpers = require('./helpers');
-const { Sequelize } = require('./sequelize');
-const { Event, Image } = require('../models');
+const cron = require('./cron');
+const mailer = require('./mailer');
+const logger = require('./logger');
+const { Sequelize, sequelize } = require('./sequelize');
+const {
+    Event,
+    Image,
+    Application,
+    MembersList,
+    VotesPerAntenna,
+    VotesPerDelegate,
+    Position,
+    Candidate,
+    Plenary,
+    Attendance,
+    QuestionLine,
+    Question,
+    Session,
+    ApplicationChange,
+    ApplicationDraft
+} = require('../models');
 
 exports.addEvent = async (req, res) => {
     if (!req.permissions.create_event[req.body.type]) {
@@ -14,6 +33,8 @@ exports.addEvent = async (req, res) => {
     delete req.body.status;
     delete req.body.id;
 
+    helpers.parseDatesInTimezone(req.body, constants.EVENT_DATE_FIELDS, req.body.timezone || constants.DEFAULT_TIMEZONE);
+
     const newEvent = await Event.create(req.body);
     return res.json({
         success: true,
@@ -21,13 +42,149 @@ exports.addEvent = async (req, res) => {
     });
 };
 
+exports.cloneEvent = async (req, res) => {
+    if (!req.permissions.create_event[req.event.type]) {
+        return errors.makeForbiddenError(res, 'You are not allowed to create events of this type.');
+    }
+
+    const offset = Number(req.body.offset_days);
+    if (!helpers.isDefined(req.body.offset_days) || !Number.isInteger(offset)) {
+        return errors.makeBadRequestError(res, 'The offset in days should be an integer.');
+    }
+
+    // All the dates are shifted by the same amount of days, so the order
+    // of the deadlines stays the same and the validations would pass.
+    const shift = date => (date ? moment(date).add(offset, 'days').toDate() : date);
+
+    const positions = await Position.findAll({ where: { event_id: req.event.id } });
+    const plenaries = await Plenary.findAll({ where: { event_id: req.event.id } });
+    const sessions = await Session.findAll({ where: { event_id: req.event.id } });
+
+    // Sessions are linked to positions and plenaries, so storing the IDs
+    // of the cloned ones to link the cloned sessions to them.
+    const newPositionsIds = {};
+    const newPlenariesIds = {};
+
+    let newEvent;
+
+    // Doing it in a transaction, so if some of the positions, plenaries or sessions fail
+    // to validate, the event won't be created.
+    await sequelize.transaction(async (t) => {
+        newEvent = await Event.create({
+            name: req.body.name || req.event.name,
+            url: req.body.url,
+            description: req.event.description,
+            type: req.event.type,
+            body_id: req.event.body_id,
+            fee: req.event.fee,
+            questions: req.event.questions,
+            locations: req.event.locations,
+            translations: req.event.translations,
+            timezone: req.event.timezone,
+            starts: shift(req.event.starts),
+            ends: shift(req.event.ends),
+            application_period_starts: shift(req.event.application_period_starts),
+            application_period_ends: shift(req.event.application_period_ends),
+            board_approve_deadline: shift(req.event.board_approve_deadline),
+            participants_list_publish_deadline: shift(req.event.participants_list_publish_deadline),
+            memberslist_submission_deadline: shift(req.event.memberslist_submission_deadline)
+        }, { transaction: t });
+
+        for (const position of positions) {
+            const newPosition = await Position.create({
+                event_id: newEvent.id,
+                name: position.name,
+                places: position.places,
+                starts: shift(position.starts),
+                ends: shift(position.ends),
+                ends_force: shift(position.ends_force)
+            }, { transaction: t, timezone: newEvent.timezone });
+
+            newPositionsIds[position.id] = newPosition.id;
+        }
+
+        for (const plenary of plenaries) {
+            const newPlenary = await Plenary.create({
+                event_id: newEvent.id,
+                name: plenary.name,
+                starts: shift(plenary.starts),
+                ends: shift(plenary.ends)
+            }, { transaction: t, timezone: newEvent.timezone });
+
+            newPlenariesIds[plenary.id] = newPlenary.id;
+        }
+
+        for (const session of sessions) {
+            await Session.create({
+                event_id: newEvent.id,
+                name: session.name,
+                description: session.description,
+                type: session.type,
+                room: session.room,
+                location_id: session.location_id,
+                plenary_id: session.plenary_id ? newPlenariesIds[session.plenary_id] : null,
+                position_id: session.position_id ? newPositionsIds[session.position_id] : null,
+                starts: shift(session.starts),
+                ends: shift(session.ends)
+            }, { transaction: t });
+        }
+    });
+
+    return res.json({
+        success: true,
+        data: newEvent
+    });
+};
+
 exports.listEvents = async (req, res) => {
+    const asArray = value => (Array.isArray(value) ? value : [value]);
+
     const query = {
-        where: { status: 'published' },
-        order: [['starts', 'DESC']],
+        where: { [Sequelize.Op.and]: [] },
+        order: [],
         include: [Image]
     };
 
+    // Applying limit and offset, if set.
+    for (const key of ['limit', 'offset']) {
+        if (!helpers.isDefined(req.query[key])) {
+            continue;
+        }
+
+        const value = Number(req.query[key]);
+        if (!Number.isInteger(value) || value < 0) {
+            return errors.makeBadRequestError(res, `The ${key} should be a non-negative integer.`);
+        }
+
+        query[key] = value;
+    }
+
+    // Sorting can be set either as a single object ({ field, order }) or as an array
+    // of these, to sort by multiple fields. Sorting by start date descending by default.
+    const sorting = helpers.isObject(req.query.sort)
+        ? asArray(req.query.sort)
+        : [{ field: 'starts', order: 'desc' }];
+
+    for (const sort of sorting) {
+        const field = helpers.isObject(sort) ? sort.field : undefined;
+        const order = helpers.isObject(sort) && helpers.isDefined(sort.order) ? String(sort.order).toLowerCase() : 'asc';
+
+        if (!constants.EVENT_SORTABLE_FIELDS.includes(field)) {
+            return errors.makeBadRequestError(res, `Cannot sort by "${field}", allowed fields are: ${constants.EVENT_SORTABLE_FIELDS.join(', ')}.`);
+        }
+
+        if (!['asc', 'desc'].includes(order)) {
+            return errors.makeBadRequestError(res, `Sorting order should be either "asc" or "desc", got "${order}".`);
+        }
+
+        query.order.push([field, order]);
+    }
+
+    // Sorting by ID in the end, so the pagination is stable when the other fields are equal.
+    if (!query.order.some(([field]) => field === 'id')) {
+        query.order.push(['id', 'desc']);
+    }
+
     // If search is set, searching for event by name or description case-insensitive.
     if (req.query.search) {
         query.where[Sequelize.Op.or] = [
@@ -41,25 +198,64 @@ exports.listEvents = async (req, res) => {
         query.where.type = Array.isArray(req.query.type) ? { [Sequelize.Op.in]: req.query.type } : req.query.type;
     }
 
+    // If body is set, filter on it.
+    if (helpers.isDefined(req.query.body_id)) {
+        const bodies = asArray(req.query.body_id).map(Number);
+        if (bodies.some(body => !Number.isInteger(body))) {
+            return errors.makeBadRequestError(res, 'The body_id should be an integer or an array of integers.');
+        }
+
+        query.where.body_id = { [Sequelize.Op.in]: bodies };
+    }
+
+    // If the lifecycle status is set, filter on it, otherwise displaying the public events.
+    // Everybody can see the events in public statuses, the other ones (like drafts or
+    // cancelled events) are only displayed for those who can manage events of this type.
+    const statuses = req.query.status ? asArray(req.query.status) : constants.EVENT_PUBLIC_STATUSES;
+    const publicStatuses = statuses.filter(status => constants.EVENT_PUBLIC_STATUSES.includes(status));
+    const privateStatuses = statuses.filter(status => !constants.EVENT_PUBLIC_STATUSES.includes(status));
+    const manageableTypes = Object.keys(req.permissions.create_event).filter(type => req.permissions.create_event[type]);
+
+    const statusQuery = [{ status: { [Sequelize.Op.in]: publicStatuses } }];
+    if (privateStatuses.length > 0 && manageableTypes.length > 0) {
+        statusQuery.push({
+            status: { [Sequelize.Op.in]: privateStatuses },
+            type: { [Sequelize.Op.in]: manageableTypes }
+        });
+    }
+    query.where[Sequelize.Op.and].push({ [Sequelize.Op.or]: statusQuery });
+
     // Filtering by event start and end dates.
     // The events are not inclusive, so when the event starts on 2018-01-02 and ends on 2018-01-17, querying
     // from 2018-01-05 to 2018-01-10 won't return it.
-    const dateQuery = [];
-    if (req.query.starts) dateQuery.push({ starts: { [Sequelize.Op.gte]: moment(req.query.starts, 'YYYY-MM-DD').startOf('day').toDate() } });
-    if (req.query.ends) dateQuery.push({ ends: { [Sequelize.Op.lte]: moment(req.query.ends, 'YYYY-MM-DD').endOf('day').toDate() } });
-    query.where[Sequelize.Op.and] = dateQuery;
+    if (req.query.starts) query.where[Sequelize.Op.and].push({ starts: { [Sequelize.Op.gte]: moment(req.query.starts, 'YYYY-MM-DD').startOf('day').toDate() } });
+    if (req.query.ends) query.where[Sequelize.Op.and].push({ ends: { [Sequelize.Op.lte]: moment(req.query.ends, 'YYYY-MM-DD').endOf('day').toDate() } });
 
-    const events = await Event.findAll(query);
+    // Filtering upcoming or past events. The event is upcoming until it ends,
+    // so the ones happening right now are also considered upcoming.
+    if (req.query.period === 'upcoming') {
+        query.where[Sequelize.Op.and].push({ ends: { [Sequelize.Op.gte]: new Date() } });
+    } else if (req.query.period === 'past') {
+        query.where[Sequelize.Op.and].push({ ends: { [Sequelize.Op.lt]: new Date() } });
+    } else if (helpers.isDefined(req.query.period)) {
+        return errors.makeBadRequestError(res, 'The period should be either "upcoming" or "past".');
+    }
+
+    const events = await Event.findAndCountAll(query);
+    const languages = helpers.getPreferredLanguages(req);
 
     return res.json({
         success: true,
-        data: events
+        data: events.rows.map(event => event.translate(languages)),
+        meta: {
+            count: events.count
+        }
     });
 };
 
 exports.displayEvent = async (req, res) => {
     req.event.permissions = req.permissions;
-    const event = req.event.toJSON();
+    const event = req.event.translate(helpers.getPreferredLanguages(req));
     event.permissions = req.permissions;
 
     return res.json({
@@ -77,6 +273,8 @@ exports.editEvent = async (req, res) => {
     delete req.body.status;
     delete req.body.image_id;
 
+    helpers.parseDatesInTimezone(req.body, constants.EVENT_DATE_FIELDS, req.body.timezone || req.event.timezone);
+
     const dbResult = await req.event.update(req.body);
 
     return res.json({
@@ -124,7 +322,61 @@ exports.changeEventStatus = async (req, res) => {
         return errors.makeForbiddenError(res, 'You are not allowed to change status for events of this type.');
     }
 
-    await req.event.update({ status: req.body.status });
+    // If the status is not known, the model validation would catch it.
+    const oldStatus = req.event.status;
+    const newStatus = req.body.status;
+    if (constants.EVENT_STATUS_TRANSITIONS[newStatus] && !constants.EVENT_STATUS_TRANSITIONS[oldStatus].includes(newStatus)) {
+        return errors.makeForbiddenError(res, `Cannot change event status from "${oldStatus}" to "${newStatus}".`);
+    }
+
+    // The applicants to notify about the cancellation.
+    let applications = [];
+
+    await sequelize.transaction(async (t) => {
+        await req.event.update({ status: newStatus }, { transaction: t });
+
+        // Finishing the event: closing all the attendances that are still open
+        // and all the question lines, as nothing should happen after the event.
+        if (newStatus === 'finished') {
+            const plenaries = await Plenary.findAll({ where: { event_id: req.event.id }, transaction: t });
+
+            await Attendance.update(
+                { ends: new Date() },
+                { where: { plenary_id: { [Sequelize.Op.in]: plenaries.map(plenary => plenary.id) }, ends: null }, transaction: t }
+            );
+            await QuestionLine.update(
+                { status: 'closed' },
+                { where: { event_id: req.event.id }, transaction: t }
+            );
+        }
+
+        if (newStatus === 'cancelled') {
+            applications = await Application.findAll({
+                where: { event_id: req.event.id, cancelled: false },
+                transaction: t
+            });
+        }
+    });
+
+    // Cancelling the event: notifying everybody who applied, one mail per applicant, so they
+    // won't see each other's emails. Not waiting for the mails, so if the mailer is down,
+    // the event is cancelled anyway.
+    for (const application of applications) {
+        mailer.sendMail({
+            to: application.email,
+            subject: `${req.event.name} was cancelled`,
+            template: 'statutory_event_cancelled.html',
+            parameters: {
+                event: req.event
+            }
+        }).catch((err) => {
+            logger.error('Could not notify application #%s about the event cancellation: %s', application.id, err);
+        });
+    }
+
+    if (newStatus === 'cancelled') {
+        logger.info(`Event ${req.event.id} (${req.event.name}) was cancelled, notifying ${applications.length} applicants.`);
+    }
 
     return res.json({
         success: true,
@@ -132,6 +384,120 @@ exports.changeEventStatus = async (req, res) => {
     });
 };
 
+exports.archiveEvent = async (req, res) => {
+    if (!req.permissions.change_event_status) {
+        return errors.makeForbiddenError(res, 'You are not allowed to change status for events of this type.');
+    }
+
+    if (!constants.EVENT_STATUS_TRANSITIONS[req.event.status].includes('archived')) {
+        return errors.makeForbiddenError(res, 'Only published, finished or cancelled events can be archived.');
+    }
+
+    await req.event.update({ status: 'archived' });
+
+    return res.json({
+        success: true,
+        message: 'Event was archived successfully.'
+    });
+};
+
+exports.deleteEvent = async (req, res) => {
+    if (!req.permissions.delete_event) {
+        return errors.makeForbiddenError(res, 'You are not allowed to delete events of this type.');
+    }
+
+    // Published events have applications and stuff that shouldn't be lost,
+    // so they should be archived instead.
+    if (req.event.status !== 'draft') {
+        return errors.makeForbiddenError(res, 'Only draft events can be deleted, archive this event instead.');
+    }
+
+    const positions = await Position.findAll({ where: { event_id: req.event.id }, include: [Candidate] });
+    const plenaries = await Plenary.findAll({ where: { event_id: req.event.id } });
+    const questionLines = await QuestionLine.findAll({ where: { event_id: req.event.id } });
+
+    const positionsIds = positions.map(position => position.id);
+    const plenariesIds = plenaries.map(plenary => plenary.id);
+    const questionLinesIds = questionLines.map(questionLine => questionLine.id);
+
+    // Images for the event itself and for all of the candidates.
+    const imagesIds = positions
+        .map(position => position.candidates.map(candidate => candidate.image_id))
+        .reduce((acc, val) => acc.concat(val), [req.event.image_id])
+        .filter(imageId => helpers.isTruthy(imageId));
+
+    // The order matters here, as the entities are referencing each other
+    // and removing them in the other way would violate foreign key constraints.
+    await sequelize.transaction(async (t) => {
+        await Session.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await Question.destroy({ where: { question_line_id: { [Sequelize.Op.in]: questionLinesIds } }, transaction: t });
+        await QuestionLine.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await Attendance.destroy({ where: { plenary_id: { [Sequelize.Op.in]: plenariesIds } }, transaction: t });
+        await Plenary.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await Candidate.destroy({ where: { position_id: { [Sequelize.Op.in]: positionsIds } }, transaction: t });
+        await Position.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await VotesPerDelegate.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await VotesPerAntenna.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await MembersList.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await ApplicationChange.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await ApplicationDraft.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await Application.destroy({ where: { event_id: req.event.id }, transaction: t });
+        await req.event.destroy({ transaction: t });
+
+        // Images are removed last, as the files are deleted from disk within the hook.
+        await Image.destroy({
+            where: { id: { [Sequelize.Op.in]: imagesIds } },
+            individualHooks: true,
+            transaction: t
+        });
+    });
+
+    // Clearing the deadlines for positions and plenaries, as they don't exist anymore.
+    for (const id of positionsIds) {
+        cron.clearJobs(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS, { id });
+        cron.clearJobs(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, { id });
+    }
+
+    for (const id of plenariesIds) {
+        cron.clearJobs(cron.JOB_TYPES.CLOSE_ATTENDANCES, { id });
+    }
+
+    return res.json({
+        success: true,
+        message: 'Event was deleted successfully.'
+    });
+};
+
+exports.getMissingTranslations = async (req, res) => {
+    if (!req.permissions.edit_event) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see the translations of this event.');
+    }
+
+    // Checking all the languages the event has translations for, and the requested one
+    // if it's set, so it's possible to see what's needed to add a new language.
+    const languages = Object.keys(req.event.translations);
+    if (typeof req.query.lang === 'string') {
+        const language = req.query.lang.toLowerCase();
+        if (!constants.LANGUAGE_CODE_REGEX.test(language) || language === constants.DEFAULT_LANGUAGE) {
+            return errors.makeBadRequestError(res, 'The language should be a valid language code other than the default one.');
+        }
+
+        if (!languages.includes(language)) {
+            languages.push(language);
+        }
+    }
+
+    const missing = {};
+    for (const language of languages) {
+        missing[language] = req.event.getMissingTranslations(language);
+    }
+
+    return res.json({
+        success: true,
+        data: missing
+    });
+};
+
 exports.getApplicationAllFields = async (req, res) => {
     return res.json({
         success: true,
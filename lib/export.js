@@ -0,0 +1,149 @@
+const { once } = require('events');
+const xlsx = require('node-xlsx').default;
+const archiver = require('archiver');
+
+const constants = require('./constants');
+const helpers = require('./helpers');
+const logger = require('./logger');
+
+// Sending the exports as XLSX, CSV or JSON, depending on the '?format=' query param.
+// CSV and JSON are streamed row by row, so the whole export is never kept in memory.
+// XLSX cannot be streamed with node-xlsx, so it's built in memory as before,
+// use CSV or JSON for the large exports.
+
+const CONTENT_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv',
+    json: 'application/json'
+};
+
+exports.getFormat = req => req.query.format || 'xlsx';
+
+exports.isValidFormat = format => constants.EXPORT_FORMATS.includes(format);
+
+// Escaping the value as described in RFC 4180: wrapping it in quotes
+// if it has commas, quotes or line breaks, and doubling the quotes inside.
+exports.escapeCsvValue = (value) => {
+    if (!helpers.isTruthy(value)) {
+        return '';
+    }
+
+    const string = String(value);
+    return /[",\r\n]/.test(string)
+        ? '"' + string.replace(/"/g, '""') + '"'
+        : string;
+};
+
+exports.toCsvLine = values => values.map(exports.escapeCsvValue).join(',') + '\r\n';
+
+const setHeaders = (res, format, filename) => {
+    res.setHeader('Content-type', CONTENT_TYPES[format]);
+    res.setHeader('Content-disposition', `attachment; filename=${filename}.${format}`);
+};
+
+// Respecting the backpressure, so the rows are not piling up in memory if the client is slow.
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await once(res, 'drain');
+    }
+};
+
+// Sending one table. The rows are fetched in batches with fetchBatch({ offset, limit })
+// which should return the arrays of raw values in the same order as the keys.
+// The values are prettified for XLSX and CSV, JSON gets them as they are, with the keys as field names.
+exports.sendTable = async (res, {
+    format,
+    filename,
+    sheetName,
+    keys,
+    headers,
+    timezone,
+    fetchBatch
+}) => {
+    const beautifyRow = row => row.map(value => helpers.beautify(value, timezone));
+
+    if (format === 'xlsx') {
+        const rows = [];
+        for (let offset = 0; ; offset += constants.EXPORT_BATCH_SIZE) {
+            const batch = await fetchBatch({ offset, limit: constants.EXPORT_BATCH_SIZE });
+            rows.push(...batch.map(beautifyRow));
+
+            if (batch.length < constants.EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        setHeaders(res, format, filename);
+        return res.send(xlsx.build([{ name: sheetName, data: [headers, ...rows] }]));
+    }
+
+    setHeaders(res, format, filename);
+
+    // The response is already being sent at this point, so the errors cannot be returned
+    // as usual. Closing the connection instead, so the client won't get a partial file as the full one.
+    try {
+        let isFirstRow = true;
+        await write(res, format === 'csv' ? exports.toCsvLine(headers) : '[');
+
+        for (let offset = 0; ; offset += constants.EXPORT_BATCH_SIZE) {
+            const batch = await fetchBatch({ offset, limit: constants.EXPORT_BATCH_SIZE });
+
+            for (const row of batch) {
+                if (format === 'csv') {
+                    await write(res, exports.toCsvLine(beautifyRow(row)));
+                } else {
+                    const object = keys.reduce((acc, key, index) => Object.assign(acc, { [key]: row[index] }), {});
+                    await write(res, (isFirstRow ? '' : ',') + JSON.stringify(object));
+                    isFirstRow = false;
+                }
+            }
+
+            if (batch.length < constants.EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (format === 'json') {
+            await write(res, ']');
+        }
+
+        return res.end();
+    } catch (err) {
+        logger.error('Could not send the export: %s', err.stack);
+        return res.destroy(err);
+    }
+};
+
+// Sending the export that has multiple sheets, built in memory. Each sheet is
+// { name, data } with data being the array of rows (which can have different lengths).
+// For CSV each sheet is a separate file, so if there are more than 1, they are sent as a ZIP archive.
+exports.sendSheets = async (res, { format, filename, sheets }) => {
+    if (format === 'xlsx') {
+        setHeaders(res, format, filename);
+        return res.send(xlsx.build(sheets));
+    }
+
+    if (format === 'json') {
+        setHeaders(res, format, filename);
+        return res.send(JSON.stringify(sheets));
+    }
+
+    const toCsv = sheet => sheet.data.map(exports.toCsvLine).join('');
+
+    if (sheets.length === 1) {
+        setHeaders(res, format, filename);
+        return res.send(toCsv(sheets[0]));
+    }
+
+    res.setHeader('Content-type', 'application/zip');
+    res.setHeader('Content-disposition', `attachment; filename=${filename}.zip`);
+
+    const archive = archiver('zip');
+    archive.pipe(res);
+
+    for (const sheet of sheets) {
+        archive.append(toCsv(sheet), { name: sheet.name.replace(/[^\w\- ]/g, '_') + '.csv' });
+    }
+
+    return archive.finalize();
+};
@@ -0,0 +1,164 @@
+const moment = require('moment-timezone');
+
+const helpers = require('./helpers');
+const { Sequelize } = require('./sequelize');
+
+// Parsing the filters and the sorting for the lists from the query string, for example:
+// ?filter[status][in][]=accepted&filter[created_at][gte]=2020-01-01&filter[answers.1a2b3c4d]=Yes
+// &sort[0][field]=body_name&sort[0][order]=asc&sort[1][field]=created_at
+// Passing the value without the operator is the same as using 'eq'.
+// Only the fields allowed for the specific list can be used, so the users cannot
+// find out the values of the fields they are not supposed to see.
+
+const OPERATORS = {
+    eq: Sequelize.Op.eq,
+    ne: Sequelize.Op.ne,
+    in: Sequelize.Op.in,
+    not_in: Sequelize.Op.notIn,
+    gt: Sequelize.Op.gt,
+    gte: Sequelize.Op.gte,
+    lt: Sequelize.Op.lt,
+    lte: Sequelize.Op.lte,
+    contains: Sequelize.Op.iLike
+};
+
+const LIST_OPERATORS = ['in', 'not_in'];
+const COMPARISON_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const ANSWERS_OPERATORS = ['eq', 'ne', 'in', 'not_in', 'contains'];
+
+// The answers are filtered by question ID, like 'answers.1a2b3c4d'.
+const ANSWER_FIELD_REGEX = /^answers\.([0-9a-z]+)$/;
+
+const getOperatorsForType = (type) => {
+    switch (type.key) {
+    case 'BOOLEAN':
+        return ['eq', 'ne'];
+    case 'ENUM':
+        return ['eq', 'ne', 'in', 'not_in'];
+    case 'INTEGER':
+    case 'DATE':
+        return ['eq', 'ne', 'in', 'not_in', ...COMPARISON_OPERATORS];
+    case 'STRING':
+    case 'TEXT':
+        return Object.keys(OPERATORS);
+    // JSON fields and everything else cannot be filtered on.
+    default:
+        return [];
+    }
+};
+
+// Checking the value and converting it to what the database expects.
+const parseValue = (field, type, value) => {
+    if (typeof value === 'object' && value !== null) {
+        throw new Error(`Invalid value for "${field}".`);
+    }
+
+    switch (type.key) {
+    case 'BOOLEAN':
+        if (![true, false, 'true', 'false'].includes(value)) {
+            throw new Error(`"${field}" should be true or false.`);
+        }
+        return value === true || value === 'true';
+    case 'ENUM':
+        if (!type.values.includes(value)) {
+            throw new Error(`"${field}" should be one of these: ${type.values.join(', ')}.`);
+        }
+        return value;
+    case 'INTEGER':
+        if (!/^-?\d+$/.test(String(value))) {
+            throw new Error(`"${field}" should be an integer.`);
+        }
+        return Number(value);
+    case 'DATE':
+        if (!moment(String(value), moment.ISO_8601, true).isValid()) {
+            throw new Error(`"${field}" should be a valid date.`);
+        }
+        return moment(String(value), moment.ISO_8601, true).toDate();
+    default:
+        return String(value);
+    }
+};
+
+// The LIKE wildcards in the value itself should be matched literally.
+const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+const parseCondition = (field, operator, value, type) => {
+    if (LIST_OPERATORS.includes(operator)) {
+        const values = Array.isArray(value) ? value : [value];
+        return { [OPERATORS[operator]]: values.map(item => parseValue(field, type, item)) };
+    }
+
+    if (operator === 'contains') {
+        return { [OPERATORS[operator]]: '%' + escapeLike(parseValue(field, type, value)) + '%' };
+    }
+
+    return { [OPERATORS[operator]]: parseValue(field, type, value) };
+};
+
+// Returns the array of conditions to be joined with AND, throws an error if the filter is invalid.
+exports.parseFilter = (model, filter, allowedFields) => {
+    if (!helpers.isDefined(filter)) {
+        return [];
+    }
+
+    if (!helpers.isObject(filter) || Array.isArray(filter)) {
+        throw new Error('Filter should be an object.');
+    }
+
+    const conditions = [];
+
+    for (const [field, fieldFilter] of Object.entries(filter)) {
+        const answerMatch = field.match(ANSWER_FIELD_REGEX);
+        const isAllowed = answerMatch
+            ? allowedFields.includes('answers')
+            : allowedFields.includes(field) && field in model.rawAttributes;
+
+        if (!isAllowed) {
+            throw new Error(`Filtering by "${field}" is not allowed.`);
+        }
+
+        // The answers are compared as text, as they can be of any type.
+        const type = answerMatch ? Sequelize.TEXT : model.rawAttributes[field].type;
+        const allowedOperators = answerMatch ? ANSWERS_OPERATORS : getOperatorsForType(type);
+
+        // The value without the operator means equality.
+        const operators = helpers.isObject(fieldFilter) && !Array.isArray(fieldFilter)
+            ? fieldFilter
+            : { eq: fieldFilter };
+
+        for (const [operator, value] of Object.entries(operators)) {
+            if (!allowedOperators.includes(operator)) {
+                throw new Error(`Operator "${operator}" cannot be used for "${field}", allowed operators are: ${allowedOperators.join(', ')}.`);
+            }
+
+            conditions.push({ [field]: parseCondition(field, operator, value, type) });
+        }
+    }
+
+    return conditions;
+};
+
+// Returns the Sequelize order, sorting by ID desc by default. The sorting can be
+// either one object with 'field' and 'order' or the array of these.
+exports.parseSort = (model, sort, allowedFields) => {
+    if (!helpers.isDefined(sort)) {
+        return [['id', 'desc']];
+    }
+
+    const sortFields = Array.isArray(sort) ? sort : [sort];
+    if (sortFields.length === 0 || !sortFields.every(helpers.isObject)) {
+        throw new Error('Sorting should be an object or an array of objects.');
+    }
+
+    return sortFields.map(({ field = 'id', order = 'desc' }) => {
+        if (!allowedFields.includes(field) || !(field in model.rawAttributes)) {
+            throw new Error(`Sorting by "${field}" is not allowed.`);
+        }
+
+        if (!['asc', 'desc'].includes(String(order).toLowerCase())) {
+            throw new Error('Sorting order should be either "asc" or "desc".');
+        }
+
+        return [field, String(order).toLowerCase()];
+    });
+};
@@ -1,4 +1,4 @@
-const Moment = require('moment');
+const Moment = require('moment-timezone');
 const MomentRange = require('moment-range');
 
 const moment = MomentRange.extendMoment(Moment);
@@ -36,6 +36,15 @@ exports.isDefined = value => typeof value !== 'undefined';
 // A helper to check if the value is truthy.
 exports.isTruthy = value => exports.isDefined(value) && value !== null;
 
+// A helper to check if the string is a valid regular expression.
+exports.isValidRegex = (value) => {
+    try {
+        return new RegExp(value) instanceof RegExp;
+    } catch (err) {
+        return false;
+    }
+};
+
 // A helper to check if the boardview update for application was okay.
 // It's run within a transaction, so if this will throw an error, the transaction will be rolled back.
 exports.checkApplicationBoardviewValidity = async ({ event, application, body, transaction }) => {
@@ -199,7 +208,8 @@ exports.flattenObject = (obj, prefix = '') => {
 };
 
 // A helper uset to pretty-format values.
-exports.beautify = (value) => {
+// The dates are displayed in the passed timezone (usually the event's one).
+exports.beautify = (value, timezone = constants.DEFAULT_TIMEZONE) => {
     // If it's boolean, display it as Yes/No instead of true/false
     if (typeof value === 'boolean') {
         return value ? 'Yes' : 'No';
@@ -207,13 +217,54 @@ exports.beautify = (value) => {
 
     // If it's date, return date formatted.
     if (Object.prototype.toString.call(value) === '[object Date]') {
-        return moment(value).format('YYYY-MM-DD HH:mm:ss');
+        return moment.tz(value, timezone).format('YYYY-MM-DD HH:mm:ss');
     }
 
     // Else, present it as it is.
     return value;
 };
 
+// A helper to interpret the dates passed without the explicit offset
+// (like '2020-01-01 12:00') in the given timezone instead of the server one.
+// Should be called before passing the dates to the model, as Sequelize converts
+// them to Date objects using the server timezone.
+exports.parseDatesInTimezone = (object, fields, timezone) => {
+    // If the timezone is invalid, the model validation will catch it.
+    if (!moment.tz.zone(timezone)) {
+        return;
+    }
+
+    for (const field of fields) {
+        const value = object[field];
+        // Skipping the ones that are not strings or have the offset set after the time.
+        if (typeof value !== 'string' || /\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*([zZ]|[+-]\d{2}(:?\d{2})?)$/.test(value.trim())) {
+            continue;
+        }
+
+        const parsed = moment.tz(value, moment.ISO_8601, timezone);
+        if (parsed.isValid()) {
+            object[field] = parsed.toDate();
+        }
+    }
+};
+
+// A helper to get the languages the user wants to see the content in, in the order
+// of preference. The ?lang= query parameter goes first, then the Accept-Language header.
+// Only the primary language subtag is used, so 'de-AT' is treated as 'de'.
+exports.getPreferredLanguages = (req) => {
+    const requested = [];
+    if (typeof req.query.lang === 'string') {
+        requested.push(req.query.lang);
+    }
+
+    requested.push(...req.acceptsLanguages());
+
+    return requested
+        .map(language => language.split('-')[0].trim().toLowerCase())
+        .filter(language => constants.LANGUAGE_CODE_REGEX.test(language))
+        .filter((language, index, array) => array.indexOf(language) === index);
+};
+
 // A helper to check if the given application matches one of the members in memberslist.
 exports.memberMatchApplication = (member, application) => {
     // First, checking if user_id match.
@@ -244,11 +295,58 @@ exports.isMemberOf = (user, bodyId) => user.bodies.map(body => body.id).includes
 // A helpers to determine if body is a local.
 exports.isLocal = body => ['antenna', 'contact antenna', 'contact'].includes(body.type);
 
+// A helper to check if the question is displayed to the user, based on the answers
+// to the previous questions. If the question it depends on is hidden, it's hidden as well.
+exports.isQuestionVisible = (questions, answers, question) => {
+    const condition = question.show_if;
+    if (!exports.isTruthy(condition)) {
+        return true;
+    }
+
+    const dependsOn = questions.find(otherQuestion => otherQuestion.id === condition.question);
+    if (!dependsOn) {
+        return true;
+    }
+
+    if (!exports.isQuestionVisible(questions, answers, dependsOn)) {
+        return false;
+    }
+
+    const answer = answers[dependsOn.id];
+    return Array.isArray(answer) ? answer.includes(condition.value) : answer === condition.value;
+};
+
+// A helper to present the answers in exports, as not all of them are strings.
+// Files are displayed as their paths, so they should be passed as { [id]: image }.
+exports.formatAnswers = (questions, answers, files = {}) => questions.reduce((acc, question) => {
+    const answer = answers[question.id];
+    if (!exports.isTruthy(answer) || !exports.isQuestionVisible(questions, answers, question)) {
+        acc[question.id] = '';
+    } else if (question.type === 'multiselect') {
+        acc[question.id] = Array.isArray(answer) ? answer.join(', ') : answer;
+    } else if (question.type === 'file') {
+        acc[question.id] = files[answer] ? files[answer].frontend_path : '';
+    } else {
+        acc[question.id] = answer;
+    }
+
+    return acc;
+}, {});
+
 // A helper to get the names for application fields. Useful for exporting for getting columns headers.
 exports.getApplicationFields = (event) => {
     const fields = Object.assign({}, constants.APPLICATION_FIELD_NAMES);
     for (let index = 0; index < event.questions.length; index++) {
-        fields['answers.' + index] = `Answer ${index + 1}: ${event.questions[index].description}`;
+        const question = event.questions[index];
+        const key = 'answers.' + question.id;
+        fields[key] = `Answer ${index + 1}: ${question.description}`;
+
+        // Conditional questions are empty when they are hidden, so explaining it.
+        const condition = question.show_if;
+        if (exports.isTruthy(condition)) {
+            const dependsOnIndex = event.questions.findIndex(otherQuestion => otherQuestion.id === condition.question);
+            fields[key] += ` (if answer ${dependsOnIndex + 1} is "${exports.beautify(condition.value)}")`;
+        }
     }
 
     return fields;
@@ -265,7 +363,7 @@ function hasPermission(permissionsList, combinedPermission) {
 
 // A helper to get bodies list where I have some permission
 // from POST /my_permissions
-function getBodiesListFromPermissions(result) {
+exports.getBodiesListFromPermissions = (result) => {
     if (!Array.isArray(result)) {
         return [];
     }
@@ -274,7 +372,7 @@ function getBodiesListFromPermissions(result) {
         .filter(elt => elt.body_id)
         .map(elt => elt.body_id)
         .filter((elt, index, array) => array.indexOf(elt) === index);
-}
+};
 
 exports.getPermissions = (user, corePermissions) => {
     return {
@@ -307,9 +405,14 @@ exports.getEventPermissions = (data) => {
     permissions.edit_event = hasPermission(corePermissions, 'global:manage_event:' + event.type);
     permissions.change_event_status = hasPermission(corePermissions, 'global:manage_event:' + event.type);
     permissions.delete_event = hasPermission(corePermissions, 'global:manage_event:' + event.type);
-    permissions.apply = event.can_apply
+    // Nobody can apply for cancelled, finished or archived events.
+    permissions.apply = !constants.EVENT_LOCKED_STATUSES.includes(event.status) && (event.can_apply
         || hasPermission(corePermissions, 'global:manage_applications:' + event.type)
-        || hasPermission(corePermissions, 'global:apply:' + event.type);
+        || hasPermission(corePermissions, 'global:apply:' + event.type));
+    // Applying for the members who cannot do it themselves.
+    permissions.apply_on_behalf = !constants.EVENT_LOCKED_STATUSES.includes(event.status)
+        && (hasPermission(corePermissions, 'global:manage_applications:' + event.type)
+        || hasPermission(corePermissions, 'global:apply:' + event.type));
 
     permissions.use_massmailer = hasPermission(corePermissions, 'global:use_massmailer:' + event.type);
 
@@ -326,6 +429,14 @@ exports.getEventPermissions = (data) => {
         all: permissions.manage_applications,
         incoming: permissions.manage_applications || permissions.manage_incoming
     };
+    permissions.generate_visa_letters = permissions.manage_applications || permissions.manage_incoming;
+    // The letters can be previewed anytime, but not issued for cancelled, finished or archived events.
+    permissions.issue_visa_letters = permissions.generate_visa_letters && !constants.EVENT_LOCKED_STATUSES.includes(event.status);
+    permissions.print_badges = permissions.manage_applications || permissions.manage_incoming;
+    // Same for the badges, they are not stored as printed for cancelled, finished or archived events.
+    permissions.mark_badges_printed = permissions.print_badges && !constants.EVENT_LOCKED_STATUSES.includes(event.status);
+    // Nobody can import the applications for cancelled, finished or archived events, same as applying.
+    permissions.import_applications = permissions.manage_applications && !constants.EVENT_LOCKED_STATUSES.includes(event.status);
 
     permissions.set_board_comment_and_participant_type = {
         global: hasPermission(corePermissions, 'global:approve_members:' + event.type)
@@ -351,7 +462,10 @@ exports.getEventPermissions = (data) => {
     permissions.see_plenaries = hasPermission(corePermissions, 'global:see_plenaries:agora') || permissions.manage_plenaries;
     permissions.mark_attendance = hasPermission(corePermissions, 'global:mark_attendance:agora');
 
-    const approveBodiesList = getBodiesListFromPermissions(approvePermissions);
+    // The schedule is managed by the event organizers.
+    permissions.manage_sessions = hasPermission(corePermissions, 'global:manage_event:' + event.type);
+
+    const approveBodiesList = exports.getBodiesListFromPermissions(approvePermissions);
     const bodies = user ? user.bodies : [];
 
     for (const body of bodies) {
@@ -362,6 +476,13 @@ exports.getEventPermissions = (data) => {
         permissions.see_memberslist[body.id] = approveBodiesList.includes(body.id) && exports.isLocal(body);
     }
 
+    // The participant types of cancelled, finished or archived events cannot be changed, as the votes depend on them.
+    if (constants.EVENT_LOCKED_STATUSES.includes(event.status)) {
+        for (const key of Object.keys(permissions.set_board_comment_and_participant_type)) {
+            permissions.set_board_comment_and_participant_type[key] = false;
+        }
+    }
+
     permissions.manage_question_lines = hasPermission(corePermissions, 'global:manage_question_lines:' + event.type);
     permissions.see_questions = permissions.manage_question_lines || (myApplication ? myApplication.confirmed : false);
     permissions.submit_questions = myApplication ? myApplication.confirmed : false;
@@ -402,6 +523,16 @@ exports.getApplicationPermissions = ({ permissions, corePermissions, event, mine
 
     permissions.change_status = canManage;
 
+    permissions.see_application_history = canManage;
+
+    // Applications for cancelled, finished or archived events are locked,
+    // only the attendance-related fields can be changed afterwards.
+    if (constants.EVENT_LOCKED_STATUSES.includes(event.status)) {
+        permissions.edit_application = false;
+        permissions.set_application_cancelled = false;
+        permissions.change_status = false;
+    }
+
     return permissions;
 };
 
@@ -11,7 +11,8 @@ const fs = require('./fs');
 const { Image } = require('../models');
 
 const uploadFolderName = config.images_dir;
-const allowedExtensions = ['.png', '.jpg', '.jpeg'];
+const allowedImageExtensions = ['.png', '.jpg', '.jpeg'];
+const allowedFileExtensions = ['.png', '.jpg', '.jpeg', '.pdf'];
 
 const storage = multer.diskStorage({ // multers disk storage settings
     destination(req, file, cb) {
@@ -27,7 +28,8 @@ const storage = multer.diskStorage({ // multers disk storage settings
         cb(null, `${prefix}-${date}${extension}`);
     },
 });
-const upload = multer({
+
+const createUpload = (fieldName, allowedExtensions) => util.promisify(multer({
     storage,
     fileFilter(req, file, cb) {
         const extension = path.extname(file.originalname);
@@ -38,45 +40,52 @@ const upload = multer({
 
         return cb(null, true);
     },
-}).single('image');
-
-const uploadAsync = util.promisify(upload);
-
-exports.uploadImage = async (req, res, next) => {
-    // If upload folder doesn't exists, create it.
-    if (!fs.existsSync(uploadFolderName)) {
-        await fs.mkdir(uploadFolderName, { recursive: true });
-    }
-
-    try {
-        await uploadAsync(req, res);
-    } catch (err) {
-        log.error('Could not store image', err);
-        return errors.makeValidationError(res, err);
-    }
-
-    // If the head_image field is missing, do nothing.
-    if (!req.file) {
-        return errors.makeValidationError(res, 'No head_image is specified.');
-    }
-
-    // If the file's content is malformed, don't save it.
-    const buffer = readChunk.sync(req.file.path, 0, 4100);
-    const type = fileType(buffer);
-
-    const originalExtension = path.extname(req.file.originalname);
-    const determinedExtension = (type && type.ext ? `.${type.ext}` : 'unknown');
-
-    if (originalExtension !== determinedExtension || !allowedExtensions.includes(determinedExtension)) {
-        return errors.makeValidationError(res, 'Malformed file content.');
-    }
-
-    const image = await Image.create({
-        user_id: req.user.id,
-        file_name: req.file.filename,
-        file_folder: uploadFolderName
-    });
-
-    req.image = image;
-    return next();
+}).single(fieldName));
+
+// Both images and files (like the ones uploaded as the answers to the event questions)
+// are stored the same way, the only difference is the allowed extensions.
+const createUploadMiddleware = (fieldName, allowedExtensions) => {
+    const uploadAsync = createUpload(fieldName, allowedExtensions);
+
+    return async (req, res, next) => {
+        // If upload folder doesn't exists, create it.
+        if (!fs.existsSync(uploadFolderName)) {
+            await fs.mkdir(uploadFolderName, { recursive: true });
+        }
+
+        try {
+            await uploadAsync(req, res);
+        } catch (err) {
+            log.error('Could not store file', err);
+            return errors.makeValidationError(res, err);
+        }
+
+        // If the field is missing, do nothing.
+        if (!req.file) {
+            return errors.makeValidationError(res, `No ${fieldName} is specified.`);
+        }
+
+        // If the file's content is malformed, don't save it.
+        const buffer = readChunk.sync(req.file.path, 0, 4100);
+        const type = fileType(buffer);
+
+        const originalExtension = path.extname(req.file.originalname);
+        const determinedExtension = (type && type.ext ? `.${type.ext}` : 'unknown');
+
+        if (originalExtension !== determinedExtension || !allowedExtensions.includes(determinedExtension)) {
+            return errors.makeValidationError(res, 'Malformed file content.');
+        }
+
+        const image = await Image.create({
+            user_id: req.user.id,
+            file_name: req.file.filename,
+            file_folder: uploadFolderName
+        });
+
+        req.image = image;
+        return next();
+    };
 };
+
+exports.uploadImage = createUploadMiddleware('image', allowedImageExtensions);
+exports.uploadFile = createUploadMiddleware('file', allowedFileExtensions);
@@ -0,0 +1,318 @@
+const path = require('path');
+const util = require('util');
+const multer = require('multer');
+const moment = require('moment-timezone');
+const xlsx = require('node-xlsx').default;
+
+const errors = require('./errors');
+const core = require('./core');
+const constants = require('./constants');
+const helpers = require('./helpers');
+const log = require('./logger');
+const {
+    Application,
+    ApplicationChange,
+    PaxLimit,
+    VotesPerAntenna
+} = require('../models');
+const { sequelize } = require('./sequelize');
+
+// Importing the applications from a CSV or XLSX file for the people who cannot apply themselves,
+// like guests, partners or late delegates. The first row has the columns names (see IMPORT_FIELDS
+// and 'answers.<question ID>' for the answers), each next row is an application for one member.
+// Nothing is imported if at least one row is invalid, and with '?dry_run=true'
+// nothing is imported at all, so the file can be checked before the actual import.
+
+const ANSWER_COLUMN_REGEX = /^answers\.([0-9a-z]+)$/;
+const REQUIRED_COLUMNS = ['user_id', 'body_id'];
+
+// The files are small, so they are not stored on disk and are parsed straight away.
+const uploadAsync = util.promisify(multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter(req, file, cb) {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (!['.csv', '.xlsx'].includes(extension)) {
+            return cb(new Error(`Allowed extensions: '.csv', '.xlsx', but '${extension}' was passed.`));
+        }
+
+        return cb(null, true);
+    }
+}).single('file'));
+
+exports.uploadSpreadsheet = async (req, res, next) => {
+    try {
+        await uploadAsync(req, res);
+    } catch (err) {
+        log.error('Could not upload the spreadsheet', err);
+        return errors.makeValidationError(res, err);
+    }
+
+    if (!req.file) {
+        return errors.makeValidationError(res, 'No file is specified.');
+    }
+
+    return next();
+};
+
+const isEmpty = value => !helpers.isTruthy(value) || String(value).trim() === '';
+
+// CSV values are kept as strings, so the leading zeros and such are not lost.
+const parseSpreadsheet = (file) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+    const sheets = xlsx.parse(file.buffer, isCsv ? { raw: true } : { cellDates: true });
+
+    // Only the first sheet is imported, the empty rows are skipped.
+    return sheets[0].data.filter(row => !row.every(isEmpty));
+};
+
+const parseBoolean = (value) => {
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) return true;
+    if (['false', 'no', '0'].includes(normalized)) return false;
+
+    // Leaving it as it is, so the validation would fail with the proper message.
+    return value;
+};
+
+const parseInteger = value => (/^-?\d+$/.test(String(value).trim()) ? Number(value) : value);
+
+const parseString = value => (value instanceof Date ? moment(value).format('YYYY-MM-DD') : String(value).trim());
+
+const parseField = (field, value) => {
+    switch (Application.rawAttributes[field].type.key) {
+    case 'INTEGER':
+        return parseInteger(value);
+    case 'BOOLEAN':
+        return parseBoolean(value);
+    default:
+        return parseString(value);
+    }
+};
+
+// The answers are validated by the model, here they are only converted to the types it expects.
+const parseAnswer = (question, value) => {
+    switch (question.type) {
+    case 'checkbox':
+        return parseBoolean(value);
+    case 'number':
+    case 'file':
+        return parseInteger(value);
+    case 'multiselect':
+        return parseString(value).split(';').map(item => item.trim()).filter(item => item.length > 0);
+    default:
+        return parseString(value);
+    }
+};
+
+// Checking the header row, returns the function that converts a row to the application fields.
+const getRowParser = (header, questions) => {
+    const columns = header.map(column => (helpers.isDefined(column) ? String(column).trim() : ''));
+
+    for (const column of columns) {
+        const answerMatch = column.match(ANSWER_COLUMN_REGEX);
+        const isKnown = answerMatch
+            ? questions.some(question => question.id === answerMatch[1])
+            : constants.IMPORT_FIELDS.includes(column);
+
+        if (!isKnown) {
+            throw new Error(`Unknown column: "${column}".`);
+        }
+    }
+
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missingColumns.length > 0) {
+        throw new Error(`Missing columns: ${missingColumns.join(', ')}.`);
+    }
+
+    return row => columns.reduce((acc, column, index) => {
+        const value = row[index];
+
+        // The empty cells are not set, so the defaults are used.
+        if (isEmpty(value)) {
+            return acc;
+        }
+
+        const answerMatch = column.match(ANSWER_COLUMN_REGEX);
+        if (answerMatch) {
+            const question = questions.find(q => q.id === answerMatch[1]);
+            acc.answers[question.id] = parseAnswer(question, value);
+        } else {
+            acc[column] = parseField(column, value);
+        }
+
+        return acc;
+    }, { answers: {} });
+};
+
+// The errors are returned in the same format as the validation errors for a single application.
+class RowError extends Error {
+    constructor(field, message) {
+        super(message);
+        this.errors = [{ path: field, message }];
+    }
+}
+
+const formatRowErrors = (err) => {
+    if (!Array.isArray(err.errors)) {
+        return { general: [err.message] };
+    }
+
+    return err.errors.reduce((acc, val) => {
+        if (val.path in acc) {
+            acc[val.path].push(val.message);
+        } else {
+            acc[val.path] = [val.message];
+        }
+        return acc;
+    }, {});
+};
+
+exports.importApplications = async (req, res) => {
+    if (!req.permissions.import_applications) {
+        return errors.makeForbiddenError(res, 'You are not allowed to import applications.');
+    }
+
+    let rows;
+    let parseRow;
+    try {
+        const [header, ...dataRows] = parseSpreadsheet(req.file);
+        if (!header || dataRows.length === 0) {
+            throw new Error('The file has no applications.');
+        }
+
+        rows = dataRows;
+        parseRow = getRowParser(header, req.event.questions);
+    } catch (err) {
+        return errors.makeBadRequestError(res, 'Could not parse the file: ' + err.message);
+    }
+
+    const isDryRun = req.query.dry_run === true;
+
+    // The members and bodies are fetched once for all the rows.
+    const membersCache = {};
+    const bodiesCache = {};
+    const getMember = async (id) => {
+        if (!(id in membersCache)) membersCache[id] = await core.getMember(req, id);
+        return membersCache[id];
+    };
+    const getBody = async (id) => {
+        if (!(id in bodiesCache)) bodiesCache[id] = await core.getBody(req, id);
+        return bodiesCache[id];
+    };
+
+    const importRow = async (data, transaction) => {
+        if (!Number.isInteger(data.user_id)) {
+            throw new RowError('user_id', 'User ID should be a number.');
+        }
+
+        if (!Number.isInteger(data.body_id)) {
+            throw new RowError('body_id', 'Body ID should be a number.');
+        }
+
+        const member = await getMember(data.user_id);
+        if (!member) {
+            throw new RowError('user_id', `Member #${data.user_id} is not found.`);
+        }
+
+        const memberBody = member.bodies.find(body => body.id === data.body_id);
+        if (!memberBody) {
+            throw new RowError('body_id', `Member #${data.user_id} is not a member of body #${data.body_id}.`);
+        }
+
+        // Same as when applying, the bodies that cannot send anyone cannot have applications.
+        const body = await getBody(data.body_id);
+        const limit = await PaxLimit.fetchOrUseDefaultForBody(body, req.event.type, transaction);
+        if (!limit.hasAnyLimits()) {
+            throw new RowError('body_id', `Body #${data.body_id} cannot send any participants.`);
+        }
+
+        // Some fields are filled in from the member automatically, same as when applying.
+        const application = await Application.create(Object.assign(data, {
+            event_id: req.event.id,
+            created_by: req.user.id,
+            first_name: member.first_name,
+            last_name: member.last_name,
+            gender: member.gender,
+            email: member.user.email,
+            body_name: memberBody.name,
+            date_of_birth: member.date_of_birth
+        }), { transaction });
+
+        // Recording who has filed it, same as when applying on behalf of someone.
+        await ApplicationChange.recordChanges(application, { created_by: null }, { user: req.user, transaction });
+
+        // The participants limits are checked against the rows imported before as well.
+        await helpers.checkApplicationBoardviewValidity({
+            body,
+            event: req.event,
+            application,
+            transaction
+        });
+
+        return application;
+    };
+
+    const report = [];
+
+    // The transaction is rolled back if it's a dry run or if any row has failed.
+    const t = await sequelize.transaction();
+    try {
+        for (let index = 0; index < rows.length; index++) {
+            const data = parseRow(rows[index]);
+            const rowReport = { row: index + 2, user_id: data.user_id }; // the 1st row is the header
+
+            try {
+                // Each row has its own savepoint, so the next rows can be checked if this one fails.
+                await sequelize.transaction({ transaction: t }, async (rowTransaction) => {
+                    rowReport.application = await importRow(data, rowTransaction);
+                });
+                rowReport.success = true;
+            } catch (err) {
+                rowReport.success = false;
+                rowReport.errors = formatRowErrors(err);
+            }
+
+            report.push(rowReport);
+        }
+
+        const bodiesIds = report
+            .filter(rowReport => rowReport.success)
+            .map(rowReport => rowReport.application.body_id)
+            .filter((bodyId, index, array) => array.indexOf(bodyId) === index);
+
+        for (const bodyId of bodiesIds) {
+            await VotesPerAntenna.recalculateVotesForDelegates(req.event, bodyId, t);
+        }
+    } catch (err) {
+        await t.rollback();
+        throw err;
+    }
+
+    const failedCount = report.filter(rowReport => !rowReport.success).length;
+    if (isDryRun || failedCount > 0) {
+        await t.rollback();
+    } else {
+        await t.commit();
+    }
+
+    const data = {
+        dry_run: isDryRun,
+        imported: isDryRun || failedCount > 0 ? 0 : report.length,
+        failed: failedCount,
+        rows: report
+    };
+
+    if (!isDryRun && failedCount > 0) {
+        return res.status(422).json({
+            success: false,
+            message: `${failedCount} row(s) could not be imported, nothing was imported.`,
+            data
+        });
+    }
+
+    return res.json({
+        success: true,
+        data
+    });
+};
@@ -76,7 +76,7 @@ exports.fetchEvent = async (req, res, next) => {
         query = {
             where: {
                 type: 'agora',
-                status: 'published'
+                status: { [Sequelize.Op.in]: constants.EVENT_PUBLIC_STATUSES }
             },
             order: [['starts', 'DESC']]
         };
@@ -84,7 +84,7 @@ exports.fetchEvent = async (req, res, next) => {
         query = {
             where: {
                 type: 'epm',
-                status: 'published'
+                status: { [Sequelize.Op.in]: constants.EVENT_PUBLIC_STATUSES }
             },
             order: [['starts', 'DESC']]
         };
@@ -92,14 +92,14 @@ exports.fetchEvent = async (req, res, next) => {
         query = {
             where: {
                 type: 'spm',
-                status: 'published'
+                status: { [Sequelize.Op.in]: constants.EVENT_PUBLIC_STATUSES }
             },
             order: [['starts', 'DESC']]
         };
     } else if (req.params.event_id === 'latest') {
         query = {
             where: {
-                status: 'published'
+                status: { [Sequelize.Op.in]: constants.EVENT_PUBLIC_STATUSES }
             },
             order: [['starts', 'DESC']]
         };
@@ -154,6 +154,15 @@ exports.fetchEvent = async (req, res, next) => {
     return next();
 };
 
+exports.ensureEventIsEditable = async (req, res, next) => {
+    // Archived events are read-only, so only fetching the data is allowed.
+    if (req.event.status === 'archived' && req.method !== 'GET') {
+        return errors.makeForbiddenError(res, 'The event is archived and cannot be changed.');
+    }
+
+    return next();
+};
+
 exports.fetchSingleApplication = async (req, res, next) => {
     const whereObj = { event_id: req.event.id };
 
@@ -0,0 +1,42 @@
+const mailer = require('./mailer');
+const logger = require('./logger');
+const constants = require('./constants');
+
+// Notifying the applicants about the changes of their applications, like status changes
+// or confirmation. Which notifications are sent is set per event. The mails are sent
+// in the background, so if the mailer is down, the change itself is still saved.
+
+const SUBJECTS = {
+    status: (event, application) => `Your application status for ${event.name} was changed to ${application.status}`,
+    confirmed: event => `Your participation in ${event.name} is confirmed`,
+    registered: event => `You are registered at ${event.name}`,
+    cancelled: event => `Your application for ${event.name} was cancelled`
+};
+
+// Returns the notifications that should be sent for this change, oldValues has the values
+// of the changed fields before the change.
+const getChangedNotifications = (application, oldValues) => Object.keys(constants.APPLICATION_NOTIFICATIONS)
+    .filter(key => key in oldValues)
+    .filter(key => (key === 'status'
+        ? oldValues.status !== application.status
+        : !oldValues[key] && application[key] === true));
+
+// Not returning the promise on purpose, nobody should wait for it.
+exports.notifyApplicationChanges = (event, application, oldValues) => {
+    const notifications = getChangedNotifications(application, oldValues)
+        .filter(key => event.notifications && event.notifications[key]);
+
+    for (const key of notifications) {
+        mailer.sendMail({
+            to: application.email,
+            subject: SUBJECTS[key](event, application),
+            template: constants.APPLICATION_NOTIFICATIONS[key],
+            parameters: {
+                application,
+                event
+            }
+        }).catch((err) => {
+            logger.error('Could not send the "%s" notification for application #%s: %s', key, application.id, err);
+        });
+    }
+};
@@ -0,0 +1,190 @@
+const core = require('./core');
+const errors = require('./errors');
+const helpers = require('./helpers');
+const mailer = require('./mailer');
+const config = require('../config');
+const { Application, PaxLimit, PaxLimitRequest } = require('../models');
+const { sequelize } = require('./sequelize');
+
+// The boards can request more participants for their body if the limits are not enough for them,
+// the CD reviews these requests and if the request is approved, the limits are changed accordingly.
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// The bodies where the user is in the board, based on the 'approve_members:<event_type>' permission.
+const getBoardBodies = async (req) => {
+    const approveRequest = await core.getApprovePermissions(req, { type: req.params.event_type });
+
+    if (typeof approveRequest.body !== 'object') {
+        throw new Error('Malformed response when fetching permissions for approve');
+    }
+
+    if (!approveRequest.body.success) {
+        throw new Error(`Error fetching permissions for approve: ${JSON.stringify(approveRequest.body)}`);
+    }
+
+    return helpers.getBodiesListFromPermissions(approveRequest.body.data);
+};
+
+exports.fetchRequest = async (req, res, next) => {
+    const requestId = Number(req.params.request_id);
+    if (Number.isNaN(requestId)) {
+        return errors.makeBadRequestError(res, 'Request ID should be a number.');
+    }
+
+    const limitRequest = await PaxLimitRequest.findOne({
+        where: { id: requestId, event_type: req.params.event_type }
+    });
+    if (!limitRequest) {
+        return errors.makeNotFoundError(res, 'Request is not found.');
+    }
+
+    req.limitRequest = limitRequest;
+    return next();
+};
+
+exports.listRequests = async (req, res) => {
+    if (!req.permissions.edit_pax_limits[req.params.event_type]) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see limits requests.');
+    }
+
+    // Only the ones waiting for the review are returned by default.
+    const status = req.query.status || 'pending';
+    if (!REQUEST_STATUSES.includes(status)) {
+        return errors.makeBadRequestError(res, 'The status should be one of these: ' + REQUEST_STATUSES.join(', ') + '.');
+    }
+
+    const limitRequests = await PaxLimitRequest.findAll({
+        where: { event_type: req.params.event_type, status },
+        order: [['created_at', 'ASC']]
+    });
+
+    return res.json({
+        success: true,
+        data: limitRequests
+    });
+};
+
+exports.getRequest = async (req, res) => {
+    if (!req.permissions.edit_pax_limits[req.params.event_type] && req.limitRequest.user_id !== req.user.id) {
+        return errors.makeForbiddenError(res, 'You are not allowed to see this request.');
+    }
+
+    return res.json({
+        success: true,
+        data: req.limitRequest
+    });
+};
+
+exports.createRequest = async (req, res) => {
+    const bodyId = Number(req.body.body_id);
+    if (!Number.isInteger(bodyId)) {
+        return errors.makeBadRequestError(res, 'Body ID should be a number.');
+    }
+
+    const boardBodies = await getBoardBodies(req);
+    if (!boardBodies.includes(bodyId)) {
+        return errors.makeForbiddenError(res, 'You are not allowed to request limits for this body.');
+    }
+
+    const pendingRequest = await PaxLimitRequest.findOne({
+        where: { body_id: bodyId, event_type: req.params.event_type, status: 'pending' }
+    });
+    if (pendingRequest) {
+        return errors.makeForbiddenError(res, `There is already a pending request for this body: #${pendingRequest.id}.`);
+    }
+
+    const body = await core.getBody(req, bodyId);
+    const currentLimit = await PaxLimit.fetchOrUseDefaultForBody(body, req.params.event_type);
+
+    const limitRequest = await sequelize.transaction(async (t) => {
+        // Creating it in a transaction, so if mail sending fails, the request would be reverted.
+        const newRequest = await PaxLimitRequest.create({
+            body_id: bodyId,
+            event_type: req.params.event_type,
+            delegate: req.body.delegate,
+            envoy: req.body.envoy,
+            observer: req.body.observer,
+            visitor: req.body.visitor,
+            justification: req.body.justification,
+            user_id: req.user.id,
+            user_name: `${req.user.first_name} ${req.user.last_name}`,
+            email: req.user.user.email
+        }, { transaction: t });
+
+        await mailer.sendMail({
+            to: config.cd_email,
+            reply_to: newRequest.email,
+            subject: `${body.name} has requested more participants for ${req.params.event_type}`,
+            template: 'statutory_pax_limit_requested.html',
+            parameters: {
+                request: newRequest,
+                body,
+                limit: currentLimit
+            }
+        });
+
+        return newRequest;
+    });
+
+    return res.json({
+        success: true,
+        data: limitRequest
+    });
+};
+
+exports.setRequestStatus = async (req, res) => {
+    if (!req.permissions.edit_pax_limits[req.params.event_type]) {
+        return errors.makeForbiddenError(res, 'You are not allowed to review limits requests.');
+    }
+
+    if (!['approved', 'rejected'].includes(req.body.status)) {
+        return errors.makeBadRequestError(res, 'The status should be either "approved" or "rejected".');
+    }
+
+    if (req.limitRequest.status !== 'pending') {
+        return errors.makeForbiddenError(res, `This request is already ${req.limitRequest.status}.`);
+    }
+
+    // The default limit is needed if the body has no custom limits yet.
+    const body = await core.getBody(req, req.limitRequest.body_id);
+
+    await sequelize.transaction(async (t) => {
+        await req.limitRequest.update({
+            status: req.body.status,
+            response: req.body.response || null,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date()
+        }, { transaction: t });
+
+        let limit = null;
+        if (req.body.status === 'approved') {
+            limit = await PaxLimit.fetchOrUseDefaultForBody(body, req.params.event_type, t);
+
+            // Only the requested amounts are changed, the rest stays the same.
+            for (const type of Application.rawAttributes.participant_type.values) {
+                if (req.limitRequest[type] !== null) {
+                    limit[type] = req.limitRequest[type];
+                }
+            }
+
+            await limit.save({ transaction: t });
+        }
+
+        await mailer.sendMail({
+            to: req.limitRequest.email,
+            subject: `Your request for more participants for ${body.name} was ${req.body.status}`,
+            template: `statutory_pax_limit_request_${req.body.status}.html`,
+            parameters: {
+                request: req.limitRequest,
+                body,
+                limit
+            }
+        });
+    });
+
+    return res.json({
+        success: true,
+        data: req.limitRequest
+    });
+};
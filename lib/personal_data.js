@@ -0,0 +1,81 @@
+const errors = require('./errors');
+const cron = require('./cron');
+const { Sequelize } = require('./sequelize');
+const {
+    Event,
+    Application,
+    ApplicationDraft,
+    Candidate,
+    Question,
+    Attendance,
+    MembersList
+} = require('../models');
+
+// Everything that is stored about the current user across all events.
+exports.exportPersonalData = async (req, res) => {
+    const applications = await Application.findAll({
+        where: { user_id: req.user.id },
+        include: [{ model: Event, attributes: ['id', 'name', 'url', 'starts', 'ends'] }],
+        order: [['id', 'ASC']]
+    });
+    const applicationsIds = applications.map(application => application.id);
+
+    const drafts = await ApplicationDraft.findAll({
+        where: { user_id: req.user.id },
+        order: [['id', 'ASC']]
+    });
+
+    const candidatures = await Candidate.findAll({
+        where: { user_id: req.user.id },
+        order: [['id', 'ASC']]
+    });
+
+    const questions = await Question.findAll({
+        where: { application_id: { [Sequelize.Op.in]: applicationsIds } },
+        order: [['id', 'ASC']]
+    });
+
+    const attendances = await Attendance.findAll({
+        where: { application_id: { [Sequelize.Op.in]: applicationsIds } },
+        order: [['id', 'ASC']]
+    });
+
+    // Only the entries about this user are returned, not the whole members lists.
+    const memberslists = await MembersList.findAll({
+        where: { members: { [Sequelize.Op.contains]: [{ user_id: req.user.id }] } },
+        order: [['id', 'ASC']]
+    });
+    const memberslistsEntries = memberslists.map(memberslist => Object.assign({
+        memberslist_id: memberslist.id,
+        event_id: memberslist.event_id,
+        body_id: memberslist.body_id,
+        currency: memberslist.currency
+    }, memberslist.members.find(member => member.user_id === req.user.id)));
+
+    return res.json({
+        success: true,
+        data: {
+            user_id: req.user.id,
+            applications,
+            drafts,
+            candidatures,
+            questions,
+            attendances,
+            memberslists: memberslistsEntries
+        }
+    });
+};
+
+// What would be removed by the retention job if it were run now.
+exports.getRetentionReport = async (req, res) => {
+    if (!req.permissions.see_background_tasks) {
+        return errors.makeForbiddenError(res, 'You cannot see background tasks.');
+    }
+
+    const report = await cron.getRetentionReport();
+
+    return res.json({
+        success: true,
+        data: report
+    });
+};
@@ -1,6 +1,5 @@
 const Moment = require('moment');
 const MomentRange = require('moment-range');
-const xlsx = require('node-xlsx');
 
 const moment = MomentRange.extendMoment(Moment);
 
@@ -8,6 +7,7 @@ const core = require('./core');
 const errors = require('./errors');
 const constants = require('./constants');
 const helpers = require('./helpers');
+const exporter = require('./export');
 const { Plenary, Attendance, Application } = require('../models');
 
 exports.findPlenary = async (req, res, next) => {
@@ -46,7 +46,9 @@ exports.createPlenary = async (req, res) => {
 
     req.body.event_id = req.event.id;
 
-    const newPlenary = await Plenary.create(req.body);
+    helpers.parseDatesInTimezone(req.body, constants.PLENARY_DATE_FIELDS, req.event.timezone);
+
+    const newPlenary = await Plenary.create(req.body, { timezone: req.event.timezone });
 
     return res.json({
         success: true,
@@ -59,7 +61,9 @@ exports.editPlenary = async (req, res) => {
         return errors.makeForbiddenError(res, 'You cannot manage plenaries.');
     }
 
-    await req.plenary.update(req.body);
+    helpers.parseDatesInTimezone(req.body, constants.PLENARY_DATE_FIELDS, req.event.timezone);
+
+    await req.plenary.update(req.body, { timezone: req.event.timezone });
 
     return res.json({
         success: true,
@@ -106,6 +110,11 @@ exports.listPlenariesStats = async (req, res) => {
         return errors.makeForbiddenError(res, 'You cannot see stats.');
     }
 
+    const format = exporter.getFormat(req);
+    if (!exporter.isValidFormat(format)) {
+        return errors.makeBadRequestError(res, `Format should be one of these: ${constants.EXPORT_FORMATS.join(', ')}.`);
+    }
+
     const plenaries = await Plenary.findAll({
         where: { event_id: req.event.id },
         order: [
@@ -240,8 +249,8 @@ exports.listPlenariesStats = async (req, res) => {
             name: `${index + 1} - ${plenary.name}`, // to prevent duplicate sheets when there's 2 plenaries with the same name
             data: [
                 ['Name', plenary.name],
-                ['Starts at', helpers.beautify(plenary.starts)],
-                ['Ends at', helpers.beautify(plenary.ends)],
+                ['Starts at', helpers.beautify(plenary.starts, req.event.timezone)],
+                ['Ends at', helpers.beautify(plenary.ends, req.event.timezone)],
                 ['Duration in seconds', plenary.duration.toFixed(2)],
                 [], // an empty line,
                 // headers
@@ -263,8 +272,8 @@ exports.listPlenariesStats = async (req, res) => {
                         application.id,
                         application.first_name + ' ' + application.last_name,
                         application.body_name,
-                        helpers.beautify(attendance.starts),
-                        helpers.beautify(attendance.ends),
+                        helpers.beautify(attendance.starts, req.event.timezone),
+                        helpers.beautify(attendance.ends, req.event.timezone),
                         attendanceDuration.toFixed(2),
                         (attendanceDuration / plenary.duration * 100).toFixed(2) + '%'
                     ];
@@ -273,17 +282,15 @@ exports.listPlenariesStats = async (req, res) => {
         };
     });
 
-    const resultBuffer = xlsx.build([
-        firstSheet,
-        bodiesSheet,
-        ...plenariesSheets
-    ]);
-
-
-    res.setHeader('Content-type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-disposition', 'attachment; filename=plenary.xlsx');
-
-    return res.send(resultBuffer);
+    return exporter.sendSheets(res, {
+        format,
+        filename: 'plenary',
+        sheets: [
+            firstSheet,
+            bodiesSheet,
+            ...plenariesSheets
+        ]
+    });
 };
 
 exports.markPlenaryAttendance = async (req, res) => {
@@ -1,9 +1,8 @@
-const xlsx = require('node-xlsx').default;
-
 const errors = require('./errors');
 const { Position, Candidate, Image } = require('../models');
 const helpers = require('./helpers');
 const constants = require('./constants');
+const exporter = require('./export');
 
 exports.findPosition = async (req, res, next) => {
     if (Number.isNaN(Number(req.params.position_id))) {
@@ -107,7 +106,9 @@ exports.createPosition = async (req, res) => {
     delete req.body.status;
     req.body.event_id = req.event.id;
 
-    const newPosition = await Position.create(req.body);
+    helpers.parseDatesInTimezone(req.body, constants.POSITION_DATE_FIELDS, req.event.timezone);
+
+    const newPosition = await Position.create(req.body, { timezone: req.event.timezone });
 
     return res.json({
         success: true,
@@ -123,7 +124,10 @@ exports.editPosition = async (req, res) => {
     delete req.body.status;
     delete req.body.id;
     delete req.body.event_id;
-    await req.position.update(req.body);
+
+    helpers.parseDatesInTimezone(req.body, constants.POSITION_DATE_FIELDS, req.event.timezone);
+
+    await req.position.update(req.body, { timezone: req.event.timezone });
 
     return res.json({
         success: true,
@@ -138,7 +142,7 @@ exports.updatePositionStatus = async (req, res) => {
     }
 
     if (helpers.isDefined(req.body.status)) {
-        await req.position.update({ status: req.body.status });
+        await req.position.update({ status: req.body.status }, { timezone: req.event.timezone });
     }
 
     return res.json({
@@ -148,11 +152,16 @@ exports.updatePositionStatus = async (req, res) => {
 };
 
 exports.exportAll = async (req, res) => {
-    // Exporting candidates as XLSX for JC/whoever.
+    // Exporting candidates as XLSX, CSV or JSON for JC/whoever.
     if (!req.permissions.manage_candidates) {
         return errors.makeForbiddenError(res, 'You are not allowed to export candidates.');
     }
 
+    const format = exporter.getFormat(req);
+    if (!exporter.isValidFormat(format)) {
+        return errors.makeBadRequestError(res, `Format should be one of these: ${constants.EXPORT_FORMATS.join(', ')}.`);
+    }
+
     if (!Array.isArray(req.query.select)) {
         req.query.select = Object.keys(constants.CANDIDATE_FIELDS);
     }
@@ -170,35 +179,33 @@ exports.exportAll = async (req, res) => {
     const headersNames = constants.CANDIDATE_FIELDS;
     const headers = req.query.select.map(field => headersNames[field]);
 
-    const applications = await Candidate.findAll({
-        where: {
-            '$position.event_id$': req.event.id,
-            ...applicationsFilter
-        },
-        include: [{
-            model: Position, select: ['name', 'id']
-        }]
-    });
-
-    const resultArray = applications
-        .map(application => application.toJSON())
-        .map(application => helpers.flattenObject(application))
-        .map((application) => {
-            return req.query.select.map(field => helpers.beautify(application[field]));
+    const fetchBatch = async ({ offset, limit }) => {
+        const applications = await Candidate.findAll({
+            where: {
+                '$position.event_id$': req.event.id,
+                ...applicationsFilter
+            },
+            include: [{
+                model: Position, select: ['name', 'id']
+            }],
+            order: [['id', 'ASC']],
+            offset,
+            limit
         });
 
-    const resultBuffer = xlsx.build([
-        {
-            name: 'Candidates stats',
-            data: [
-                headers,
-                ...resultArray
-            ]
-        }
-    ]);
-
-    res.setHeader('Content-type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-disposition', 'attachment; filename=stats.xlsx');
-
-    return res.send(resultBuffer);
+        return applications
+            .map(application => application.toJSON())
+            .map(application => helpers.flattenObject(application))
+            .map(application => req.query.select.map(field => application[field]));
+    };
+
+    return exporter.sendTable(res, {
+        format,
+        filename: 'stats',
+        sheetName: 'Candidates stats',
+        keys: req.query.select,
+        headers,
+        timezone: req.event.timezone,
+        fetchBatch
+    });
 };
@@ -28,6 +28,10 @@ let sequelize = getSequelize();
 exports.sequelize = sequelize;
 exports.Sequelize = Sequelize;
 
+// Running the callback only once the transaction is committed (or right away if there's none),
+// for the things that should not happen if the transaction is rolled back.
+exports.afterCommit = (transaction, callback) => (transaction ? transaction.afterCommit(() => callback()) : callback());
+
 exports.authenticate = async () => {
     if (!sequelize) {
         sequelize = getSequelize();
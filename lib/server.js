@@ -13,12 +13,20 @@ const applications = require('./applications');
 const memberslists = require('./memberslists');
 const massmailer = require('./massmailer');
 const paxLimits = require('./pax_limits');
+const paxLimitRequests = require('./pax_limit_requests');
 const votesAmounts = require('./votes_amounts');
 const positions = require('./positions');
 const questionLines = require('./question_lines');
 const questions = require('./questions');
 const candidates = require('./candidates');
 const plenaries = require('./plenaries');
+const sessions = require('./sessions');
+const calendar = require('./calendar');
+const personalData = require('./personal_data');
+const visaLetters = require('./visa_letters');
+const badges = require('./badges');
+const checkIn = require('./check_in');
+const imports = require('./import');
 const bugsnag = require('./bugsnag');
 const cron = require('./cron');
 const imageserv = require('./imageserv');
@@ -38,6 +46,7 @@ const CandidatesRouter = router({ mergeParams: true });
 const PlenariesRouter = router({ mergeParams: true });
 const QuestionLinesRouter = router({ mergeParams: true });
 const QuestionsRouter = router({ mergeParams: true });
+const SessionsRouter = router({ mergeParams: true });
 
 const server = express();
 server.use(bodyParser.json());
@@ -56,13 +65,20 @@ process.on('unhandledRejection', (err) => {
 GeneralRouter.get('/healthcheck', middlewares.healthcheck);
 GeneralRouter.get('/metrics', metrics.getMetrics);
 GeneralRouter.get('/metrics/requests', endpointsMetrics.getEndpointMetrics);
+GeneralRouter.get('/calendar.ics', calendar.getAllEventsCalendar);
 GeneralRouter.use(middlewares.authenticateUser);
 GeneralRouter.get('/', events.listEvents);
 GeneralRouter.use(middlewares.ensureAuthorized);
 GeneralRouter.post('/', events.addEvent);
 GeneralRouter.get('/tasks', middlewares.getTasksList);
+GeneralRouter.get('/tasks/retention', personalData.getRetentionReport);
+GeneralRouter.get('/personal-data', personalData.exportPersonalData);
 
 PaxLimitsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, paxLimits.checkEventType);
+PaxLimitsRouter.get('/requests', paxLimitRequests.listRequests);
+PaxLimitsRouter.post('/requests', paxLimitRequests.createRequest);
+PaxLimitsRouter.get('/requests/:request_id', paxLimitRequests.fetchRequest, paxLimitRequests.getRequest);
+PaxLimitsRouter.put('/requests/:request_id/status', paxLimitRequests.fetchRequest, paxLimitRequests.setRequestStatus);
 PaxLimitsRouter.get('/:body_id', paxLimits.getSingleLimit);
 PaxLimitsRouter.delete('/:body_id', paxLimits.deleteSingleLimit);
 PaxLimitsRouter.post('/', paxLimits.updateLimit);
@@ -73,13 +89,26 @@ EventsRouter.get('/', events.displayEvent);
 EventsRouter.get('/fields/applications/all', events.getApplicationAllFields);
 EventsRouter.get('/fields/applications/incoming', events.getApplicationIncomingFields);
 EventsRouter.get('/fields/candidates', events.getCandidatesFields);
+EventsRouter.get('/calendar.ics', calendar.getEventCalendar);
 EventsRouter.use(middlewares.ensureAuthorized);
+EventsRouter.post('/clone', events.cloneEvent);
+EventsRouter.get('/translations/missing', events.getMissingTranslations);
+EventsRouter.use(middlewares.ensureEventIsEditable);
 EventsRouter.put('/', events.editEvent);
 EventsRouter.put('/status', events.changeEventStatus);
+EventsRouter.put('/archive', events.archiveEvent);
+EventsRouter.delete('/', events.deleteEvent);
 EventsRouter.post('/image', imageserv.uploadImage, events.updateEventImage);
 
-ApplicationsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent);
+ApplicationsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable);
 ApplicationsRouter.post('/', applications.postApplication);
+ApplicationsRouter.post('/on-behalf', applications.postApplicationOnBehalf);
+ApplicationsRouter.post('/files', imageserv.uploadFile, applications.uploadAnswerFile);
+ApplicationsRouter.put('/bulk', applications.setApplicationsBulk);
+ApplicationsRouter.get('/draft', applications.getApplicationDraft);
+ApplicationsRouter.put('/draft', applications.saveApplicationDraft);
+ApplicationsRouter.delete('/draft', applications.deleteApplicationDraft);
+ApplicationsRouter.post('/draft/submit', applications.submitApplicationDraft);
 ApplicationsRouter.get('/all', applications.listAllApplications);
 ApplicationsRouter.get('/accepted', applications.listAcceptedApplications);
 ApplicationsRouter.get('/juridical', applications.listJCApplications);
@@ -88,10 +117,18 @@ ApplicationsRouter.get('/network', applications.listNetworkApplications);
 ApplicationsRouter.get('/stats', applications.getStats);
 ApplicationsRouter.get('/export/openslides', applications.exportOpenslides);
 ApplicationsRouter.get('/export/:prefix', applications.exportAll);
+ApplicationsRouter.get('/visa-letters', visaLetters.exportVisaLetters);
+ApplicationsRouter.post('/visa-letters', visaLetters.issueVisaLetters);
+ApplicationsRouter.get('/badges', badges.previewBadges);
+ApplicationsRouter.post('/badges', badges.printBadges);
+ApplicationsRouter.post('/check-in', checkIn.checkIn);
+ApplicationsRouter.post('/import', imports.uploadSpreadsheet, imports.importApplications);
 ApplicationsRouter.get('/boardview/:body_id', applications.listBoardView);
+ApplicationsRouter.get('/boardview/:body_id/history', applications.listBoardViewHistory);
 ApplicationsRouter.post('/boardview/:body_id', applications.setBoardForBody);
+ApplicationsRouter.post('/boardview/:body_id/swap', applications.swapParticipantSlots);
 
-SingleApplicationRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.fetchSingleApplication);
+SingleApplicationRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, middlewares.fetchSingleApplication);
 SingleApplicationRouter.put('/cancel', applications.setApplicationCancelled);
 SingleApplicationRouter.put('/attended', applications.setApplicationAttended);
 SingleApplicationRouter.put('/registered', applications.setApplicationRegistered);
@@ -101,28 +138,31 @@ SingleApplicationRouter.put('/is_on_memberslist', applications.setApplicationIsO
 SingleApplicationRouter.put('/status', applications.setApplicationStatus);
 SingleApplicationRouter.put('/board', applications.setApplicationBoard);
 SingleApplicationRouter.get('/', applications.getApplication);
+SingleApplicationRouter.get('/history', applications.getApplicationHistory);
+SingleApplicationRouter.get('/visa-letter', visaLetters.getVisaLetter);
+SingleApplicationRouter.post('/visa-letter', visaLetters.issueVisaLetter);
 SingleApplicationRouter.put('/', applications.updateApplication);
 
-MembersListsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, memberslists.checkIfAgora);
+MembersListsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, memberslists.checkIfAgora);
 MembersListsRouter.get('/', memberslists.getAllMemberslists);
 MembersListsRouter.get('/:body_id', memberslists.getMemberslist);
 MembersListsRouter.post('/:body_id', memberslists.uploadMembersList);
 
-MembersListsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent);
+MembersListsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable);
 MembersListsRouter.get('/', memberslists.getAllMemberslists);
 MembersListsRouter.get('/:body_id', memberslists.getMemberslist);
 MembersListsRouter.put('/:body_id/fee_paid', memberslists.setMemberslistFeePaid);
 MembersListsRouter.post('/:body_id', memberslists.uploadMembersList);
 
-MassMailerRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent);
+MassMailerRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable);
 MassMailerRouter.post('/', massmailer.sendAll);
 
-VotesAmountRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, memberslists.checkIfAgora);
+VotesAmountRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, memberslists.checkIfAgora);
 VotesAmountRouter.get('/antenna', votesAmounts.getAllVotesPerAntenna);
 VotesAmountRouter.get('/delegate', votesAmounts.getAllVotesPerDelegate);
 VotesAmountRouter.get('/:body_id', votesAmounts.getVotesPerAntenna);
 
-PositionsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, memberslists.checkIfAgora);
+PositionsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, memberslists.checkIfAgora);
 PositionsRouter.get('/', positions.listAllPositions);
 PositionsRouter.get('/export', positions.exportAll);
 PositionsRouter.get('/all', positions.listPositionsWithAllCandidates);
@@ -132,27 +172,27 @@ PositionsRouter.put('/:position_id/status', positions.findPosition, positions.up
 PositionsRouter.put('/:position_id', positions.findPosition, positions.editPosition);
 PositionsRouter.get('/candidates/mine', candidates.getMyCandidatures);
 
-QuestionLinesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent);
+QuestionLinesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable);
 QuestionLinesRouter.get('/', questionLines.listAllQuestionLines);
 QuestionLinesRouter.post('/', questionLines.createQuestionLine);
 QuestionLinesRouter.put('/:question_line_id/status', questionLines.findQuestionLine, questionLines.updateQuestionLineStatus);
 QuestionLinesRouter.put('/:question_line_id', questionLines.findQuestionLine, questionLines.editQuestionLine);
 QuestionLinesRouter.delete('/:question_line_id', questionLines.findQuestionLine, questionLines.deleteQuestionLine);
 
-QuestionsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, questionLines.findQuestionLine);
+QuestionsRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, questionLines.findQuestionLine);
 QuestionsRouter.post('/', questions.submitQuestion);
 QuestionsRouter.get('/:question_id', questions.findQuestion, questions.getQuestion);
 QuestionsRouter.put('/:question_id', questions.findQuestion, questions.editQuestion);
 QuestionsRouter.delete('/:question_id', questions.findQuestion, questions.deleteQuestion);
 
-CandidatesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, memberslists.checkIfAgora, positions.findPosition);
+CandidatesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, memberslists.checkIfAgora, positions.findPosition);
 CandidatesRouter.post('/', candidates.submitYourCandidature);
 CandidatesRouter.get('/:candidate_id', candidates.findCandidate, candidates.getCandidature);
 CandidatesRouter.put('/:candidate_id', candidates.findCandidate, candidates.editCandidature);
 CandidatesRouter.post('/:candidate_id/:image', candidates.findCandidate, imageserv.uploadImage, candidates.updateCandidateImage);
 CandidatesRouter.put('/:candidate_id/status', candidates.findCandidate, candidates.setCandidatureStatus);
 
-PlenariesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, memberslists.checkIfAgora);
+PlenariesRouter.use(middlewares.authenticateUser, middlewares.ensureAuthorized, middlewares.fetchEvent, middlewares.ensureEventIsEditable, memberslists.checkIfAgora);
 PlenariesRouter.get('/', plenaries.listAllPlenaries);
 PlenariesRouter.post('/', plenaries.createPlenary);
 PlenariesRouter.get('/stats', plenaries.listPlenariesStats);
@@ -160,6 +200,15 @@ PlenariesRouter.put('/:plenary_id', plenaries.findPlenary, plenaries.editPlenary
 PlenariesRouter.get('/:plenary_id', plenaries.findPlenaryWithAttendances);
 PlenariesRouter.post('/:plenary_id/attendance/mark', plenaries.findPlenary, plenaries.markPlenaryAttendance);
 
+// The schedule is public, so the list and the calendar are available without authorization.
+SessionsRouter.use(middlewares.authenticateUser, middlewares.fetchEvent);
+SessionsRouter.get('/', sessions.listSessions);
+SessionsRouter.get('/calendar.ics', calendar.getSessionsCalendar);
+SessionsRouter.use(middlewares.ensureAuthorized, middlewares.ensureEventIsEditable);
+SessionsRouter.post('/', sessions.createSession);
+SessionsRouter.put('/:session_id', sessions.findSession, sessions.editSession);
+SessionsRouter.delete('/:session_id', sessions.findSession, sessions.deleteSession);
+
 server.use(endpointsMetrics.addEndpointMetrics);
 server.use('/events/:event_id/massmailer', MassMailerRouter);
 server.use('/events/:event_id/memberslists', MembersListsRouter);
@@ -167,6 +216,7 @@ server.use('/events/:event_id/question-lines', QuestionLinesRouter);
 server.use('/events/:event_id/question-lines/:question_line_id/questions', QuestionsRouter);
 server.use('/events/:event_id/applications', ApplicationsRouter);
 server.use('/events/:event_id/applications/:application_id', SingleApplicationRouter);
+server.use('/events/:event_id/sessions', SessionsRouter);
 server.use('/events/:event_id', EventsRouter);
 server.use('/events/:event_id/votes-amounts', VotesAmountRouter);
 server.use('/events/:event_id/plenaries', PlenariesRouter);
@@ -187,6 +237,7 @@ async function startServer() {
             log.info('Up and running, listening on http://localhost:%d', config.port);
             await db.authenticate();
             await cron.registerAllDeadlines();
+            cron.registerRetentionJob();
             return res();
         });
         /* istanbul ignore next */
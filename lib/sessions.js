@@ -0,0 +1,99 @@
+const errors = require('./errors');
+const constants = require('./constants');
+const helpers = require('./helpers');
+const { Session } = require('../models');
+
+// Adding the location the session is linked to, so it won't be needed
+// to look it up in the event's locations on the client side.
+const withLocation = (session, locations) => Object.assign(session.toJSON(), {
+    location: locations.find(location => location.id === session.location_id) || null
+});
+
+exports.findSession = async (req, res, next) => {
+    if (Number.isNaN(Number(req.params.session_id))) {
+        return errors.makeBadRequestError(res, 'The session ID is invalid.');
+    }
+
+    const session = await Session.findOne({
+        where: {
+            id: Number(req.params.session_id),
+            event_id: req.event.id
+        }
+    });
+    if (!session) {
+        return errors.makeNotFoundError(res, 'Session is not found.');
+    }
+
+    req.eventSession = session;
+    return next();
+};
+
+exports.listSessions = async (req, res) => {
+    const where = { event_id: req.event.id };
+
+    // If session type is set, filter on it.
+    if (req.query.type) {
+        where.type = req.query.type;
+    }
+
+    const sessions = await Session.findAll({
+        where,
+        order: [['starts', 'ASC'], ['id', 'ASC']]
+    });
+
+    const { locations } = req.event.translate(helpers.getPreferredLanguages(req));
+
+    return res.json({
+        success: true,
+        data: sessions.map(session => withLocation(session, locations))
+    });
+};
+
+exports.createSession = async (req, res) => {
+    if (!req.permissions.manage_sessions) {
+        return errors.makeForbiddenError(res, 'You cannot manage sessions.');
+    }
+
+    req.body.event_id = req.event.id;
+    delete req.body.id;
+
+    helpers.parseDatesInTimezone(req.body, constants.SESSION_DATE_FIELDS, req.event.timezone);
+
+    const newSession = await Session.create(req.body);
+
+    return res.json({
+        success: true,
+        data: newSession
+    });
+};
+
+exports.editSession = async (req, res) => {
+    if (!req.permissions.manage_sessions) {
+        return errors.makeForbiddenError(res, 'You cannot manage sessions.');
+    }
+
+    delete req.body.event_id;
+    delete req.body.id;
+
+    helpers.parseDatesInTimezone(req.body, constants.SESSION_DATE_FIELDS, req.event.timezone);
+
+    await req.eventSession.update(req.body);
+
+    return res.json({
+        success: true,
+        data: req.eventSession
+    });
+};
+
+exports.deleteSession = async (req, res) => {
+    if (!req.permissions.manage_sessions) {
+        return errors.makeForbiddenError(res, 'You cannot manage sessions.');
+    }
+
+    await req.eventSession.destroy();
+
+    return res.json({
+        success: true,
+        message: 'Session was deleted successfully.'
+    });
+};
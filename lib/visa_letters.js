@@ -0,0 +1,156 @@
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+
+const errors = require('./errors');
+const constants = require('./constants');
+const { Application, ApplicationChange } = require('../models');
+const { sequelize } = require('./sequelize');
+
+// Generating the visa invitation letters for the applicants, out of the
+// event template (or the default one) filled in with the application data.
+// Fetching them with GET is only a preview, they are stored as issued on POST.
+
+const formatDate = (date, timezone) => moment.tz(date, timezone).format('D MMMM YYYY');
+
+const getMissingVisaFields = application => constants.VISA_FIELDS
+    .filter(field => typeof application[field] !== 'string' || application[field].trim().length === 0);
+
+const renderLetter = (event, application) => {
+    const values = {
+        today: formatDate(new Date(), event.timezone),
+        event_name: event.name,
+        event_starts: formatDate(event.starts, event.timezone),
+        event_ends: formatDate(event.ends, event.timezone)
+    };
+
+    for (const placeholder of constants.VISA_LETTER_PLACEHOLDERS) {
+        if (!(placeholder in values)) {
+            values[placeholder] = application[placeholder];
+        }
+    }
+
+    const template = event.visa_letter_template || constants.DEFAULT_VISA_LETTER_TEMPLATE;
+    return template.replace(/{{\s*([^}]*?)\s*}}/g, (match, placeholder) => values[placeholder] || '');
+};
+
+const buildLetterPdf = (event, application) => new Promise((resolve, reject) => {
+    const document = new PDFDocument({ size: 'A4', margin: 72 });
+    const chunks = [];
+
+    document.on('data', chunk => chunks.push(chunk));
+    document.on('end', () => resolve(Buffer.concat(chunks)));
+    document.on('error', reject);
+
+    document.font(constants.PDF_FONTS.regular).fontSize(12).text(renderLetter(event, application), { align: 'justify' });
+    document.end();
+});
+
+const getLetterFilename = application => `visa-letter-${application.statutory_id}.pdf`;
+
+// Storing when the letters were issued. Hooks are disabled here, so the history is recorded separately.
+const markAsIssued = async (applications, user) => {
+    const issuedAt = new Date();
+
+    await sequelize.transaction(async (t) => {
+        for (const application of applications) {
+            const oldValues = { visa_letter_issued_at: application.visa_letter_issued_at };
+            await application.update({ visa_letter_issued_at: issuedAt }, { transaction: t, hooks: false });
+            await ApplicationChange.recordChanges(application, oldValues, { user, transaction: t });
+        }
+    });
+};
+
+const sendVisaLetter = issue => async (req, res) => {
+    if (!req.permissions.generate_visa_letters) {
+        return errors.makeForbiddenError(res, 'You are not allowed to generate visa letters.');
+    }
+
+    if (issue && !req.permissions.issue_visa_letters) {
+        return errors.makeForbiddenError(res, 'You are not allowed to issue visa letters for this event.');
+    }
+
+    if (!req.application.visa_required) {
+        return errors.makeBadRequestError(res, 'This applicant does not need a visa.');
+    }
+
+    const missingFields = getMissingVisaFields(req.application);
+    if (missingFields.length > 0) {
+        return errors.makeBadRequestError(res, 'These visa fields are not filled in: ' + missingFields.join(', ') + '.');
+    }
+
+    const letter = await buildLetterPdf(req.event, req.application);
+    if (issue) {
+        await markAsIssued([req.application], req.user);
+    }
+
+    res.setHeader('Content-type', 'application/pdf');
+    res.setHeader('Content-disposition', `attachment; filename=${getLetterFilename(req.application)}`);
+
+    return res.send(letter);
+};
+
+exports.getVisaLetter = sendVisaLetter(false);
+exports.issueVisaLetter = sendVisaLetter(true);
+
+// All of the letters as a ZIP archive. The applications without all the visa data
+// filled in are listed in a separate file inside the archive instead.
+const sendVisaLetters = issue => async (req, res) => {
+    if (!req.permissions.generate_visa_letters) {
+        return errors.makeForbiddenError(res, 'You are not allowed to generate visa letters.');
+    }
+
+    if (issue && !req.permissions.issue_visa_letters) {
+        return errors.makeForbiddenError(res, 'You are not allowed to issue visa letters for this event.');
+    }
+
+    const applications = await Application.findAll({
+        where: {
+            event_id: req.event.id,
+            visa_required: true,
+            cancelled: false
+        },
+        order: [['id', 'ASC']]
+    });
+
+    if (applications.length === 0) {
+        return errors.makeNotFoundError(res, 'There are no applications that require a visa.');
+    }
+
+    const issued = applications.filter(application => getMissingVisaFields(application).length === 0);
+    const skipped = applications.filter(application => getMissingVisaFields(application).length > 0);
+
+    // Generating everything before sending the response, so the errors
+    // are not happening in the middle of sending the archive.
+    const letters = [];
+    for (const application of issued) {
+        letters.push({ name: getLetterFilename(application), content: await buildLetterPdf(req.event, application) });
+    }
+
+    if (issue) {
+        await markAsIssued(issued, req.user);
+    }
+
+    res.setHeader('Content-type', 'application/zip');
+    res.setHeader('Content-disposition', 'attachment; filename=visa-letters.zip');
+
+    const archive = archiver('zip');
+    archive.pipe(res);
+
+    for (const letter of letters) {
+        archive.append(letter.content, { name: letter.name });
+    }
+
+    if (skipped.length > 0) {
+        const skippedList = skipped
+            .map(application => `${application.statutory_id} ${application.first_name} ${application.last_name}: `
+                + getMissingVisaFields(application).join(', '))
+            .join('\n');
+        archive.append(`The letters for these applications were not generated, as the visa data is missing:\n${skippedList}\n`, { name: 'skipped.txt' });
+    }
+
+    return archive.finalize();
+};
+
+exports.exportVisaLetters = sendVisaLetters(false);
+exports.issueVisaLetters = sendVisaLetters(true);
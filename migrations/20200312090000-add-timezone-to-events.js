@@ -0,0 +1,12 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'events',
+        'timezone',
+        {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'Europe/Brussels'
+        }
+    ),
+    down: queryInterface => queryInterface.removeColumn('events', 'timezone')
+};
@@ -0,0 +1,24 @@
+module.exports = {
+    up: async (queryInterface) => {
+        // https://stackoverflow.com/questions/1771543/adding-a-new-value-to-an-existing-enum-type
+        await queryInterface.sequelize.query('alter type enum_events_status add value \'ongoing\';');
+        await queryInterface.sequelize.query('alter type enum_events_status add value \'finished\';');
+        await queryInterface.sequelize.query('alter type enum_events_status add value \'cancelled\';');
+    },
+    down: async (queryInterface, Sequelize) => {
+        // there's no easy way to delete value from enum in SQL, so just recreating the enum and resetting the value to it
+        // changing to TEXT is required to preserve current values
+        await queryInterface.sequelize.query('alter table events alter column status drop default;');
+        await queryInterface.changeColumn(
+            'events',
+            'status',
+            { type: Sequelize.TEXT }
+        );
+        await queryInterface.sequelize.query('update events set status = \'published\' where status in (\'ongoing\', \'finished\');');
+        await queryInterface.sequelize.query('update events set status = \'archived\' where status = \'cancelled\';');
+        await queryInterface.sequelize.query('drop type if exists enum_events_status;');
+        await queryInterface.sequelize.query('create type enum_events_status as enum (\'draft\', \'published\', \'archived\');');
+        await queryInterface.sequelize.query('alter table events alter column status type enum_events_status using status::enum_events_status;');
+        await queryInterface.sequelize.query('alter table events alter column status set default \'draft\';');
+    }
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Questions are getting IDs and the answers are stored as the object with question IDs
+// as keys, instead of the array where the answers are in the same order as questions.
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        const events = await queryInterface.sequelize.query(
+            'select id, questions from events',
+            { type: Sequelize.QueryTypes.SELECT }
+        );
+
+        for (const event of events) {
+            const ids = event.questions.map(() => crypto.randomBytes(4).toString('hex'));
+            const questions = event.questions.map((question, index) => {
+                const newQuestion = Object.assign({}, question, { id: ids[index] });
+
+                // show_if used to refer to the question index.
+                if (question.show_if && Number.isInteger(question.show_if.question)) {
+                    newQuestion.show_if = Object.assign({}, question.show_if, { question: ids[question.show_if.question] });
+                }
+
+                return newQuestion;
+            });
+
+            await queryInterface.sequelize.query(
+                'update events set questions = cast(:questions as jsonb) where id = :id',
+                { replacements: { id: event.id, questions: JSON.stringify(questions) } }
+            );
+
+            const applications = await queryInterface.sequelize.query(
+                'select id, answers from applications where event_id = :id',
+                { replacements: { id: event.id }, type: Sequelize.QueryTypes.SELECT }
+            );
+
+            for (const application of applications) {
+                if (!Array.isArray(application.answers)) {
+                    continue;
+                }
+
+                const answers = {};
+                application.answers.forEach((answer, index) => {
+                    if (index < ids.length) {
+                        answers[ids[index]] = answer;
+                    }
+                });
+
+                await queryInterface.sequelize.query(
+                    'update applications set answers = cast(:answers as jsonb) where id = :id',
+                    { replacements: { id: application.id, answers: JSON.stringify(answers) } }
+                );
+            }
+        }
+    },
+    down: async (queryInterface, Sequelize) => {
+        const events = await queryInterface.sequelize.query(
+            'select id, questions from events',
+            { type: Sequelize.QueryTypes.SELECT }
+        );
+
+        for (const event of events) {
+            const ids = event.questions.map(question => question.id);
+            const questions = event.questions.map((question) => {
+                const newQuestion = Object.assign({}, question);
+                delete newQuestion.id;
+
+                if (question.show_if) {
+                    newQuestion.show_if = Object.assign({}, question.show_if, { question: ids.indexOf(question.show_if.question) });
+                }
+
+                return newQuestion;
+            });
+
+            await queryInterface.sequelize.query(
+                'update events set questions = cast(:questions as jsonb) where id = :id',
+                { replacements: { id: event.id, questions: JSON.stringify(questions) } }
+            );
+
+            const applications = await queryInterface.sequelize.query(
+                'select id, answers from applications where event_id = :id',
+                { replacements: { id: event.id }, type: Sequelize.QueryTypes.SELECT }
+            );
+
+            for (const application of applications) {
+                if (Array.isArray(application.answers)) {
+                    continue;
+                }
+
+                // The answers to the questions that were added later are set to null.
+                const answers = ids.map(id => (typeof application.answers[id] === 'undefined' ? null : application.answers[id]));
+
+                await queryInterface.sequelize.query(
+                    'update applications set answers = cast(:answers as jsonb) where id = :id',
+                    { replacements: { id: application.id, answers: JSON.stringify(answers) } }
+                );
+            }
+        }
+    }
+};
@@ -0,0 +1,77 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.createTable('sessions', {
+        id: {
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            type: Sequelize.INTEGER
+        },
+        event_id: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'events',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        description: {
+            type: Sequelize.TEXT,
+            allowNull: true
+        },
+        type: {
+            type: Sequelize.ENUM('plenary', 'workshop', 'prytaneum', 'meal', 'social', 'other'),
+            allowNull: false
+        },
+        starts: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        ends: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        room: {
+            type: Sequelize.STRING,
+            allowNull: true
+        },
+        location_index: {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        },
+        plenary_id: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'plenaries',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        position_id: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'positions',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        created_at: {
+            allowNull: false,
+            type: Sequelize.DATE
+        },
+        updated_at: {
+            allowNull: false,
+            type: Sequelize.DATE
+        }
+    }),
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('sessions');
+        await queryInterface.sequelize.query('drop type if exists enum_sessions_type;');
+    }
+};
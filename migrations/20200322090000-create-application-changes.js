@@ -0,0 +1,62 @@
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('application_changes', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            application_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'applications',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            event_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'events',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            body_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            user_name: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            field: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            old_value: {
+                type: Sequelize.JSONB,
+                allowNull: true
+            },
+            new_value: {
+                type: Sequelize.JSONB,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('application_changes', ['application_id']);
+        await queryInterface.addIndex('application_changes', ['event_id', 'body_id']);
+    },
+    down: queryInterface => queryInterface.dropTable('application_changes')
+};
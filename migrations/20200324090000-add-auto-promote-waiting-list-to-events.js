@@ -0,0 +1,12 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'events',
+        'auto_promote_waiting_list',
+        {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+    ),
+    down: queryInterface => queryInterface.removeColumn('events', 'auto_promote_waiting_list')
+};
@@ -0,0 +1,41 @@
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('application_drafts', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            event_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'events',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            data: {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('application_drafts', ['event_id', 'user_id'], { unique: true });
+    },
+    down: queryInterface => queryInterface.dropTable('application_drafts')
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'events',
+        'anonymised_at',
+        {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+    ),
+    down: queryInterface => queryInterface.removeColumn('events', 'anonymised_at')
+};
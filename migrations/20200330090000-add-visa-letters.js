@@ -0,0 +1,16 @@
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('events', 'visa_letter_template', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        await queryInterface.addColumn('applications', 'visa_letter_issued_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+    },
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('applications', 'visa_letter_issued_at');
+        await queryInterface.removeColumn('events', 'visa_letter_template');
+    }
+};
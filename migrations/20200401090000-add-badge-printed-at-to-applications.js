@@ -0,0 +1,11 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'applications',
+        'badge_printed_at',
+        {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+    ),
+    down: queryInterface => queryInterface.removeColumn('applications', 'badge_printed_at')
+};
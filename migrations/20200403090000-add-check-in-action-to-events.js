@@ -0,0 +1,15 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'events',
+        'check_in_action',
+        {
+            type: Sequelize.ENUM('register', 'attend', 'depart'),
+            allowNull: false,
+            defaultValue: 'register'
+        },
+    ),
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('events', 'check_in_action');
+        await queryInterface.sequelize.query('DROP TYPE "enum_events_check_in_action";');
+    }
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'applications',
+        'created_by',
+        {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        },
+    ),
+    down: queryInterface => queryInterface.removeColumn('applications', 'created_by')
+};
@@ -0,0 +1,84 @@
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('pax_limit_requests', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            body_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            event_type: {
+                type: Sequelize.ENUM('agora', 'epm', 'spm'),
+                allowNull: false
+            },
+            delegate: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            envoy: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            observer: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            visitor: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            justification: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            user_name: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            email: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            response: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            reviewed_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('pax_limit_requests', ['event_type', 'status']);
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('pax_limit_requests');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pax_limit_requests_event_type";');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pax_limit_requests_status";');
+    }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+    up: (queryInterface, Sequelize) => queryInterface.addColumn(
+        'events',
+        'notifications',
+        {
+            type: Sequelize.JSONB,
+            allowNull: false,
+            defaultValue: {}
+        },
+    ),
+    down: queryInterface => queryInterface.removeColumn('events', 'notifications')
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Locations are getting IDs and their translations are stored as the object with location IDs
+// as keys, instead of the array where the names are in the same order as locations.
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        const events = await queryInterface.sequelize.query(
+            'select id, locations, translations from events',
+            { type: Sequelize.QueryTypes.SELECT }
+        );
+
+        for (const event of events) {
+            const locations = event.locations.map(location => Object.assign({}, location, {
+                id: crypto.randomBytes(4).toString('hex')
+            }));
+
+            const translations = {};
+            for (const language of Object.keys(event.translations)) {
+                translations[language] = Object.assign({}, event.translations[language]);
+
+                if (!Array.isArray(event.translations[language].locations)) {
+                    continue;
+                }
+
+                const names = {};
+                event.translations[language].locations.forEach((name, index) => {
+                    if (index < locations.length && typeof name === 'string') {
+                        names[locations[index].id] = name;
+                    }
+                });
+                translations[language].locations = names;
+            }
+
+            await queryInterface.sequelize.query(
+                'update events set locations = cast(:locations as jsonb), translations = cast(:translations as jsonb) where id = :id',
+                { replacements: { id: event.id, locations: JSON.stringify(locations), translations: JSON.stringify(translations) } }
+            );
+        }
+    },
+    down: async (queryInterface, Sequelize) => {
+        const events = await queryInterface.sequelize.query(
+            'select id, locations, translations from events',
+            { type: Sequelize.QueryTypes.SELECT }
+        );
+
+        for (const event of events) {
+            const ids = event.locations.map(location => location.id);
+            const locations = event.locations.map((location) => {
+                const newLocation = Object.assign({}, location);
+                delete newLocation.id;
+                return newLocation;
+            });
+
+            const translations = {};
+            for (const language of Object.keys(event.translations)) {
+                translations[language] = Object.assign({}, event.translations[language]);
+
+                const names = event.translations[language].locations;
+                if (typeof names === 'object' && names !== null && !Array.isArray(names)) {
+                    // The locations without the translation are set to null.
+                    translations[language].locations = ids.map(id => (typeof names[id] === 'undefined' ? null : names[id]));
+                }
+            }
+
+            await queryInterface.sequelize.query(
+                'update events set locations = cast(:locations as jsonb), translations = cast(:translations as jsonb) where id = :id',
+                { replacements: { id: event.id, locations: JSON.stringify(locations), translations: JSON.stringify(translations) } }
+            );
+        }
+    }
+};
@@ -0,0 +1,34 @@
+// Sessions are linked to the event's location by its ID instead of its index,
+// so reordering or removing the locations won't move the sessions to another place.
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('sessions', 'location_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+
+        await queryInterface.sequelize.query(`
+            update sessions
+            set location_id = events.locations -> sessions.location_index ->> 'id'
+            from events
+            where events.id = sessions.event_id and sessions.location_index is not null
+        `);
+
+        await queryInterface.removeColumn('sessions', 'location_index');
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('sessions', 'location_index', {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        });
+
+        await queryInterface.sequelize.query(`
+            update sessions
+            set location_index = locations.index - 1
+            from events, jsonb_array_elements(events.locations) with ordinality as locations(location, index)
+            where events.id = sessions.event_id and locations.location ->> 'id' = sessions.location_id
+        `);
+
+        await queryInterface.removeColumn('sessions', 'location_id');
+    }
+};
@@ -1,7 +1,12 @@
+const moment = require('moment');
+
 const { Sequelize, sequelize } = require('../lib/sequelize');
 const helpers = require('../lib/helpers');
+const constants = require('../lib/constants');
 const Event = require('./Event');
+const Image = require('./Image');
 const MembersList = require('./MembersList');
+const ApplicationChange = require('./ApplicationChange');
 
 function isBoolean(val) {
     if (typeof val !== 'boolean') {
@@ -54,8 +59,8 @@ const Application = sequelize.define('application', {
         defaultValue: '',
         validate: {
             async isValid(value) {
-                if (!Array.isArray(value)) {
-                    throw new Error('Answers should be an array of strings.');
+                if (!helpers.isObject(value) || Array.isArray(value)) {
+                    throw new Error('Answers should be an object with question IDs as keys.');
                 }
 
                 const event = await Event.findOne({ where: { id: this.event_id } });
@@ -64,44 +69,163 @@ const Application = sequelize.define('application', {
                     throw new Error('Could not find event.');
                 }
 
-                if (event.questions.length !== value.length) {
-                    throw new Error(`Expected ${event.questions.length} answers, but got ${value.length}.`);
-                }
+                // The answers to the questions that were removed are ignored.
+                for (let index = 0; index < event.questions.length; index++) {
+                    const question = event.questions[index];
+                    const answer = value[question.id];
+                    const prefix = `Answer number ${index + 1} ("${question.description}")`;
+
+                    // Hidden questions are not displayed to the user, so there's no need to validate them.
+                    if (!helpers.isQuestionVisible(event.questions, value, question)) {
+                        continue;
+                    }
+
+                    // The optional questions might be added after the user has applied.
+                    if (!helpers.isDefined(answer) && !question.required) {
+                        continue;
+                    }
 
-                for (let index = 0; index < value.length; index++) {
-                    switch (event.questions[index].type) {
+                    switch (question.type) {
                     case 'string':
                     case 'text':
-                        if (typeof value[index] !== 'string') {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}"): expected a string, got ${typeof value[index]}.`);
+                    case 'email':
+                    case 'url':
+                        if (typeof answer !== 'string') {
+                            throw new Error(`${prefix}: expected a string, got ${typeof answer}.`);
+                        }
+
+                        if (answer.trim().length === 0) {
+                            if (question.required) {
+                                throw new Error(`${prefix} is empty.`);
+                            }
+                            break;
+                        }
+
+                        if (question.type === 'email' && !Sequelize.Validator.isEmail(answer)) {
+                            throw new Error(`${prefix} should be a valid email, but got "${answer}".`);
                         }
 
-                        if (value[index].trim().length === 0 && event.questions[index].required) {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}") is empty.`);
+                        if (question.type === 'url' && !Sequelize.Validator.isURL(answer)) {
+                            throw new Error(`${prefix} should be a valid URL, but got "${answer}".`);
+                        }
+
+                        if (helpers.isTruthy(question.min) && answer.length < question.min) {
+                            throw new Error(`${prefix} should be at least ${question.min} characters long.`);
+                        }
+
+                        if (helpers.isTruthy(question.max) && answer.length > question.max) {
+                            throw new Error(`${prefix} should be at most ${question.max} characters long.`);
+                        }
+
+                        if (helpers.isTruthy(question.regex) && !new RegExp(question.regex).test(answer)) {
+                            throw new Error(`${prefix} has invalid format.`);
                         }
                         break;
                     case 'number':
-                        if (Number.isNaN(Number(value[index]))) {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}") should be a number, but got "${value[index]}".`);
+                        if (Number.isNaN(Number(answer))) {
+                            throw new Error(`${prefix} should be a number, but got "${answer}".`);
+                        }
+
+                        if (helpers.isTruthy(question.min) && Number(answer) < question.min) {
+                            throw new Error(`${prefix} should be at least ${question.min}.`);
+                        }
+
+                        if (helpers.isTruthy(question.max) && Number(answer) > question.max) {
+                            throw new Error(`${prefix} should be at most ${question.max}.`);
                         }
                         break;
                     case 'select':
-                        if (!event.questions[index].values.includes(value[index])) {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}") should be one of these: ${event.questions[index].values.join(', ')}, but got "${value[index]}".`);
+                        if (!question.values.includes(answer)) {
+                            throw new Error(`${prefix} should be one of these: ${question.values.join(', ')}, but got "${answer}".`);
+                        }
+                        break;
+                    case 'multiselect':
+                        if (!Array.isArray(answer)) {
+                            throw new Error(`${prefix}: expected an array, got ${typeof answer}.`);
+                        }
+
+                        for (const selected of answer) {
+                            if (!question.values.includes(selected)) {
+                                throw new Error(`${prefix} should only include these: ${question.values.join(', ')}, but got "${selected}".`);
+                            }
+                        }
+
+                        if (answer.length === 0 && question.required) {
+                            throw new Error(`${prefix}: at least one value should be selected.`);
+                        }
+
+                        if (helpers.isTruthy(question.min) && answer.length < question.min) {
+                            throw new Error(`${prefix}: at least ${question.min} values should be selected.`);
+                        }
+
+                        if (helpers.isTruthy(question.max) && answer.length > question.max) {
+                            throw new Error(`${prefix}: at most ${question.max} values should be selected.`);
+                        }
+                        break;
+                    case 'date': {
+                        if (!helpers.isTruthy(answer) || answer === '') {
+                            if (question.required) {
+                                throw new Error(`${prefix} is empty.`);
+                            }
+                            break;
+                        }
+
+                        const date = moment(answer, moment.ISO_8601, true);
+                        if (typeof answer !== 'string' || !date.isValid()) {
+                            throw new Error(`${prefix} should be a valid date, but got "${answer}".`);
+                        }
+
+                        if (helpers.isTruthy(question.min) && date.isBefore(question.min)) {
+                            throw new Error(`${prefix} should not be before ${question.min}.`);
+                        }
+
+                        if (helpers.isTruthy(question.max) && date.isAfter(question.max)) {
+                            throw new Error(`${prefix} should not be after ${question.max}.`);
+                        }
+                        break;
+                    }
+                    case 'country':
+                        if (!helpers.isTruthy(answer) || answer === '') {
+                            if (question.required) {
+                                throw new Error(`${prefix} is empty.`);
+                            }
+                            break;
+                        }
+
+                        // ISO 3166-1 alpha-2 codes, like "BE" or "NL".
+                        if (typeof answer !== 'string' || !Sequelize.Validator.isISO31661Alpha2(answer)) {
+                            throw new Error(`${prefix} should be a valid country code, but got "${answer}".`);
+                        }
+                        break;
+                    case 'file': {
+                        if (!helpers.isTruthy(answer)) {
+                            if (question.required) {
+                                throw new Error(`${prefix}: the file should be uploaded.`);
+                            }
+                            break;
+                        }
+
+                        // The answer is the ID of the file uploaded by the same user, or by the one
+                        // who has created this application for them (on behalf or by importing it).
+                        const file = Number.isInteger(answer) ? await Image.findByPk(answer) : null;
+                        const uploaders = [this.user_id, this.created_by].filter(helpers.isTruthy);
+                        if (!file || !uploaders.includes(file.user_id)) {
+                            throw new Error(`${prefix}: the file is not found.`);
                         }
                         break;
+                    }
                     case 'checkbox':
-                        if (typeof value[index] !== 'boolean') {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}"): type should be boolean, but got "${typeof value[index]}".`);
+                        if (typeof answer !== 'boolean') {
+                            throw new Error(`${prefix}: type should be boolean, but got "${typeof answer}".`);
                         }
 
-                        if (value[index] !== true && event.questions[index].required) {
-                            throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}"): you should agree.`);
+                        if (answer !== true && question.required) {
+                            throw new Error(`${prefix}: you should agree.`);
                         }
                         break;
                     /* istanbul ignore next */
                     default:
-                        throw new Error(`Answer number ${index + 1} ("${event.questions[index].description}"): unknown question type: ${event.questions[index].type}`);
+                        throw new Error(`${prefix}: unknown question type: ${question.type}`);
                     }
                 }
             }
@@ -302,6 +426,20 @@ const Application = sequelize.define('application', {
         allowNull: true,
         type: Sequelize.STRING
     },
+    // When the visa invitation letter was generated for the last time.
+    visa_letter_issued_at: {
+        allowNull: true,
+        type: Sequelize.DATE
+    },
+    badge_printed_at: {
+        allowNull: true,
+        type: Sequelize.DATE
+    },
+    // The user who filed the application on behalf of the applicant, null if they applied themselves.
+    created_by: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+    },
     date_of_birth: {
         allowNull: false,
         type: Sequelize.STRING,
@@ -355,20 +493,7 @@ const Application = sequelize.define('application', {
             if (!this.visa_required) {
                 return;
             }
-            const visaFields = [
-                'visa_place_of_birth',
-                'visa_passport_number',
-                'visa_passport_issue_date',
-                'visa_passport_expiration_date',
-                'visa_passport_issue_authority',
-                'visa_embassy',
-                'visa_street_and_house',
-                'visa_postal_code',
-                'visa_city',
-                'visa_country'
-            ];
-
-            for (const field of visaFields) {
+            for (const field of constants.VISA_FIELDS) {
                 if (this[field] === null || typeof this[field] === 'undefined') {
                     throw new Error(`Visa is required, but ${field} is not set.`);
                 }
@@ -394,7 +519,14 @@ const Application = sequelize.define('application', {
     }
 });
 
-Application.findWithParams = ({ where, attributes, query }) => {
+// The filters and the sorting are parsed and checked in lib/filters.js.
+Application.findWithParams = ({
+    where,
+    attributes,
+    query,
+    filter = [],
+    order = [['id', 'desc']]
+}) => {
     const findAllObject = { where };
 
     if (helpers.isDefined(attributes)) {
@@ -411,22 +543,7 @@ Application.findWithParams = ({ where, attributes, query }) => {
         findAllObject[key] = Number(query[key]);
     }
 
-    // Sorting by ID desc by default.
-    const sorting = [['id', 'desc']];
-
-    // Trying to apply sorting fields.
-    if (helpers.isObject(query.sort)) {
-        if (helpers.isDefined(query.sort.field)) {
-            sorting[0][0] = query.sort.field;
-        }
-
-        if (helpers.isDefined(query.sort.order)) {
-            sorting[0][1] = query.sort.order;
-        }
-    }
-
-    // Trying to apply filtering.
-    // Only filtering by first name, last name and email is supported.
+    // Trying to apply filtering by first name, last name and email.
     if (query.query) {
         findAllObject.where[Sequelize.Op.or] = {
             first_name: { [Sequelize.Op.iLike]: '%' + query.query + '%' },
@@ -435,15 +552,43 @@ Application.findWithParams = ({ where, attributes, query }) => {
         };
     }
 
+    // Joined with AND, so the filters cannot override the list's own conditions.
+    if (filter.length > 0) {
+        findAllObject.where[Sequelize.Op.and] = filter;
+    }
+
     if (!query.displayCancelled) {
         findAllObject.where.cancelled = false;
     }
 
-    findAllObject.order = sorting;
+    findAllObject.order = order;
 
     return Application.findAndCountAll(findAllObject);
 };
 
+// Answers used to be an array in the same order as the questions.
+// It's still accepted and converted to the object with question IDs as keys,
+// using the current order of the questions.
+Application.beforeValidate(async (application) => {
+    if (!Array.isArray(application.answers)) {
+        return;
+    }
+
+    const event = await Event.findByPk(application.event_id);
+    /* istanbul ignore next */
+    if (!event) {
+        return;
+    }
+
+    application.answers = event.questions.reduce((acc, question, index) => {
+        if (index < application.answers.length) {
+            acc[question.id] = application.answers[index];
+        }
+
+        return acc;
+    }, {});
+});
+
 // Updating the users' inclusion in memberslist for this body.
 Application.afterValidate(async (application, options) => {
     // Skipping if not Agora.
@@ -462,8 +607,10 @@ Application.afterValidate(async (application, options) => {
 
 // Generating and setting statutory_id
 Application.beforeCreate(async (application, options) => {
+    // Counting within the same transaction, so the applications created in it are counted too.
     const applicationsCount = await Application.count({
-        where: { event_id: application.event_id }
+        where: { event_id: application.event_id },
+        transaction: options.transaction
     });
 
     const newStatutoryId = application.event_id.toString().padStart(3, '0')
@@ -474,4 +621,20 @@ Application.beforeCreate(async (application, options) => {
     application.setDataValue('statutory_id', newStatutoryId);
 });
 
+// Storing the history of changes. The user who did the change should be passed
+// as options.user, and options.history can be set to false to skip it, if the
+// changes are recorded separately.
+Application.afterUpdate(async (application, options) => {
+    if (options.history === false) {
+        return;
+    }
+
+    const oldValues = {};
+    for (const field of application.changed() || []) {
+        oldValues[field] = application.previous(field);
+    }
+
+    await ApplicationChange.recordChanges(application, oldValues, options);
+});
+
 module.exports = Application;
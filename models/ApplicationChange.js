@@ -0,0 +1,77 @@
+const { Sequelize, sequelize } = require('../lib/sequelize');
+const constants = require('../lib/constants');
+
+// A single change of a single field of an application, along with the user who changed it.
+// The user is not set if the change was done by the system (like when the members list is uploaded).
+const ApplicationChange = sequelize.define('application_change', {
+    application_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+    },
+    event_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+    },
+    body_id: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+    },
+    user_id: {
+        allowNull: true,
+        type: Sequelize.INTEGER
+    },
+    user_name: {
+        allowNull: true,
+        type: Sequelize.STRING
+    },
+    field: {
+        allowNull: false,
+        type: Sequelize.STRING
+    },
+    old_value: {
+        allowNull: true,
+        type: Sequelize.JSONB
+    },
+    new_value: {
+        allowNull: true,
+        type: Sequelize.JSONB
+    }
+}, {
+    underscored: true,
+    tableName: 'application_changes',
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+// Values are stored as JSON, so comparing and storing them the way they'd be serialized.
+const serialize = value => (typeof value === 'undefined' ? null : JSON.parse(JSON.stringify(value)));
+
+// Saving the changes for the fields from oldValues, comparing them with the current values
+// of the application. The user who did the change is taken from options.user, if set.
+ApplicationChange.recordChanges = async (application, oldValues, options = {}) => {
+    const { user, transaction } = options;
+
+    const changes = Object.keys(oldValues)
+        .filter(field => !constants.APPLICATION_HISTORY_IGNORED_FIELDS.includes(field))
+        .map(field => ({
+            field,
+            old_value: serialize(oldValues[field]),
+            new_value: serialize(application.getDataValue(field))
+        }))
+        .filter(change => JSON.stringify(change.old_value) !== JSON.stringify(change.new_value))
+        .map(change => Object.assign(change, {
+            application_id: application.id,
+            event_id: application.event_id,
+            body_id: application.body_id,
+            user_id: user ? user.id : null,
+            user_name: user ? `${user.first_name} ${user.last_name}` : null
+        }));
+
+    if (changes.length === 0) {
+        return;
+    }
+
+    await ApplicationChange.bulkCreate(changes, { transaction });
+};
+
+module.exports = ApplicationChange;
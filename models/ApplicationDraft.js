@@ -0,0 +1,43 @@
+const { Sequelize, sequelize } = require('../lib/sequelize');
+
+// The application that is not submitted yet. The data is stored as is, without
+// any validation, and is validated only when the draft is submitted and the real
+// application is created from it. There can be only one draft per user per event.
+const ApplicationDraft = sequelize.define('application_draft', {
+    event_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Event should be set.' },
+            isInt: { msg: 'Event ID should be a number.' }
+        },
+    },
+    user_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: '',
+        validate: {
+            isInt: { msg: 'User ID should be a number.' }
+        }
+    },
+    data: {
+        allowNull: false,
+        type: Sequelize.JSONB,
+        defaultValue: {},
+        validate: {
+            isObject(value) {
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                    throw new Error('Draft data should be an object.');
+                }
+            }
+        }
+    }
+}, {
+    underscored: true,
+    tableName: 'application_drafts',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+module.exports = ApplicationDraft;
@@ -1,8 +1,9 @@
+const crypto = require('crypto');
 const moment = require('moment-timezone');
 
-moment.tz.setDefault('CET');
-
 const { Sequelize, sequelize } = require('../lib/sequelize');
+const constants = require('../lib/constants');
+const helpers = require('../lib/helpers');
 
 // A lot of workarounds here like this one:
 // allowNull: false,
@@ -53,13 +54,13 @@ const Event = sequelize.define('event', {
         }
     },
     status: {
-        type: Sequelize.ENUM('draft', 'published'),
+        type: Sequelize.ENUM('draft', 'published', 'ongoing', 'finished', 'cancelled', 'archived'),
         allowNull: false,
         defaultValue: 'draft',
         validate: {
             isIn: {
-                args: [['draft', 'published']],
-                msg: 'Event status should be one of these: "draft", "published".'
+                args: [['draft', 'published', 'ongoing', 'finished', 'cancelled', 'archived']],
+                msg: 'Event status should be one of these: "draft", "published", "ongoing", "finished", "cancelled", "archived".'
             }
         }
     },
@@ -174,6 +175,14 @@ const Event = sequelize.define('event', {
                         throw new Error('Position is malformed.');
                     }
 
+                    if (typeof position.id !== 'string' || position.id.trim().length === 0) {
+                        throw new Error('ID should be a string.');
+                    }
+
+                    if (value.findIndex(otherPosition => otherPosition.id === position.id) !== value.indexOf(position)) {
+                        throw new Error(`ID "${position.id}" is not unique.`);
+                    }
+
                     if (typeof position.name !== 'string') {
                         throw new Error('Name is invalid.');
                     }
@@ -197,6 +206,74 @@ const Event = sequelize.define('event', {
             }
         }
     },
+    translations: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        validate: {
+            isValid(value) {
+                if (!helpers.isObject(value) || Array.isArray(value)) {
+                    throw new Error('Translations should be an object.');
+                }
+
+                /* Translations structure
+                {
+                    'language code, like "de"': {
+                        name: 'optional, translated name',
+                        description: 'optional, translated description',
+                        questions: { 'question ID': 'translated question description' },
+                        locations: { 'location ID': 'translated location name' }
+                    }
+                }
+                */
+                for (const language of Object.keys(value)) {
+                    const translation = value[language];
+
+                    if (!constants.LANGUAGE_CODE_REGEX.test(language)) {
+                        throw new Error(`Translations: "${language}" is not a valid language code, it should be like "de".`);
+                    }
+
+                    if (language === constants.DEFAULT_LANGUAGE) {
+                        throw new Error(`Translations: "${language}" is the default language, set the fields themselves instead.`);
+                    }
+
+                    if (!helpers.isObject(translation) || Array.isArray(translation)) {
+                        throw new Error(`Translations for "${language}": should be an object.`);
+                    }
+
+                    for (const field of ['name', 'description']) {
+                        if (helpers.isTruthy(translation[field]) && typeof translation[field] !== 'string') {
+                            throw new Error(`Translations for "${language}": ${field} should be a string.`);
+                        }
+                    }
+
+                    if (helpers.isTruthy(translation.questions)) {
+                        if (!helpers.isObject(translation.questions) || Array.isArray(translation.questions)) {
+                            throw new Error(`Translations for "${language}": questions should be an object with question IDs as keys.`);
+                        }
+
+                        for (const questionId of Object.keys(translation.questions)) {
+                            if (typeof translation.questions[questionId] !== 'string') {
+                                throw new Error(`Translations for "${language}": question "${questionId}" should be a string.`);
+                            }
+                        }
+                    }
+
+                    if (helpers.isTruthy(translation.locations)) {
+                        if (!helpers.isObject(translation.locations) || Array.isArray(translation.locations)) {
+                            throw new Error(`Translations for "${language}": locations should be an object with location IDs as keys.`);
+                        }
+
+                        for (const locationId of Object.keys(translation.locations)) {
+                            if (typeof translation.locations[locationId] !== 'string') {
+                                throw new Error(`Translations for "${language}": location "${locationId}" should be a string.`);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
     body_id: {
         type: Sequelize.INTEGER,
         allowNull: false,
@@ -224,10 +301,18 @@ const Event = sequelize.define('event', {
                     const question = value[index];
                     /* Question structure
                     {
-                        type: 'string|text|number|checkbox|select',
+                        id: 'a unique string, generated automatically if not set, answers are stored by it',
+                        type: 'string|text|number|checkbox|select|multiselect|date|email|url|country|file',
                         description: 'a line that will appear as a label',
                         required: 'boolean',
-                        values: ['an array of strings, required for select']
+                        values: ['an array of strings, required for select and multiselect'],
+                        min: 'optional, minimal length for string/text, value for number, amount of values for multiselect, date for date',
+                        max: 'optional, same as min, but maximal',
+                        regex: 'optional, a regular expression for string/text/email/url',
+                        show_if: {
+                            question: 'optional, ID of the earlier select/multiselect/checkbox question',
+                            value: 'the question is displayed only if the answer to that question is (or includes) this value'
+                        }
                     }
                     */
 
@@ -235,6 +320,14 @@ const Event = sequelize.define('event', {
                         throw new Error(`Question ${index + 1}: should be an object.`);
                     }
 
+                    if (typeof question.id !== 'string' || question.id.trim().length === 0) {
+                        throw new Error(`Question ${index + 1}: ID should be a string.`);
+                    }
+
+                    if (value.findIndex(otherQuestion => otherQuestion.id === question.id) !== index) {
+                        throw new Error(`Question ${index + 1}: ID "${question.id}" is not unique.`);
+                    }
+
                     if (typeof question.description !== 'string' || question.description.trim().length === 0) {
                         throw new Error(`Question ${index + 1}: description should be set.`);
                     }
@@ -252,8 +345,14 @@ const Event = sequelize.define('event', {
                     case 'text':
                     case 'checkbox':
                     case 'number':
+                    case 'date':
+                    case 'email':
+                    case 'url':
+                    case 'country':
+                    case 'file':
                         break;
                     case 'select':
+                    case 'multiselect':
                         if (!Array.isArray(question.values)) {
                             throw new Error(`Question ${index + 1}: values is not an array.`);
                         }
@@ -267,6 +366,77 @@ const Event = sequelize.define('event', {
                     default:
                         throw new Error(`Question ${index + 1}: invalid question type: "${question.type}"`);
                     }
+
+                    for (const limit of ['min', 'max']) {
+                        if (!helpers.isTruthy(question[limit])) {
+                            continue;
+                        }
+
+                        if (!['string', 'text', 'number', 'multiselect', 'date'].includes(question.type)) {
+                            throw new Error(`Question ${index + 1}: ${limit} is not allowed for "${question.type}" questions.`);
+                        }
+
+                        const isValidLimit = question.type === 'date'
+                            ? moment(question[limit], moment.ISO_8601, true).isValid()
+                            : typeof question[limit] === 'number' && !Number.isNaN(question[limit]);
+
+                        if (!isValidLimit) {
+                            throw new Error(`Question ${index + 1}: ${limit} should be a ${question.type === 'date' ? 'date' : 'number'}.`);
+                        }
+                    }
+
+                    if (helpers.isTruthy(question.min) && helpers.isTruthy(question.max)) {
+                        const isMinAfterMax = question.type === 'date'
+                            ? moment(question.min).isAfter(question.max)
+                            : question.min > question.max;
+
+                        if (isMinAfterMax) {
+                            throw new Error(`Question ${index + 1}: min cannot be greater than max.`);
+                        }
+                    }
+
+                    if (helpers.isTruthy(question.regex)) {
+                        if (!['string', 'text', 'email', 'url'].includes(question.type)) {
+                            throw new Error(`Question ${index + 1}: regex is not allowed for "${question.type}" questions.`);
+                        }
+
+                        if (typeof question.regex !== 'string' || question.regex.length > constants.QUESTION_REGEX_MAX_LENGTH) {
+                            throw new Error(`Question ${index + 1}: regex should be a string up to ${constants.QUESTION_REGEX_MAX_LENGTH} characters.`);
+                        }
+
+                        if (!helpers.isValidRegex(question.regex)) {
+                            throw new Error(`Question ${index + 1}: regex is invalid.`);
+                        }
+                    }
+
+                    if (helpers.isTruthy(question.show_if)) {
+                        const condition = question.show_if;
+                        if (typeof condition !== 'object' || condition === null) {
+                            throw new Error(`Question ${index + 1}: show_if should be an object.`);
+                        }
+
+                        const dependsOnIndex = value.findIndex(otherQuestion => otherQuestion.id === condition.question);
+                        if (dependsOnIndex === -1 || dependsOnIndex >= index) {
+                            throw new Error(`Question ${index + 1}: show_if should refer to one of the previous questions.`);
+                        }
+
+                        const dependsOn = value[dependsOnIndex];
+                        switch (dependsOn.type) {
+                        case 'select':
+                        case 'multiselect':
+                            if (!dependsOn.values.includes(condition.value)) {
+                                throw new Error(`Question ${index + 1}: show_if value should be one of these: ${dependsOn.values.join(', ')}.`);
+                            }
+                            break;
+                        case 'checkbox':
+                            if (typeof condition.value !== 'boolean') {
+                                throw new Error(`Question ${index + 1}: show_if value should be a boolean.`);
+                            }
+                            break;
+                        default:
+                            throw new Error(`Question ${index + 1}: show_if can only refer to select, multiselect or checkbox questions.`);
+                        }
+                    }
                 }
             }
         }
@@ -300,10 +470,23 @@ const Event = sequelize.define('event', {
             isInt: { msg: 'Image ID should be a number.' }
         },
     },
+    timezone: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: constants.DEFAULT_TIMEZONE,
+        validate: {
+            isValid(value) {
+                if (typeof value !== 'string' || !moment.tz.zone(value)) {
+                    throw new Error('Event timezone should be a valid IANA timezone, e.g. "Europe/Brussels".');
+                }
+            }
+        }
+    },
     memberslist_edit_deadline: {
         type: Sequelize.VIRTUAL,
         get() {
-            return moment(this.starts).subtract(1, 'day').toDate(); // inclusive
+            // The day before the event starts in the event's timezone.
+            return moment.tz(this.starts, this.timezone).subtract(1, 'day').toDate(); // inclusive
         }
     },
     can_apply: {
@@ -336,6 +519,85 @@ const Event = sequelize.define('event', {
             return moment().isBetween(this.application_period_starts, this.memberslist_edit_deadline, null, '[]'); // inclusive
         }
     },
+    // If set, the next application from the waiting list is accepted
+    // when an accepted one is cancelled or rejected.
+    auto_promote_waiting_list: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        validate: {
+            isBoolean(value) {
+                if (typeof value !== 'boolean') {
+                    throw new Error('Automatic waiting list promotion should be true or false.');
+                }
+            }
+        }
+    },
+    // Which mails are sent to the applicants when their applications are changed,
+    // like { status: true, cancelled: false }. The ones that are not set are not sent.
+    notifications: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        validate: {
+            isValid(value) {
+                if (!helpers.isObject(value) || Array.isArray(value)) {
+                    throw new Error('Notifications should be an object.');
+                }
+
+                for (const key of Object.keys(value)) {
+                    if (!(key in constants.APPLICATION_NOTIFICATIONS)) {
+                        throw new Error(`Unknown notification: "${key}", should be one of these: \
+${Object.keys(constants.APPLICATION_NOTIFICATIONS).join(', ')}.`);
+                    }
+
+                    if (typeof value[key] !== 'boolean') {
+                        throw new Error(`Notification "${key}" should be true or false.`);
+                    }
+                }
+            }
+        }
+    },
+    // What is done when the participant's badge is scanned at the registration desk.
+    check_in_action: {
+        type: Sequelize.ENUM('register', 'attend', 'depart'),
+        allowNull: false,
+        defaultValue: 'register',
+        validate: {
+            isIn: {
+                args: [['register', 'attend', 'depart']],
+                msg: 'Check-in action should be one of these: "register", "attend", "depart".'
+            }
+        }
+    },
+    // The template for the visa invitation letters, with the placeholders like {{event_name}}.
+    // If not set, the default one is used.
+    visa_letter_template: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        validate: {
+            hasKnownPlaceholders(value) {
+                if (typeof value !== 'string') {
+                    return;
+                }
+
+                const placeholders = (value.match(/{{\s*[^}]*\s*}}/g) || [])
+                    .map(placeholder => placeholder.replace(/[{}]/g, '').trim());
+
+                for (const placeholder of placeholders) {
+                    if (!constants.VISA_LETTER_PLACEHOLDERS.includes(placeholder)) {
+                        throw new Error(`Unknown placeholder in the visa letter template: "${placeholder}", \
+should be one of these: ${constants.VISA_LETTER_PLACEHOLDERS.join(', ')}.`);
+                    }
+                }
+            }
+        }
+    },
+    // When the personal data of the applicants was removed, see the retention job in lib/cron.js.
+    anonymised_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+    },
     url: {
         type: Sequelize.STRING,
         allowNull: false,
@@ -361,4 +623,81 @@ const Event = sequelize.define('event', {
     updatedAt: 'updated_at'
 });
 
+// Returns the event as JSON with the texts in the first of the given languages
+// that has translations, falling back to the default language for the missing ones.
+Event.prototype.translate = function translate(languages) {
+    const event = this.toJSON();
+    const language = languages.find(lang => lang === constants.DEFAULT_LANGUAGE || helpers.isObject(event.translations[lang]));
+
+    event.language = language || constants.DEFAULT_LANGUAGE;
+    if (event.language === constants.DEFAULT_LANGUAGE) {
+        return event;
+    }
+
+    const translation = event.translations[event.language];
+    const translated = (original, text) => (typeof text === 'string' && text.trim().length > 0 ? text : original);
+
+    event.name = translated(event.name, translation.name);
+    event.description = translated(event.description, translation.description);
+
+    if (Array.isArray(event.questions)) {
+        event.questions = event.questions.map(question => Object.assign({}, question, {
+            description: translated(question.description, (translation.questions || {})[question.id])
+        }));
+    }
+
+    event.locations = event.locations.map(location => Object.assign({}, location, {
+        name: translated(location.name, (translation.locations || {})[location.id])
+    }));
+
+    return event;
+};
+
+// Returns the list of the fields that are not translated to this language.
+Event.prototype.getMissingTranslations = function getMissingTranslations(language) {
+    const translation = this.translations[language] || {};
+    const isMissing = text => typeof text !== 'string' || text.trim().length === 0;
+    const missing = [];
+
+    if (isMissing(translation.name)) {
+        missing.push('name');
+    }
+
+    if (isMissing(translation.description)) {
+        missing.push('description');
+    }
+
+    for (const question of this.questions) {
+        if (isMissing((translation.questions || {})[question.id])) {
+            missing.push('questions.' + question.id);
+        }
+    }
+
+    for (const location of this.locations) {
+        if (isMissing((translation.locations || {})[location.id])) {
+            missing.push('locations.' + location.id);
+        }
+    }
+
+    return missing;
+};
+
+// Questions and locations have IDs, so the answers and the translations are not mixed up
+// if they were added, removed or reordered. Generating them for the new ones.
+Event.beforeValidate((event) => {
+    for (const field of ['questions', 'locations']) {
+        if (!Array.isArray(event[field])) {
+            continue;
+        }
+
+        if (event[field].every(item => !helpers.isObject(item) || item.id)) {
+            continue;
+        }
+
+        event[field] = event[field].map(item => (helpers.isObject(item) && !item.id
+            ? Object.assign({}, item, { id: crypto.randomBytes(4).toString('hex') })
+            : item));
+    }
+});
+
 module.exports = Event;
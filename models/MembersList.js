@@ -4,6 +4,7 @@ const Joi = require('joi');
 const { Sequelize, sequelize } = require('../lib/sequelize');
 const helpers = require('../lib/helpers');
 const constants = require('../lib/constants');
+const ApplicationChange = require('./ApplicationChange');
 
 const membersSchema = Joi.array().min(1).items(Joi.object().keys({
     first_name: Joi.string().trim().required(),
@@ -147,10 +148,13 @@ MembersList.afterSave(async (memberslist) => {
 
     for (const application of applicationsForBody) {
         const isOnMemberslist = helpers.memberslistHasMember(memberslist, application);
+        const oldValues = { is_on_memberslist: application.is_on_memberslist };
+
         await application.update(
             { is_on_memberslist: isOnMemberslist },
             { hooks: false } // to prevent unnecessary queries for memberslists on application
         );
+        await ApplicationChange.recordChanges(application, oldValues);
     }
 });
 
@@ -0,0 +1,133 @@
+const { Sequelize, sequelize } = require('../lib/sequelize');
+const Application = require('./Application');
+
+// The amount of participants is either not requested (null) or a number,
+// the 'unlimited' participants cannot be requested.
+function isRequestedAmount(value) {
+    if (value === null) {
+        return;
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error('Should be a positive number, 0 or null.');
+    }
+}
+
+// The request from the board for more participants of some type for their body.
+// When it's approved, the requested amounts are set in the PaxLimit for this body and event type.
+const PaxLimitRequest = sequelize.define('PaxLimitRequest', {
+    body_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Body ID should be set.' },
+            isInt: { msg: 'Body ID should be a number.' }
+        }
+    },
+    event_type: {
+        type: Sequelize.ENUM('agora', 'epm', 'spm'),
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Event type should be set.' },
+            isIn: {
+                args: [['agora', 'epm', 'spm']],
+                msg: 'Event type should be one of these: "agora", "epm", "spm".'
+            }
+        }
+    },
+    delegate: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        validate: { isRequestedAmount }
+    },
+    envoy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        validate: { isRequestedAmount }
+    },
+    observer: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        validate: { isRequestedAmount }
+    },
+    visitor: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        validate: { isRequestedAmount }
+    },
+    justification: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Justification should be set.' }
+        }
+    },
+    status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+            isIn: {
+                args: [['pending', 'approved', 'rejected']],
+                msg: 'Status should be one of these: "pending", "approved", "rejected".'
+            }
+        }
+    },
+    user_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: '',
+        validate: {
+            isInt: { msg: 'User ID should be a number.' }
+        }
+    },
+    user_name: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'User name should be set.' }
+        }
+    },
+    email: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Email should be set.' }
+        }
+    },
+    response: {
+        type: Sequelize.TEXT,
+        allowNull: true
+    },
+    reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+    },
+    reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+    }
+}, {
+    underscored: true,
+    tableName: 'pax_limit_requests',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    validate: {
+        hasRequestedAmounts() {
+            if (Application.rawAttributes.participant_type.values.every(type => this[type] === null || typeof this[type] === 'undefined')) {
+                throw new Error('At least one participant type amount should be requested.');
+            }
+        }
+    }
+});
+
+module.exports = PaxLimitRequest;
@@ -1,6 +1,6 @@
 const moment = require('moment');
 
-const { Sequelize, sequelize } = require('../lib/sequelize');
+const { Sequelize, sequelize, afterCommit } = require('../lib/sequelize');
 const Attendance = require('./Attendance');
 
 const Plenary = sequelize.define('plenary', {
@@ -63,24 +63,30 @@ Plenary.prototype.closeAttendances = async function closeAttendances() {
     );
 };
 
-Plenary.afterUpdate((plenary) => {
+Plenary.afterUpdate((plenary, options) => {
     // Yeah, nasty, but prevents us from circular dependencies issues. Been there, done that.
     // eslint-disable-next-line global-require
     const cron = require('../lib/cron');
 
     // Clearing the deadlines and setting them again on afterSave() (just in case).
     // Only needed on update.
-    cron.clearJobs(cron.JOB_TYPES.CLOSE_ATTENDANCES, { id: plenary.id });
+    afterCommit(options.transaction, () => cron.clearJobs(cron.JOB_TYPES.CLOSE_ATTENDANCES, { id: plenary.id }));
 });
 
-Plenary.afterSave((plenary) => {
+Plenary.afterSave(async (plenary, options) => {
     // Yeah, nasty, but prevents us from circular dependencies issues. Been there, done that.
     // eslint-disable-next-line global-require
     const cron = require('../lib/cron');
 
     // Schedule a deadline for closing all attendances. If it's in the past, cron
-    // will catch it.
-    cron.addJob(cron.JOB_TYPES.CLOSE_ATTENDANCES, plenary.ends, { id: plenary.id });
+    // will catch it. Only once the plenary is saved in the DB.
+    // The event's timezone is passed in the options, to log the deadline in it.
+    afterCommit(options.transaction, () => cron.addJob(
+        cron.JOB_TYPES.CLOSE_ATTENDANCES,
+        plenary.ends,
+        { id: plenary.id },
+        options.timezone
+    ));
 });
 
 module.exports = Plenary;
@@ -1,6 +1,6 @@
 const moment = require('moment');
 
-const { Sequelize, sequelize } = require('../lib/sequelize');
+const { Sequelize, sequelize, afterCommit } = require('../lib/sequelize');
 
 const Position = sequelize.define('position', {
     event_id: {
@@ -104,18 +104,20 @@ Position.beforeCreate(async (position, options) => {
     options.fields.push('status');
 });
 
-Position.afterUpdate((position) => {
+Position.afterUpdate((position, options) => {
     // Yeah, nasty, but prevents us from circular dependencies issues. Been there, done that.
     // eslint-disable-next-line global-require
     const cron = require('../lib/cron');
 
     // Clearing the deadlines and setting them again on afterSave() (just in case).
     // Only needed on update.
-    cron.clearJobs(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS, { id: position.id });
-    cron.clearJobs(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, { id: position.id });
+    afterCommit(options.transaction, () => {
+        cron.clearJobs(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS, { id: position.id });
+        cron.clearJobs(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, { id: position.id });
+    });
 });
 
-Position.afterSave(async (position) => {
+Position.afterSave(async (position, options) => {
     // Yeah, nasty, but prevents us from circular dependencies issues. Been there, done that.
     // eslint-disable-next-line global-require
     const cron = require('../lib/cron');
@@ -123,10 +125,13 @@ Position.afterSave(async (position) => {
     // Schedule 3 deadlines, one for opening and one for closing,
     // and the 3rd one for closing position 2 weeks before Agora.
     // If there should be no deadline, cron will catch it.
-    // Should be run on create and update.
-    cron.addJob(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS, position.starts, { id: position.id });
-    cron.addJob(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, position.ends, { id: position.id });
-    cron.addJob(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, position.ends_force, { id: position.id, force: true });
+    // Should be run on create and update, once the position is saved in the DB.
+    // The event's timezone is passed in the options, to log the deadlines in it.
+    afterCommit(options.transaction, () => {
+        cron.addJob(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS, position.starts, { id: position.id }, options.timezone);
+        cron.addJob(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, position.ends, { id: position.id }, options.timezone);
+        cron.addJob(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS, position.ends_force, { id: position.id, force: true }, options.timezone);
+    });
 });
 
 module.exports = Position;
@@ -0,0 +1,142 @@
+const moment = require('moment');
+
+const { Sequelize, sequelize } = require('../lib/sequelize');
+const constants = require('../lib/constants');
+const Event = require('./Event');
+const Plenary = require('./Plenary');
+const Position = require('./Position');
+
+const isDefined = value => typeof value !== 'undefined' && value !== null;
+
+// A single entry in the event schedule, like a plenary, a workshop or a meal.
+const Session = sequelize.define('session', {
+    event_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Event should be set.' },
+            isInt: { msg: 'Event ID should be a number.' }
+        },
+    },
+    name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Session name should be set.' },
+        }
+    },
+    description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+    },
+    type: {
+        type: Sequelize.ENUM(...constants.SESSION_TYPES),
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            isIn: {
+                args: [constants.SESSION_TYPES],
+                msg: 'Session type should be one of these: ' + constants.SESSION_TYPES.join(', ') + '.'
+            }
+        }
+    },
+    starts: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Session start date should be set.' },
+            isDate: { msg: 'Session start date should be valid.' }
+        }
+    },
+    ends: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: '',
+        validate: {
+            notEmpty: { msg: 'Session end date should be set.' },
+            isDate: { msg: 'Session end date should be valid.' },
+            laterThanStart(val) {
+                if (moment(val).isSameOrBefore(this.starts)) {
+                    throw new Error('Session cannot start after or at the same time it ends.');
+                }
+            }
+        }
+    },
+    room: {
+        type: Sequelize.STRING,
+        allowNull: true
+    },
+    // The ID of the entry in the event's locations.
+    location_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+    },
+    plenary_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        validate: {
+            isInt: { msg: 'Plenary ID should be a number.' }
+        }
+    },
+    position_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        validate: {
+            isInt: { msg: 'Position ID should be a number.' }
+        }
+    }
+}, {
+    underscored: true,
+    tableName: 'sessions',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+// The validations that need the event, its plenaries or positions are done here and not
+// in the validators, as the hooks have the transaction (used when cloning the event).
+Session.beforeSave(async (session, options) => {
+    const { transaction } = options;
+    const errors = [];
+    const addError = (path, message) => errors.push(new Sequelize.ValidationErrorItem(message, 'Validation error', path, session[path]));
+
+    const event = await Event.findByPk(session.event_id, { transaction });
+    /* istanbul ignore next */
+    if (!event) {
+        return;
+    }
+
+    if (moment(session.starts).isBefore(event.starts)) {
+        addError('starts', 'Session cannot start before the event starts.');
+    }
+
+    if (moment(session.ends).isAfter(event.ends)) {
+        addError('ends', 'Session cannot end after the event ends.');
+    }
+
+    if (isDefined(session.location_id) && !event.locations.some(location => location.id === session.location_id)) {
+        addError('location_id', 'The event has no location with this ID.');
+    }
+
+    if (isDefined(session.plenary_id)) {
+        const plenary = await Plenary.findOne({ where: { id: session.plenary_id, event_id: event.id }, transaction });
+        if (!plenary) {
+            addError('plenary_id', 'The event has no plenary with this ID.');
+        }
+    }
+
+    if (isDefined(session.position_id)) {
+        const position = await Position.findOne({ where: { id: session.position_id, event_id: event.id }, transaction });
+        if (!position) {
+            addError('position_id', 'The event has no position with this ID.');
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Sequelize.ValidationError(null, errors);
+    }
+});
+
+module.exports = Session;
@@ -2,6 +2,7 @@ const Event = require('./Event');
 const Application = require('./Application');
 const MembersList = require('./MembersList');
 const PaxLimit = require('./PaxLimit');
+const PaxLimitRequest = require('./PaxLimitRequest');
 const VotesPerAntenna = require('./VotesPerAntenna');
 const VotesPerDelegate = require('./VotesPerDelegate');
 const Position = require('./Position');
@@ -11,6 +12,9 @@ const Attendance = require('./Attendance');
 const Image = require('./Image');
 const QuestionLine = require('./QuestionLine');
 const Question = require('./Question');
+const Session = require('./Session');
+const ApplicationChange = require('./ApplicationChange');
+const ApplicationDraft = require('./ApplicationDraft');
 
 Event.hasMany(Application, { foreignKey: 'event_id' });
 Event.hasMany(MembersList, { foreignKey: 'event_id' });
@@ -18,12 +22,25 @@ Event.hasMany(VotesPerAntenna, { foreignKey: 'event_id' });
 Event.hasMany(VotesPerDelegate, { foreignKey: 'event_id' });
 Event.hasMany(Position, { foreignKey: 'event_id' });
 Event.hasMany(Plenary, { foreignKey: 'event_id' });
+Event.hasMany(Session, { foreignKey: 'event_id' });
+Event.hasMany(ApplicationDraft, { foreignKey: 'event_id' });
 Application.belongsTo(Event, { foreignKey: 'event_id' });
 MembersList.belongsTo(Event, { foreignKey: 'event_id' });
 VotesPerAntenna.belongsTo(Event, { foreignKey: 'event_id' });
 VotesPerDelegate.belongsTo(Event, { foreignKey: 'event_id' });
 Position.belongsTo(Event, { foreignKey: 'event_id' });
 Plenary.belongsTo(Event, { foreignKey: 'event_id' });
+Session.belongsTo(Event, { foreignKey: 'event_id' });
+ApplicationDraft.belongsTo(Event, { foreignKey: 'event_id' });
+
+Session.belongsTo(Plenary, { foreignKey: 'plenary_id' });
+Plenary.hasMany(Session, { foreignKey: 'plenary_id' });
+
+Session.belongsTo(Position, { foreignKey: 'position_id' });
+Position.hasMany(Session, { foreignKey: 'position_id' });
+
+Application.hasMany(ApplicationChange, { foreignKey: 'application_id' });
+ApplicationChange.belongsTo(Application, { foreignKey: 'application_id' });
 
 Application.hasMany(VotesPerDelegate, { foreignKey: 'application_id' });
 VotesPerDelegate.belongsTo(Application, { foreignKey: 'application_id' });
@@ -55,6 +72,7 @@ module.exports = {
     Application,
     MembersList,
     PaxLimit,
+    PaxLimitRequest,
     VotesPerAntenna,
     VotesPerDelegate,
     Position,
@@ -63,4 +81,7 @@ module.exports = {
     Attendance,
     QuestionLine,
     Question,
+    Session,
+    ApplicationChange,
+    ApplicationDraft,
 };
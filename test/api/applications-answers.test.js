@@ -0,0 +1,500 @@
+const tk = require('timekeeper');
+const moment = require('moment');
+const xlsx = require('node-xlsx');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const fs = require('../../lib/fs');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const helpers = require('../../lib/helpers');
+const config = require('../../config');
+const regularUser = require('../assets/oms-core-valid').data;
+const { Image } = require('../../models');
+
+describe('Applications answers', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    // Questions get IDs like 'q0', 'q1' and so on, so they can be referred to in show_if.
+    const withIds = questions => questions.map((question, index) => Object.assign({ id: 'q' + index }, question));
+
+    const createEventWithQuestions = questions => generator.createEvent({
+        questions: withIds(questions).map(question => generator.generateQuestionForEvent(question)),
+        applications: []
+    });
+
+    const apply = async (event, answers) => {
+        tk.travel(moment(event.application_period_starts).add(5, 'minutes').toDate());
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: generator.generateApplication({
+                user_id: null,
+                body_id: regularUser.bodies[0].id,
+                answers
+            })
+        });
+
+        tk.reset();
+        return res;
+    };
+
+    const createEventRequest = questions => request({
+        uri: '/',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body: generator.generateEvent({ questions: withIds(questions) })
+    });
+
+    describe('questions validation', () => {
+        beforeEach(async () => {
+            mock.mockAll();
+        });
+
+        test('should allow the new question types', async () => {
+            const res = await createEventRequest([
+                generator.generateQuestionForEvent({ type: 'multiselect', min: 1, max: 2 }),
+                generator.generateQuestionForEvent({ type: 'date', min: '2000-01-01', max: '2020-01-01' }),
+                generator.generateQuestionForEvent({ type: 'email' }),
+                generator.generateQuestionForEvent({ type: 'url', regex: '^https://' }),
+                generator.generateQuestionForEvent({ type: 'country' }),
+                generator.generateQuestionForEvent({ type: 'file', required: false })
+            ]);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+        });
+
+        test('should fail if multiselect has no values', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'multiselect', values: null })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if min is not a number', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'number', min: 'test' })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if min is greater than max', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'number', min: 10, max: 5 })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if min is set for the type that does not support it', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'checkbox', min: 1 })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if regex is invalid', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'string', regex: '[' })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if regex is too long', async () => {
+            const res = await createEventRequest([generator.generateQuestionForEvent({ type: 'string', regex: 'a'.repeat(101) })]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if show_if refers to the next question', async () => {
+            const res = await createEventRequest([
+                generator.generateQuestionForEvent({ type: 'string', show_if: { question: 'q1', value: 'First' } }),
+                generator.generateQuestionForEvent({ type: 'select' })
+            ]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if show_if refers to the text question', async () => {
+            const res = await createEventRequest([
+                generator.generateQuestionForEvent({ type: 'string' }),
+                generator.generateQuestionForEvent({ type: 'string', show_if: { question: 'q0', value: 'test' } })
+            ]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should fail if show_if value is not in select values', async () => {
+            const res = await createEventRequest([
+                generator.generateQuestionForEvent({ type: 'select' }),
+                generator.generateQuestionForEvent({ type: 'string', show_if: { question: 'q0', value: 'Third' } })
+            ]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+    });
+
+    describe('answers validation', () => {
+        test('should accept valid answers of all types', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'multiselect' },
+                { type: 'date' },
+                { type: 'email' },
+                { type: 'url' },
+                { type: 'country' }
+            ]);
+
+            const res = await apply(event, [
+                ['First', 'Second'],
+                '1990-05-01',
+                'test@example.com',
+                'https://example.com',
+                'BE'
+            ]);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.answers.q0).toEqual(['First', 'Second']);
+        });
+
+        const invalidAnswers = [
+            ['multiselect with unknown value', { type: 'multiselect' }, ['Third']],
+            ['multiselect which is not an array', { type: 'multiselect' }, 'First'],
+            ['empty required multiselect', { type: 'multiselect' }, []],
+            ['multiselect with too many values', { type: 'multiselect', max: 1 }, ['First', 'Second']],
+            ['invalid date', { type: 'date' }, 'not-a-date'],
+            ['date before min', { type: 'date', min: '2000-01-01' }, '1990-01-01'],
+            ['invalid email', { type: 'email' }, 'not-an-email'],
+            ['invalid URL', { type: 'url' }, 'not a url'],
+            ['invalid country', { type: 'country' }, 'Belgium'],
+            ['missing required file', { type: 'file' }, null],
+            ['non-existing file', { type: 'file' }, 1337],
+            ['too short string', { type: 'string', min: 10 }, 'short'],
+            ['too long text', { type: 'text', max: 3 }, 'too long'],
+            ['string not matching regex', { type: 'string', regex: '^[0-9]+$' }, 'abc'],
+            ['too big number', { type: 'number', max: 10 }, 11]
+        ];
+
+        for (const [name, question, answer] of invalidAnswers) {
+            test(`should return 422 for ${name}`, async () => {
+                const event = await createEventWithQuestions([question]);
+                const res = await apply(event, [answer]);
+
+                expect(res.statusCode).toEqual(422);
+                expect(res.body.success).toEqual(false);
+                expect(res.body.errors).toHaveProperty('answers');
+            });
+        }
+
+        test('should accept empty answers for not required questions', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'date', required: false },
+                { type: 'email', required: false },
+                { type: 'country', required: false },
+                { type: 'file', required: false }
+            ]);
+
+            const res = await apply(event, ['', '', '', null]);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+        });
+    });
+
+    describe('conditional questions', () => {
+        test('should skip validation for the hidden questions', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'select', values: ['Yes', 'No'] },
+                { type: 'string', show_if: { question: 'q0', value: 'Yes' } }
+            ]);
+
+            const res = await apply(event, ['No', '']);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+        });
+
+        test('should validate the visible questions', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'select', values: ['Yes', 'No'] },
+                { type: 'string', show_if: { question: 'q0', value: 'Yes' } }
+            ]);
+
+            const res = await apply(event, ['Yes', '']);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('answers');
+        });
+
+        test('should work with multiselect and checkbox', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'multiselect', values: ['Vegan', 'Halal'], required: false },
+                { type: 'string', show_if: { question: 'q0', value: 'Halal' } },
+                { type: 'checkbox', required: false },
+                { type: 'string', show_if: { question: 'q2', value: true } }
+            ]);
+
+            const res = await apply(event, [['Halal'], '', false, '']);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('answers');
+
+            const secondRes = await apply(event, [['Vegan'], '', false, '']);
+            expect(secondRes.statusCode).toEqual(200);
+        });
+
+        test('should hide the question if the question it depends on is hidden', async () => {
+            const questions = withIds([
+                { type: 'select', values: ['Yes', 'No'] },
+                { type: 'select', values: ['Yes', 'No'], show_if: { question: 'q0', value: 'Yes' } },
+                { type: 'string', show_if: { question: 'q1', value: 'Yes' } }
+            ]);
+
+            expect(helpers.isQuestionVisible(questions, { q0: 'No', q1: 'Yes', q2: '' }, questions[2])).toEqual(false);
+            expect(helpers.isQuestionVisible(questions, { q0: 'Yes', q1: 'Yes', q2: '' }, questions[2])).toEqual(true);
+        });
+    });
+
+    describe('file answers', () => {
+        afterEach(async () => {
+            await fs.rimraf(config.images_dir);
+        });
+
+        test('should upload the file and accept it as an answer', async () => {
+            const event = await createEventWithQuestions([{ type: 'file' }]);
+
+            tk.travel(moment(event.application_period_starts).add(5, 'minutes').toDate());
+            const uploadRes = await request({
+                uri: '/events/' + event.id + '/applications/files',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                formData: {
+                    file: fs.createReadStream('./test/assets/valid_image.png')
+                }
+            });
+            tk.reset();
+
+            expect(uploadRes.statusCode).toEqual(200);
+            expect(uploadRes.body.data).toHaveProperty('id');
+
+            const res = await apply(event, [uploadRes.body.data.id]);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.answers.q0).toEqual(uploadRes.body.data.id);
+        });
+
+        test('should not accept the file uploaded by another user', async () => {
+            const event = await createEventWithQuestions([{ type: 'file' }]);
+            const image = await Image.create({
+                user_id: regularUser.id + 1,
+                file_name: 'test.png',
+                file_folder: config.images_dir
+            });
+
+            const res = await apply(event, [image.id]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('answers');
+        });
+
+        test('should not allow uploading files if cannot apply', async () => {
+            const event = await createEventWithQuestions([{ type: 'file' }]);
+            const imagesCount = await Image.count();
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/files',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                formData: {
+                    file: fs.createReadStream('./test/assets/valid_image.png')
+                }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+            expect(await Image.count()).toEqual(imagesCount);
+        });
+
+        test('should not allow uploading files with invalid extension', async () => {
+            const event = await createEventWithQuestions([{ type: 'file' }]);
+
+            tk.travel(moment(event.application_period_starts).add(5, 'minutes').toDate());
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/files',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                formData: {
+                    file: fs.createReadStream('./test/assets/invalid_image.txt')
+                }
+            });
+            tk.reset();
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('exporting', () => {
+        beforeEach(async () => {
+            mock.mockAll();
+        });
+
+        test('should render the new answer types', async () => {
+            const event = await createEventWithQuestions([
+                { type: 'select', values: ['Yes', 'No'] },
+                { type: 'string', show_if: { question: 'q0', value: 'Yes' } },
+                { type: 'multiselect' },
+                { type: 'file', required: false }
+            ]);
+            const image = await Image.create({ user_id: 1, file_name: 'test.png', file_folder: config.images_dir });
+            await generator.createApplication({ user_id: 1, answers: ['No', 'Stale answer', ['First', 'Second'], image.id] }, event);
+
+            const fields = helpers.getApplicationFields(event);
+            expect(fields['answers.q1']).toContain('(if answer 1 is "Yes")');
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/export/all',
+                method: 'GET',
+                json: false,
+                encoding: null, // make response body to Buffer.
+                headers: { 'X-Auth-Token': 'blablabla', 'Content-Type': 'application/json' },
+                qs: { select: ['answers.q0', 'answers.q1', 'answers.q2', 'answers.q3'] }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const sheet = xlsx.parse(res.body)[0].data;
+            expect(sheet.length).toEqual(2);
+            expect(sheet[1][0]).toEqual('No');
+            expect(sheet[1][1]).toEqual(''); // hidden, so empty
+            expect(sheet[1][2]).toEqual('First, Second');
+            expect(sheet[1][3]).toEqual('/test.png');
+        });
+    });
+
+    describe('question IDs', () => {
+        beforeEach(async () => {
+            mock.mockAll();
+        });
+
+        const editQuestions = (event, questions) => request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { questions }
+        });
+
+        test('should generate IDs for the questions without them', async () => {
+            const event = await generator.createEvent({
+                questions: [
+                    generator.generateQuestionForEvent({ id: 'existing' }),
+                    generator.generateQuestionForEvent()
+                ]
+            });
+
+            expect(event.questions[0].id).toEqual('existing');
+            expect(typeof event.questions[1].id).toEqual('string');
+            expect(event.questions[1].id.length).toBeGreaterThan(0);
+        });
+
+        test('should fail if question IDs are not unique', async () => {
+            const res = await createEventRequest([
+                generator.generateQuestionForEvent({ id: 'same' }),
+                generator.generateQuestionForEvent({ id: 'same' })
+            ]);
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('questions');
+        });
+
+        test('should accept answers keyed by question IDs', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await createEventWithQuestions([{ type: 'string' }, { type: 'number' }]);
+
+            const res = await apply(event, { q1: 5, q0: 'test' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.answers).toEqual({ q0: 'test', q1: 5 });
+        });
+
+        test('should convert the answers array using the questions order', async () => {
+            const event = await createEventWithQuestions([{ type: 'string' }, { type: 'number' }]);
+            const application = await generator.createApplication({ answers: ['test', 5] }, event);
+
+            expect(application.answers).toEqual({ q0: 'test', q1: 5 });
+        });
+
+        test('should keep the applications valid after adding, removing and reordering questions', async () => {
+            const event = await createEventWithQuestions([{ type: 'string' }, { type: 'number' }, { type: 'checkbox' }]);
+            const application = await generator.createApplication({ answers: { q0: 'test', q1: 5, q2: true } }, event);
+
+            const editRes = await editQuestions(event, [
+                event.questions[2],
+                event.questions[0],
+                generator.generateQuestionForEvent({ id: 'new', required: false })
+            ]);
+            expect(editRes.statusCode).toEqual(200);
+
+            tk.travel(moment(event.application_period_starts).add(5, 'minutes').toDate());
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id,
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { answers: application.answers }
+            });
+            tk.reset();
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+        });
+
+        test('should line up the answers with the questions in exports after reordering', async () => {
+            const event = await createEventWithQuestions([{ type: 'string' }, { type: 'string' }]);
+            await generator.createApplication({ answers: { q0: 'first', q1: 'second' } }, event);
+
+            await editQuestions(event, [event.questions[1], event.questions[0]]);
+            await event.reload();
+
+            const fields = helpers.getApplicationFields(event);
+            expect(fields['answers.q1']).toContain('Answer 1');
+            expect(fields['answers.q0']).toContain('Answer 2');
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/export/all',
+                method: 'GET',
+                json: false,
+                encoding: null, // make response body to Buffer.
+                headers: { 'X-Auth-Token': 'blablabla', 'Content-Type': 'application/json' },
+                qs: { select: Object.keys(fields).filter(field => field.startsWith('answers.')) }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const sheet = xlsx.parse(res.body)[0].data;
+            expect(sheet[0][0]).toEqual(fields['answers.q1']);
+            expect(sheet[1][0]).toEqual('second');
+            expect(sheet[1][1]).toEqual('first');
+        });
+    });
+});
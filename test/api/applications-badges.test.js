@@ -0,0 +1,230 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application, ApplicationChange } = require('../../models');
+
+describe('Badges printing', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    // Printing them by default, as only then they are stored as printed.
+    const fetchBadges = (event, query = '', method = 'POST') => request({
+        uri: '/events/' + event.id + '/applications/badges' + query,
+        method,
+        json: false,
+        encoding: null, // make response body to Buffer.
+        headers: { 'X-Auth-Token': 'blablabla' }
+    });
+
+    const getJson = (event, query = '', method = 'GET') => request({
+        uri: '/events/' + event.id + '/applications/badges' + query,
+        method,
+        headers: { 'X-Auth-Token': 'blablabla' }
+    });
+
+    const createParticipant = (event, userId, options = {}) => generator.createApplication(Object.assign({
+        user_id: userId,
+        status: 'accepted',
+        participant_type: 'delegate',
+        participant_order: userId
+    }, options), event);
+
+    test('should generate the badges for the accepted participants', async () => {
+        const event = await generator.createEvent();
+        const accepted = await createParticipant(event, 1);
+        const pending = await createParticipant(event, 2, { status: 'pending' });
+        const cancelled = await createParticipant(event, 3, { cancelled: true });
+
+        const res = await fetchBadges(event);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.headers['content-type']).toEqual('application/pdf');
+        expect(res.body.slice(0, 5).toString()).toEqual('%PDF-');
+
+        const acceptedFromDb = await Application.findByPk(accepted.id);
+        const pendingFromDb = await Application.findByPk(pending.id);
+        const cancelledFromDb = await Application.findByPk(cancelled.id);
+        expect(acceptedFromDb.badge_printed_at).not.toEqual(null);
+        expect(pendingFromDb.badge_printed_at).toEqual(null);
+        expect(cancelledFromDb.badge_printed_at).toEqual(null);
+    });
+
+    test('should not store anything when previewing the badges', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, 1);
+
+        const res = await fetchBadges(event, '', 'GET');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.slice(0, 5).toString()).toEqual('%PDF-');
+        expect((await Application.findByPk(application.id)).badge_printed_at).toEqual(null);
+        expect(await ApplicationChange.count({ where: { application_id: application.id } })).toEqual(0);
+    });
+
+    test('should draw the non-Latin letters', async () => {
+        const event = await generator.createEvent();
+        await createParticipant(event, 1, { first_name: 'Ирина', last_name: 'Παπαδοπούλου' });
+
+        const res = await fetchBadges(event, '', 'GET');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.toString('binary')).toContain('DejaVuSans-Bold');
+    });
+
+    test('should put 8 badges on a page even if the texts are long', async () => {
+        const event = await generator.createEvent();
+        for (let userId = 1; userId <= 9; userId++) {
+            await createParticipant(event, userId, {
+                first_name: 'Very long first name '.repeat(5),
+                last_name: 'Very long last name '.repeat(5),
+                body_name: 'Very long body name '.repeat(10)
+            });
+        }
+
+        const res = await fetchBadges(event);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.toString('binary')).toContain('/Count 2');
+    });
+
+    test('should record the printing in the history', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, 1);
+
+        await fetchBadges(event);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('badge_printed_at');
+    });
+
+    test('should filter by participant type', async () => {
+        const event = await generator.createEvent();
+        const delegate = await createParticipant(event, 1);
+        const envoy = await createParticipant(event, 2, { participant_type: 'envoy' });
+        const visitor = await createParticipant(event, 3, { participant_type: 'visitor' });
+
+        const res = await fetchBadges(event, '?participant_type=delegate&participant_type=envoy');
+
+        expect(res.statusCode).toEqual(200);
+        expect((await Application.findByPk(delegate.id)).badge_printed_at).not.toEqual(null);
+        expect((await Application.findByPk(envoy.id)).badge_printed_at).not.toEqual(null);
+        expect((await Application.findByPk(visitor.id)).badge_printed_at).toEqual(null);
+    });
+
+    test('should filter by body', async () => {
+        const event = await generator.createEvent();
+        const first = await createParticipant(event, 1, { body_id: 1 });
+        const second = await createParticipant(event, 2, { body_id: 2 });
+
+        const res = await fetchBadges(event, '?body_id=2');
+
+        expect(res.statusCode).toEqual(200);
+        expect((await Application.findByPk(first.id)).badge_printed_at).toEqual(null);
+        expect((await Application.findByPk(second.id)).badge_printed_at).not.toEqual(null);
+    });
+
+    test('should print only the badges that were not printed yet if set', async () => {
+        const event = await generator.createEvent();
+        const printedAt = new Date('2020-01-01T00:00:00Z');
+        const printed = await createParticipant(event, 1, { badge_printed_at: printedAt });
+        const notPrinted = await createParticipant(event, 2);
+
+        const res = await fetchBadges(event, '?not_printed=true');
+
+        expect(res.statusCode).toEqual(200);
+        expect((await Application.findByPk(printed.id)).badge_printed_at).toEqual(printedAt);
+        expect((await Application.findByPk(notPrinted.id)).badge_printed_at).not.toEqual(null);
+    });
+
+    test('should reprint all the badges if not set', async () => {
+        const event = await generator.createEvent();
+        const printedAt = new Date('2020-01-01T00:00:00Z');
+        const printed = await createParticipant(event, 1, { badge_printed_at: printedAt });
+
+        const res = await fetchBadges(event);
+
+        expect(res.statusCode).toEqual(200);
+        expect((await Application.findByPk(printed.id)).badge_printed_at).not.toEqual(printedAt);
+    });
+
+    test('should return 404 if there are no badges to print', async () => {
+        const event = await generator.createEvent();
+        await createParticipant(event, 1, { badge_printed_at: new Date() });
+
+        const res = await getJson(event, '?not_printed=true');
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the participant type is invalid', async () => {
+        const event = await generator.createEvent();
+        await createParticipant(event, 1);
+
+        const res = await getJson(event, '?participant_type=president');
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.message).toContain('president');
+    });
+
+    test('should return 400 if the body ID is invalid', async () => {
+        const event = await generator.createEvent();
+        await createParticipant(event, 1);
+
+        const res = await getJson(event, '?body_id=test');
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 if the user cannot print badges', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, 1);
+
+        const res = await getJson(event);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect((await Application.findByPk(application.id)).badge_printed_at).toEqual(null);
+    });
+
+    test('should not store the badges as printed for the archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+        const application = await createParticipant(event, 1);
+
+        const res = await getJson(event, '', 'POST');
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect((await Application.findByPk(application.id)).badge_printed_at).toEqual(null);
+    });
+
+    test('should not store the badges as printed for the finished event', async () => {
+        const event = await generator.createEvent({ status: 'finished' });
+        const application = await createParticipant(event, 1);
+
+        const res = await getJson(event, '', 'POST');
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect((await Application.findByPk(application.id)).badge_printed_at).toEqual(null);
+    });
+});
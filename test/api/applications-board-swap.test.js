@@ -0,0 +1,266 @@
+const moment = require('moment');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { Application, ApplicationChange, VotesPerAntenna } = require('../../models');
+
+describe('Applications participant slots swap', () => {
+    let event;
+    const bodyId = regularUser.bodies[0].id;
+
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+
+        event = await generator.createEvent({
+            type: 'agora',
+            application_period_starts: moment().subtract(1, 'year').toDate(),
+            application_period_ends: moment().toDate(),
+            board_approve_deadline: moment().add(1, 'year').toDate(),
+        });
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        jest.restoreAllMocks();
+    });
+
+    const swap = body => request({
+        uri: '/events/' + event.id + '/applications/boardview/' + bodyId + '/swap',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    const createEventAfterDeadline = () => generator.createEvent({
+        type: 'agora',
+        application_period_starts: moment().subtract(1, 'year').toDate(),
+        application_period_ends: moment().subtract(2, 'days').toDate(),
+        board_approve_deadline: moment().subtract(1, 'day').toDate(),
+    });
+
+    const createDelegates = async () => [
+        await generator.createApplication({ user_id: 10, body_id: bodyId, participant_type: 'delegate', participant_order: 1 }, event),
+        await generator.createApplication({ user_id: 11, body_id: bodyId, participant_type: 'delegate', participant_order: 2 }, event)
+    ];
+
+    test('should swap the delegates', async () => {
+        const [first, second] = await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.length).toEqual(2);
+
+        const firstFromDb = await Application.findByPk(first.id);
+        const secondFromDb = await Application.findByPk(second.id);
+        expect(firstFromDb.participant_order).toEqual(2);
+        expect(secondFromDb.participant_order).toEqual(1);
+    });
+
+    test('should reorder more than two applications and change the types', async () => {
+        const [first, second] = await createDelegates();
+        const third = await generator.createApplication({ user_id: 12, body_id: bodyId, participant_type: null, participant_order: null }, event);
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: null, participant_order: null },
+            { user_id: 12, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(200);
+
+        const firstFromDb = await Application.findByPk(first.id);
+        const secondFromDb = await Application.findByPk(second.id);
+        const thirdFromDb = await Application.findByPk(third.id);
+        expect(firstFromDb.participant_order).toEqual(2);
+        expect(secondFromDb.participant_type).toEqual(null);
+        expect(secondFromDb.participant_order).toEqual(null);
+        expect(thirdFromDb.participant_type).toEqual('delegate');
+        expect(thirdFromDb.participant_order).toEqual(1);
+    });
+
+    test('should not touch the other applications of the body', async () => {
+        await createDelegates();
+        const other = await generator.createApplication({ user_id: 12, body_id: bodyId, participant_type: 'delegate', participant_order: 3 }, event);
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(200);
+
+        const otherFromDb = await Application.findByPk(other.id);
+        expect(otherFromDb.participant_type).toEqual('delegate');
+        expect(otherFromDb.participant_order).toEqual(3);
+    });
+
+    test('should record the changes in the history', async () => {
+        const [first] = await createDelegates();
+
+        await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: first.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('participant_order');
+        expect(changes[0].old_value).toEqual(1);
+        expect(changes[0].new_value).toEqual(2);
+    });
+
+    test('should recalculate the votes', async () => {
+        await createDelegates();
+        const spy = jest.spyOn(VotesPerAntenna, 'recalculateVotesForDelegates');
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should roll everything back if the limits are exceeded', async () => {
+        await generator.createPaxLimit({ body_id: bodyId, event_type: 'agora', delegate: 2, envoy: 0 });
+        const [first, second] = await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'envoy', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const firstFromDb = await Application.findByPk(first.id);
+        const secondFromDb = await Application.findByPk(second.id);
+        expect(firstFromDb.participant_order).toEqual(1);
+        expect(secondFromDb.participant_order).toEqual(2);
+        expect(secondFromDb.participant_type).toEqual('delegate');
+    });
+
+    test('should return 422 if the slots are clashing', async () => {
+        await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 1 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should work after the board approve deadline with the global permission', async () => {
+        event = await createEventAfterDeadline();
+        await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(200);
+    });
+
+    test('should return 403 after the board approve deadline without the global permission', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+        event = await createEventAfterDeadline();
+        await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 if the event is finished', async () => {
+        await event.update({ status: 'finished' });
+        const [first] = await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const firstFromDb = await Application.findByPk(first.id);
+        expect(firstFromDb.participant_order).toEqual(1);
+    });
+
+    test('should return 403 if one of the applications is not found', async () => {
+        await createDelegates();
+
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 1337, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.message).toContain('1337');
+    });
+
+    test('should return 400 if there is only one entry', async () => {
+        const res = await swap([{ user_id: 10, participant_type: 'delegate', participant_order: 2 }]);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the application is set twice', async () => {
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 2 },
+            { user_id: 10, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the entry is malformed', async () => {
+        const res = await swap([
+            { user_id: 10, participant_type: 'delegate', participant_order: 'first' },
+            { user_id: 11, participant_type: 'delegate', participant_order: 1 }
+        ]);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 on malformed body_id', async () => {
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/boardview/test/swap',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: []
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+});
@@ -5,6 +5,7 @@ const { request } = require('../scripts/helpers');
 const mock = require('../scripts/mock-core-registry');
 const generator = require('../scripts/generator');
 const regularUser = require('../assets/oms-core-valid').data;
+const { Application } = require('../../models');
 
 describe('Applications pax type/board comment', () => {
     let event;
@@ -96,6 +97,24 @@ describe('Applications pax type/board comment', () => {
         expect(res.body).toHaveProperty('message');
     });
 
+    test('should return 403 if the event is finished', async () => {
+        await event.update({ status: 'finished' });
+        application = await application.update({ user_id: 1337 }, { returning: true });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/' + application.id + '/board',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { participant_type: 'delegate', participant_order: 1 }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.participant_type).toEqual(null);
+    });
+
     test('should return 404 if the application is not found', async () => {
         const res = await request({
             uri: '/events/' + event.id + '/applications/1337/board',
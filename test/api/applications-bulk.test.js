@@ -0,0 +1,261 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application, ApplicationChange, VotesPerAntenna } = require('../../models');
+
+describe('Applications bulk editing', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+        jest.restoreAllMocks();
+    });
+
+    const bulkUpdate = (event, body) => request({
+        uri: '/events/' + event.id + '/applications/bulk',
+        method: 'PUT',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    test('should update the applications by their IDs', async () => {
+        const event = await generator.createEvent();
+        const first = await generator.createApplication({ user_id: 1 }, event);
+        const second = await generator.createApplication({ user_id: 2 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [first.id, second.id],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.length).toEqual(2);
+        expect(res.body.data[0].id).toEqual(first.id);
+        expect(res.body.data[0].success).toEqual(true);
+        expect(res.body.data[0].data.confirmed).toEqual(true);
+
+        const applications = await Application.findAll({ where: { event_id: event.id } });
+        expect(applications.every(application => application.confirmed)).toEqual(true);
+    });
+
+    test('should update the applications by their statutory IDs', async () => {
+        const event = await generator.createEvent();
+        const first = await generator.createApplication({ user_id: 1 }, event);
+        const second = await generator.createApplication({ user_id: 2 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [first.statutory_id, second.statutory_id],
+            changes: { status: 'accepted' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.map(result => result.id)).toEqual([first.statutory_id, second.statutory_id]);
+
+        const applications = await Application.findAll({ where: { event_id: event.id } });
+        expect(applications.every(application => application.status === 'accepted')).toEqual(true);
+    });
+
+    test('should allow changing the dependent fields together', async () => {
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { confirmed: true, attended: true }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.confirmed).toEqual(true);
+        expect(applicationFromDb.attended).toEqual(true);
+    });
+
+    test('should not save anything if any application fails validation', async () => {
+        const event = await generator.createEvent();
+        const confirmed = await generator.createApplication({ user_id: 1, confirmed: true }, event);
+        const notConfirmed = await generator.createApplication({ user_id: 2, confirmed: false }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [confirmed.id, notConfirmed.id],
+            changes: { attended: true }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+        expect(res.body.data[0].success).toEqual(true);
+        expect(res.body.data[1].success).toEqual(false);
+        expect(res.body.data[1].errors).toHaveProperty('attended');
+
+        const confirmedFromDb = await Application.findByPk(confirmed.id);
+        expect(confirmedFromDb.attended).toEqual(false);
+    });
+
+    test('should not save anything if any application is not found', async () => {
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id, 'nonexistent'],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data[1].success).toEqual(false);
+        expect(res.body.data[1].id).toEqual('nonexistent');
+        expect(res.body.data[1]).toHaveProperty('message');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.confirmed).toEqual(false);
+    });
+
+    test('should not find the applications from other events', async () => {
+        const event = await generator.createEvent();
+        const otherEvent = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, otherEvent);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data[0].success).toEqual(false);
+    });
+
+    test('should check the permissions for each field', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { confirmed: true, registered: true }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data[0].success).toEqual(false);
+        expect(res.body.data[0].message).toContain('confirmed, registered');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.confirmed).toEqual(false);
+    });
+
+    test('should return 403 if the event is finished', async () => {
+        const event = await generator.createEvent({ status: 'finished' });
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.confirmed).toEqual(false);
+    });
+
+    test('should record the changes in the history', async () => {
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { confirmed: true }
+        });
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('confirmed');
+        expect(changes[0].old_value).toEqual(false);
+        expect(changes[0].new_value).toEqual(true);
+        expect(changes[0].user_id).not.toEqual(null);
+    });
+
+    test('should recalculate votes once per affected body', async () => {
+        const event = await generator.createEvent();
+        const applications = [
+            await generator.createApplication({ user_id: 1, body_id: 1 }, event),
+            await generator.createApplication({ user_id: 2, body_id: 1 }, event),
+            await generator.createApplication({ user_id: 3, body_id: 2 }, event)
+        ];
+
+        const spy = jest.spyOn(VotesPerAntenna, 'recalculateVotesForDelegates');
+
+        const res = await bulkUpdate(event, {
+            applications: applications.map(application => application.id),
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy.mock.calls.map(call => call[1]).sort()).toEqual([1, 2]);
+    });
+
+    test('should return 400 if the applications list is empty', async () => {
+        const event = await generator.createEvent();
+
+        const res = await bulkUpdate(event, {
+            applications: [],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the application IDs are invalid', async () => {
+        const event = await generator.createEvent();
+
+        const res = await bulkUpdate(event, {
+            applications: [{ id: 1 }],
+            changes: { confirmed: true }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the changes are not set', async () => {
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id]
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the field cannot be changed in bulk', async () => {
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ user_id: 1 }, event);
+
+        const res = await bulkUpdate(event, {
+            applications: [application.id],
+            changes: { first_name: 'test' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.message).toContain('first_name');
+    });
+});
@@ -0,0 +1,291 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application, ApplicationChange } = require('../../models');
+
+describe('Check-in at the registration desk', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const checkIn = (event, body) => request({
+        uri: '/events/' + event.id + '/applications/check-in',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    // The participant who can be checked in without any problems. For Agora
+    // the participant is put on the memberslist of their body, unless on_memberslist is false.
+    const createParticipant = async (event, options = {}) => {
+        const isOnMemberslist = 'on_memberslist' in options ? options.on_memberslist : true;
+        delete options.on_memberslist;
+
+        const data = generator.generateApplication(Object.assign({
+            status: 'accepted',
+            confirmed: true,
+            visa_required: false
+        }, options), event);
+
+        if (event.type === 'agora' && isOnMemberslist) {
+            await generator.createMembersList({
+                body_id: data.body_id,
+                members: [generator.generateMembersListMember({ user_id: data.user_id })]
+            }, event);
+        }
+
+        return Application.create(data);
+    };
+
+    test('should register the participant by default', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.action).toEqual('register');
+        expect(res.body.data.changed).toEqual(true);
+        expect(res.body.data.blockers).toEqual([]);
+        expect(res.body.data.application.id).toEqual(application.id);
+        expect(res.body.data.application.registered).toEqual(true);
+        expect(res.body.data.application).not.toHaveProperty('answers');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.registered).toEqual(true);
+    });
+
+    test('should not require the memberslist for EPM', async () => {
+        const event = await generator.createEvent({ type: 'epm' });
+        const application = await createParticipant(event);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.changed).toEqual(true);
+        expect(res.body.data.blockers).toEqual([]);
+        expect(res.body.data.application.is_on_memberslist).toEqual(false);
+    });
+
+    test('should block the participant who is not on the memberslist for Agora', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await createParticipant(event, { on_memberslist: false });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.blockers.map(blocker => blocker.type)).toEqual(['not_on_memberslist']);
+    });
+
+    test('should record the check-in in the history', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event);
+
+        await checkIn(event, { statutory_id: application.statutory_id });
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('registered');
+        expect(changes[0].new_value).toEqual(true);
+    });
+
+    test('should use the action set for the event', async () => {
+        const event = await generator.createEvent({ check_in_action: 'attend' });
+        const application = await createParticipant(event);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.action).toEqual('attend');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.attended).toEqual(true);
+        expect(applicationFromDb.registered).toEqual(false);
+    });
+
+    test('should allow overriding the action', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, { registered: true });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id, action: 'depart' });
+
+        expect(res.statusCode).toEqual(200);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.departed).toEqual(true);
+    });
+
+    test('should not fail if the participant is already checked in', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, { registered: true });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.changed).toEqual(false);
+
+        const changesCount = await ApplicationChange.count({ where: { application_id: application.id } });
+        expect(changesCount).toEqual(0);
+    });
+
+    test('should return the blockers and not check in the participant', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await createParticipant(event, {
+            on_memberslist: false,
+            visa_required: true
+        });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+        expect(res.body.data.changed).toEqual(false);
+        expect(res.body.data.blockers.map(blocker => blocker.type)).toEqual(['not_on_memberslist', 'visa_pending']);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.registered).toEqual(false);
+    });
+
+    test('should list the cancelled and not confirmed applications as blocked', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, { confirmed: false, cancelled: true });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.blockers.map(blocker => blocker.type)).toEqual(['cancelled', 'not_confirmed']);
+    });
+
+    test('should not treat the issued visa letter as blocker', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, { visa_required: true, visa_letter_issued_at: new Date() });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.blockers).toEqual([]);
+    });
+
+    test('should check in the participant with blockers if forced', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await createParticipant(event, { on_memberslist: false });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id, force: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.changed).toEqual(true);
+        expect(res.body.data.blockers.map(blocker => blocker.type)).toEqual(['not_on_memberslist']);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.registered).toEqual(true);
+    });
+
+    test('should still run the validations if forced', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event, { confirmed: false });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id, force: true });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.errors).toHaveProperty('registered');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.registered).toEqual(false);
+    });
+
+    test('should not block the departure', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await createParticipant(event, { registered: true, on_memberslist: false });
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id, action: 'depart' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.blockers.length).toEqual(1);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.departed).toEqual(true);
+    });
+
+    test('should return 404 if the application is not found', async () => {
+        const event = await generator.createEvent();
+
+        const res = await checkIn(event, { statutory_id: 'nonexistent' });
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 404 if the application is from another event', async () => {
+        const event = await generator.createEvent();
+        const otherEvent = await generator.createEvent();
+        const application = await createParticipant(otherEvent);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the statutory ID is not set', async () => {
+        const event = await generator.createEvent();
+
+        const res = await checkIn(event, { statutory_id: 1337 });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the action is invalid', async () => {
+        const event = await generator.createEvent();
+        const application = await createParticipant(event);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id, action: 'confirm' });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 if the user cannot change the field', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+        const event = await generator.createEvent();
+        const application = await createParticipant(event);
+
+        const res = await checkIn(event, { statutory_id: application.statutory_id });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.registered).toEqual(false);
+    });
+
+    test('should not allow setting the invalid check-in action for the event', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { check_in_action: 'confirm' }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.errors).toHaveProperty('check_in_action');
+    });
+});
@@ -0,0 +1,267 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const { Application, ApplicationDraft } = require('../../models');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+
+describe('Applications drafts', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const createDraft = (event, data) => ApplicationDraft.create({
+        event_id: event.id,
+        user_id: regularUser.id,
+        data
+    });
+
+    describe('saving', () => {
+        test('should save the draft without validating it or sending mails', async () => {
+            mock.mockAll({ mailer: { netError: true } });
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { body_id: regularUser.bodies[0].id, visa_required: true, answers: {} }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.user_id).toEqual(regularUser.id);
+            expect(res.body.data.data.visa_required).toEqual(true);
+
+            const applicationsCount = await Application.count({ where: { event_id: event.id } });
+            expect(applicationsCount).toEqual(0);
+        });
+
+        test('should overwrite the existing draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            await createDraft(event, { meals: 'Meat' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { meals: 'Vegetarian' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const drafts = await ApplicationDraft.findAll({ where: { event_id: event.id } });
+            expect(drafts.length).toEqual(1);
+            expect(drafts[0].data).toEqual({ meals: 'Vegetarian' });
+        });
+
+        test('should return 422 if the draft is not an object', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: ['test']
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.errors).toHaveProperty('data');
+        });
+
+        test('should return 403 if the user has already applied', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            await generator.createApplication({ user_id: regularUser.id }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { meals: 'Meat' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 403 if the user is not a member of the body', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { body_id: 1337 }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 403 if the user cannot apply', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await generator.createEvent({ applications: [], status: 'cancelled' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { meals: 'Meat' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('displaying and deleting', () => {
+        test('should display the draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            await createDraft(event, { meals: 'Meat' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.data).toEqual({ meals: 'Meat' });
+        });
+
+        test('should return 404 if there is no draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should delete the draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            await createDraft(event, { meals: 'Meat' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft',
+                method: 'DELETE',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const draftsCount = await ApplicationDraft.count({ where: { event_id: event.id } });
+            expect(draftsCount).toEqual(0);
+        });
+
+        test('should not list the drafts as applications', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            await createDraft(event, { meals: 'Meat' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/all',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(0);
+        });
+    });
+
+    describe('submitting', () => {
+        test('should create the application and remove the draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            const application = generator.generateApplication({ body_id: regularUser.bodies[0].id }, event);
+            await createDraft(event, application);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft/submit',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.user_id).toEqual(regularUser.id);
+            expect(res.body.data).toHaveProperty('statutory_id');
+
+            const draftsCount = await ApplicationDraft.count({ where: { event_id: event.id } });
+            expect(draftsCount).toEqual(0);
+        });
+
+        test('should return 422 and keep the draft if it is invalid', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            const application = generator.generateApplication({
+                body_id: regularUser.bodies[0].id,
+                visa_required: true,
+                visa_embassy: null
+            }, event);
+            await createDraft(event, application);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft/submit',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+            expect(res.body).toHaveProperty('errors');
+
+            const draftsCount = await ApplicationDraft.count({ where: { event_id: event.id } });
+            expect(draftsCount).toEqual(1);
+        });
+
+        test('should keep the draft if the mail was not sent', async () => {
+            mock.mockAll({ mailer: { netError: true } });
+            const event = await generator.createEvent({ applications: [] });
+            const application = generator.generateApplication({ body_id: regularUser.bodies[0].id }, event);
+            await createDraft(event, application);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft/submit',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(500);
+
+            const draftsCount = await ApplicationDraft.count({ where: { event_id: event.id } });
+            const applicationsCount = await Application.count({ where: { event_id: event.id } });
+            expect(draftsCount).toEqual(1);
+            expect(applicationsCount).toEqual(0);
+        });
+
+        test('should return 404 if there is no draft', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/draft/submit',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
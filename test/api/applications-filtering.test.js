@@ -0,0 +1,264 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application } = require('../../models');
+
+describe('Applications filtering', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const list = (event, prefix, query) => request({
+        uri: '/events/' + event.id + '/applications/' + prefix + '?' + query,
+        method: 'GET',
+        headers: { 'X-Auth-Token': 'blablabla' }
+    });
+
+    const getIds = res => res.body.data.map(application => application.id).sort((a, b) => a - b);
+
+    describe('operators', () => {
+        test('should filter by equality', async () => {
+            const event = await generator.createEvent();
+            const confirmed = await generator.createApplication({ user_id: 1, confirmed: true }, event);
+            await generator.createApplication({ user_id: 2, confirmed: false }, event);
+
+            const res = await list(event, 'all', 'filter[confirmed]=true');
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([confirmed.id]);
+            expect(res.body.meta.count).toEqual(1);
+        });
+
+        test('should filter by the list of values', async () => {
+            const event = await generator.createEvent();
+            const accepted = await generator.createApplication({ user_id: 1, status: 'accepted' }, event);
+            const rejected = await generator.createApplication({ user_id: 2, status: 'rejected' }, event);
+            await generator.createApplication({ user_id: 3, status: 'pending' }, event);
+
+            const res = await list(event, 'all', 'filter[status][in][]=accepted&filter[status][in][]=rejected');
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([accepted.id, rejected.id]);
+        });
+
+        test('should filter by not being in the list of values', async () => {
+            const event = await generator.createEvent();
+            await generator.createApplication({ user_id: 1, body_id: 1 }, event);
+            await generator.createApplication({ user_id: 2, body_id: 2 }, event);
+            const third = await generator.createApplication({ user_id: 3, body_id: 3 }, event);
+
+            const res = await list(event, 'all', 'filter[body_id][not_in][]=1&filter[body_id][not_in][]=2');
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([third.id]);
+        });
+
+        test('should filter by date ranges', async () => {
+            const event = await generator.createEvent();
+            const old = await generator.createApplication({ user_id: 1 }, event);
+            const recent = await generator.createApplication({ user_id: 2 }, event);
+            await Application.update({ created_at: new Date('2020-01-10T00:00:00Z') }, { where: { id: old.id }, silent: true, hooks: false });
+            await Application.update({ created_at: new Date('2020-02-10T00:00:00Z') }, { where: { id: recent.id }, silent: true, hooks: false });
+
+            const res = await list(event, 'all', 'filter[created_at][gte]=2020-02-01&filter[created_at][lt]=2020-03-01');
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([recent.id]);
+        });
+
+        test('should filter by the text contained', async () => {
+            const event = await generator.createEvent();
+            const belgian = await generator.createApplication({ user_id: 1, nationality: 'Belgian' }, event);
+            await generator.createApplication({ user_id: 2, nationality: 'Dutch' }, event);
+
+            const res = await list(event, 'incoming', 'displayCancelled=true&filter[nationality][contains]=belg');
+
+            // The incoming list only has the accepted applications.
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(0);
+
+            await Application.update({ status: 'accepted' }, { where: { event_id: event.id }, hooks: false });
+            const acceptedRes = await list(event, 'incoming', 'filter[nationality][contains]=belg');
+
+            expect(acceptedRes.statusCode).toEqual(200);
+            expect(getIds(acceptedRes)).toEqual([belgian.id]);
+        });
+
+        test('should match the wildcards in the text contained literally', async () => {
+            const event = await generator.createEvent();
+            const percent = await generator.createApplication({ user_id: 1, nationality: 'Belgian 50%' }, event);
+            const underscore = await generator.createApplication({ user_id: 2, nationality: 'Belgian_Dutch' }, event);
+            const backslash = await generator.createApplication({ user_id: 3, nationality: 'Belgian\\Dutch' }, event);
+            await generator.createApplication({ user_id: 4, nationality: 'Belgian 500 Dutch' }, event);
+
+            const contains = value => list(event, 'all', 'filter[nationality][contains]=' + encodeURIComponent(value));
+
+            expect(getIds(await contains('50%'))).toEqual([percent.id]);
+            expect(getIds(await contains('%'))).toEqual([percent.id]);
+            expect(getIds(await contains('_'))).toEqual([underscore.id]);
+            expect(getIds(await contains('\\'))).toEqual([backslash.id]);
+        });
+
+        test('should filter by the answers', async () => {
+            const event = await generator.createEvent({ questions: [generator.generateQuestionForEvent()] });
+            const questionId = event.questions[0].id;
+            const yes = await generator.createApplication({ user_id: 1, answers: { [questionId]: 'Yes' } }, event);
+            await generator.createApplication({ user_id: 2, answers: { [questionId]: 'No' } }, event);
+
+            const res = await list(event, 'all', `filter[answers.${questionId}]=Yes`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([yes.id]);
+
+            const containsRes = await list(event, 'all', `filter[answers.${questionId}][contains]=ye`);
+
+            expect(containsRes.statusCode).toEqual(200);
+            expect(getIds(containsRes)).toEqual([yes.id]);
+        });
+
+        test('should combine the filters', async () => {
+            const event = await generator.createEvent();
+            const matching = await generator.createApplication({ user_id: 1, visa_required: true, participant_type: 'delegate' }, event);
+            await generator.createApplication({ user_id: 2, visa_required: false, participant_type: 'delegate' }, event);
+            await generator.createApplication({ user_id: 3, visa_required: true, participant_type: 'visitor' }, event);
+
+            const res = await list(event, 'all', 'filter[visa_required]=true&filter[participant_type]=delegate');
+
+            expect(res.statusCode).toEqual(200);
+            expect(getIds(res)).toEqual([matching.id]);
+        });
+
+        test('should not override the conditions of the list', async () => {
+            const event = await generator.createEvent();
+            await generator.createApplication({ user_id: 1, status: 'accepted', confirmed: false }, event);
+
+            const res = await list(event, 'juridical', 'filter[confirmed]=false');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(0);
+        });
+    });
+
+    describe('restrictions', () => {
+        test('should not allow filtering by the fields not displayed in the list', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'incoming', 'filter[board_comment][contains]=test');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.message).toContain('board_comment');
+        });
+
+        test('should not allow filtering by the answers if they are not displayed in the list', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'incoming', 'filter[answers.1]=Yes');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should not allow filtering by the nonexistent fields', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[password]=test');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should not allow sorting by the fields not displayed in the list', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'network', 'sort[field]=email');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.message).toContain('email');
+        });
+
+        test('should return 400 if the operator cannot be used for the field', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[confirmed][gt]=true');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 if the operator is unknown', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[first_name][like]=test');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 if the value is not in the enum', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[status]=approved');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.message).toContain('status');
+        });
+
+        test('should return 400 if the number is invalid', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[body_id]=test');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 if the date is invalid', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'filter[created_at][gte]=yesterday');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('sorting', () => {
+        test('should sort by multiple fields', async () => {
+            const event = await generator.createEvent();
+            const first = await generator.createApplication({ user_id: 1, body_name: 'A', first_name: 'A' }, event);
+            const second = await generator.createApplication({ user_id: 2, body_name: 'A', first_name: 'B' }, event);
+            const third = await generator.createApplication({ user_id: 3, body_name: 'B', first_name: 'C' }, event);
+
+            const res = await list(event, 'all', 'sort[0][field]=body_name&sort[0][order]=asc&sort[1][field]=first_name&sort[1][order]=desc');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.map(application => application.id)).toEqual([second.id, first.id, third.id]);
+        });
+
+        test('should return 400 if the sorting order is invalid', async () => {
+            const event = await generator.createEvent();
+
+            const res = await list(event, 'all', 'sort[field]=first_name&sort[order]=random');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
@@ -0,0 +1,288 @@
+const moment = require('moment');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { ApplicationChange } = require('../../models');
+
+describe('Applications history', () => {
+    let event;
+
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+
+        event = await generator.createEvent({
+            type: 'agora',
+            application_period_starts: moment().subtract(1, 'year').toDate(),
+            application_period_ends: moment().toDate(),
+            board_approve_deadline: moment().add(1, 'year').toDate(),
+        });
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    const getHistory = application => request({
+        uri: '/events/' + event.id + '/applications/' + application.id + '/history',
+        method: 'GET',
+        headers: { 'X-Auth-Token': 'blablabla' }
+    });
+
+    describe('recording', () => {
+        test('should record the status change with the user who changed it', async () => {
+            const application = await generator.createApplication({ user_id: 1337, status: 'pending' }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/status',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { status: 'accepted' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+            expect(changes.length).toEqual(1);
+            expect(changes[0].field).toEqual('status');
+            expect(changes[0].old_value).toEqual('pending');
+            expect(changes[0].new_value).toEqual('accepted');
+            expect(changes[0].user_id).toEqual(regularUser.id);
+            expect(changes[0].user_name).toEqual(regularUser.first_name + ' ' + regularUser.last_name);
+            expect(changes[0].event_id).toEqual(event.id);
+            expect(changes[0].body_id).toEqual(application.body_id);
+            expect(changes[0].created_at).not.toEqual(null);
+        });
+
+        test('should record the boolean fields change', async () => {
+            const application = await generator.createApplication({ user_id: 1337, confirmed: false }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/confirmed',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { confirmed: true }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+            expect(changes.length).toEqual(1);
+            expect(changes[0].field).toEqual('confirmed');
+            expect(changes[0].old_value).toEqual(false);
+            expect(changes[0].new_value).toEqual(true);
+            expect(changes[0].user_id).toEqual(regularUser.id);
+        });
+
+        test('should not record anything if nothing has changed', async () => {
+            const application = await generator.createApplication({ user_id: 1337, confirmed: true }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/confirmed',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { confirmed: true }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(await ApplicationChange.count({ where: { application_id: application.id } })).toEqual(0);
+        });
+
+        test('should record the participant type and order set for a single application', async () => {
+            const application = await generator.createApplication({
+                user_id: 1337,
+                body_id: regularUser.bodies[0].id,
+                participant_type: null,
+                participant_order: null
+            }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/board',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { participant_type: 'delegate', participant_order: 1, board_comment: 'test' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+            const fields = changes.map(change => change.field);
+            expect(fields).toContain('participant_type');
+            expect(fields).toContain('participant_order');
+            expect(fields).toContain('board_comment');
+
+            const orderChange = changes.find(change => change.field === 'participant_order');
+            expect(orderChange.old_value).toEqual(null);
+            expect(orderChange.new_value).toEqual(1);
+        });
+
+        test('should record the values before the reset when setting the board info for the body', async () => {
+            const first = await generator.createApplication({
+                user_id: 10,
+                body_id: regularUser.bodies[0].id,
+                participant_type: 'visitor',
+                participant_order: 1,
+                board_comment: 'first'
+            }, event);
+            const second = await generator.createApplication({
+                user_id: 11,
+                body_id: regularUser.bodies[0].id,
+                participant_type: 'visitor',
+                participant_order: 2,
+                board_comment: 'second'
+            }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/boardview/' + regularUser.bodies[0].id,
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: [{ user_id: 11, participant_type: 'visitor', participant_order: 1, board_comment: 'second' }]
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            // The orders were swapped, so only the order was changed for the second one.
+            const secondChanges = await ApplicationChange.findAll({ where: { application_id: second.id } });
+            expect(secondChanges.length).toEqual(1);
+            expect(secondChanges[0].field).toEqual('participant_order');
+            expect(secondChanges[0].old_value).toEqual(2);
+            expect(secondChanges[0].new_value).toEqual(1);
+
+            // The first one was reset.
+            const firstChanges = await ApplicationChange.findAll({ where: { application_id: first.id } });
+            const typeChange = firstChanges.find(change => change.field === 'participant_type');
+            expect(typeChange.old_value).toEqual('visitor');
+            expect(typeChange.new_value).toEqual(null);
+            expect(typeChange.user_id).toEqual(regularUser.id);
+        });
+
+        test('should record the changes done by the system without the user', async () => {
+            // Not on the members list, as there's no members list yet.
+            const application = await generator.createApplication({
+                user_id: 1337,
+                body_id: regularUser.bodies[0].id
+            }, event);
+
+            await generator.createMembersList({
+                body_id: regularUser.bodies[0].id,
+                members: [{ user_id: 1337, first_name: 'Test', last_name: 'Applicant', fee: 10 }]
+            }, event);
+
+            const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+            expect(changes.length).toEqual(1);
+            expect(changes[0].field).toEqual('is_on_memberslist');
+            expect(changes[0].old_value).toEqual(false);
+            expect(changes[0].new_value).toEqual(true);
+            expect(changes[0].user_id).toEqual(null);
+        });
+    });
+
+    describe('displaying for a single application', () => {
+        test('should display the history, the latest changes first', async () => {
+            const application = await generator.createApplication({ user_id: 1337, status: 'pending' }, event);
+            await application.update({ status: 'accepted' }, { user: regularUser });
+            await application.update({ status: 'rejected' }, { user: regularUser });
+
+            const res = await getHistory(application);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.length).toEqual(2);
+            expect(res.body.data[0].new_value).toEqual('rejected');
+            expect(res.body.data[1].new_value).toEqual('accepted');
+        });
+
+        test('should not display the history of other applications', async () => {
+            const application = await generator.createApplication({ user_id: 1337, status: 'pending' }, event);
+            const otherApplication = await generator.createApplication({ user_id: 1338, status: 'pending' }, event);
+            await otherApplication.update({ status: 'accepted' });
+
+            const res = await getHistory(application);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(0);
+        });
+
+        test('should return 403 if the user cannot manage applications', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const application = await generator.createApplication({ user_id: 1337 }, event);
+
+            const res = await getHistory(application);
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 403 for the own application', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            await generator.createApplication({ user_id: regularUser.id }, event);
+
+            const res = await getHistory({ id: 'me' });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('board timeline', () => {
+        const getTimeline = bodyId => request({
+            uri: '/events/' + event.id + '/applications/boardview/' + bodyId + '/history',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        test('should display the changes for the body members', async () => {
+            const application = await generator.createApplication({ user_id: 1337, body_id: regularUser.bodies[0].id, status: 'pending' }, event);
+            const otherApplication = await generator.createApplication({ user_id: 1338, body_id: 1339, status: 'pending' }, event);
+            await application.update({ status: 'accepted' });
+            await otherApplication.update({ status: 'accepted' });
+
+            const res = await getTimeline(regularUser.bodies[0].id);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].application_id).toEqual(application.id);
+            expect(res.body.data[0].application.first_name).toEqual(application.first_name);
+            expect(res.body.data[0].application).not.toHaveProperty('email');
+        });
+
+        test('should work for the board members without global permissions', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const application = await generator.createApplication({ user_id: 1337, body_id: regularUser.bodies[0].id, status: 'pending' }, event);
+            await application.update({ status: 'accepted' });
+
+            const res = await getTimeline(regularUser.bodies[0].id);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(1);
+        });
+
+        test('should return 403 if the user is not a board member', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true }, approvePermissions: { noPermissions: true } });
+
+            const res = await getTimeline(regularUser.bodies[0].id);
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 on malformed body ID', async () => {
+            const res = await getTimeline('invalid');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
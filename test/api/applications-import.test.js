@@ -0,0 +1,357 @@
+const xlsx = require('node-xlsx').default;
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const fs = require('../../lib/fs');
+const config = require('../../config');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { Application, Image } = require('../../models');
+
+describe('Applications import', () => {
+    let event;
+
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+        event = await generator.createEvent({
+            type: 'agora',
+            applications: [],
+            questions: [
+                { type: 'string', description: 'Motivation', required: true },
+                { type: 'checkbox', description: 'Agreement', required: true },
+                { type: 'multiselect', description: 'Workshops', values: ['first', 'second'], required: false }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const bodyId = regularUser.bodies[0].id;
+
+    const toCsv = rows => rows.map(row => row.join(',')).join('\r\n');
+
+    const getHeader = () => [
+        'user_id',
+        'body_id',
+        'meals',
+        'number_of_events_visited',
+        'nationality',
+        'visa_required',
+        'answers.' + event.questions[0].id,
+        'answers.' + event.questions[1].id,
+        'answers.' + event.questions[2].id
+    ];
+
+    const getRow = (userId, options = {}) => [
+        userId,
+        options.body_id || bodyId,
+        'Vegetarian',
+        0,
+        'Belgian',
+        'no',
+        'I want to go',
+        'yes',
+        'first;second'
+    ];
+
+    const importFile = (content, filename = 'import.csv', qs = {}) => request({
+        uri: '/events/' + event.id + '/applications/import',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        qs,
+        formData: {
+            file: {
+                value: Buffer.from(content),
+                options: { filename }
+            }
+        }
+    });
+
+    test('should import the applications from CSV', async () => {
+        const res = await importFile(toCsv([getHeader(), getRow(1), getRow(2)]));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.imported).toEqual(2);
+        expect(res.body.data.rows.map(row => row.success)).toEqual([true, true]);
+
+        const applications = await Application.findAll({ where: { event_id: event.id }, order: [['user_id', 'ASC']] });
+        expect(applications.length).toEqual(2);
+        expect(applications[0].user_id).toEqual(1);
+        expect(applications[0].body_id).toEqual(bodyId);
+        expect(applications[0].first_name).toEqual(regularUser.first_name);
+        expect(applications[0].email).toEqual(regularUser.user.email);
+        expect(applications[0].body_name).toEqual(regularUser.bodies[0].name);
+        expect(applications[0].created_by).toEqual(regularUser.id);
+        expect(applications[0].visa_required).toEqual(false);
+        expect(applications[0].answers[event.questions[1].id]).toEqual(true);
+        expect(applications[0].answers[event.questions[2].id]).toEqual(['first', 'second']);
+    });
+
+    test('should import the applications from XLSX', async () => {
+        const file = xlsx.build([{ name: 'Applications', data: [getHeader(), getRow(1)] }]);
+        const res = await importFile(file, 'import.xlsx');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.imported).toEqual(1);
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(1);
+    });
+
+    test('should not import anything on a dry run', async () => {
+        const res = await importFile(toCsv([getHeader(), getRow(1), getRow(2)]), 'import.csv', { dry_run: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.dry_run).toEqual(true);
+        expect(res.body.data.imported).toEqual(0);
+        expect(res.body.data.rows.map(row => row.success)).toEqual([true, true]);
+        expect(res.body.data.rows[0].application.first_name).toEqual(regularUser.first_name);
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(0);
+    });
+
+    test('should report the invalid rows and import nothing', async () => {
+        const invalidRow = getRow(2);
+        invalidRow[6] = '';
+
+        const res = await importFile(toCsv([getHeader(), getRow(1), invalidRow]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+        expect(res.body.data.failed).toEqual(1);
+        expect(res.body.data.rows[0].success).toEqual(true);
+        expect(res.body.data.rows[1].success).toEqual(false);
+        expect(res.body.data.rows[1].row).toEqual(3);
+        expect(res.body.data.rows[1].user_id).toEqual(2);
+        expect(res.body.data.rows[1].errors).toHaveProperty('answers');
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(0);
+    });
+
+    test('should report the invalid rows on a dry run', async () => {
+        const res = await importFile(toCsv([getHeader(), getRow(1), getRow(1)]), 'import.csv', { dry_run: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.failed).toEqual(1);
+        expect(res.body.data.rows[1].success).toEqual(false);
+    });
+
+    test('should not import the application if the user has already applied', async () => {
+        await generator.createApplication({
+            user_id: 1,
+            answers: { [event.questions[0].id]: 'test', [event.questions[1].id]: true }
+        }, event);
+
+        const res = await importFile(toCsv([getHeader(), getRow(1)]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].success).toEqual(false);
+    });
+
+    test('should not import the application if the member is not in the body', async () => {
+        const res = await importFile(toCsv([getHeader(), getRow(1, { body_id: 1337 })]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].errors).toHaveProperty('body_id');
+    });
+
+    test('should not import the application if the member is not found', async () => {
+        mock.mockAll({ member: { unsuccessfulResponse: true } });
+
+        const res = await importFile(toCsv([getHeader(), getRow(1)]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].errors).toHaveProperty('user_id');
+    });
+
+    test('should not import the application if the body cannot send anyone', async () => {
+        await generator.createPaxLimit({
+            body_id: bodyId,
+            event_type: 'agora',
+            delegate: 0,
+            visitor: 0,
+            observer: 0,
+            envoy: 0
+        });
+
+        const res = await importFile(toCsv([getHeader(), getRow(1)]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].errors).toHaveProperty('body_id');
+    });
+
+    test('should check the participants limits including the imported rows', async () => {
+        await generator.createPaxLimit({ body_id: bodyId, event_type: 'agora', delegate: 1 });
+
+        const header = [...getHeader(), 'participant_type', 'participant_order'];
+        const res = await importFile(toCsv([
+            header,
+            [...getRow(1), 'delegate', 1],
+            [...getRow(2), 'delegate', 2]
+        ]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].success).toEqual(true);
+        expect(res.body.data.rows[1].success).toEqual(false);
+    });
+
+    test('should check the visa fields', async () => {
+        const row = getRow(1);
+        row[5] = 'yes';
+
+        const res = await importFile(toCsv([getHeader(), row]));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].success).toEqual(false);
+        expect(JSON.stringify(res.body.data.rows[0].errors)).toContain('Visa is required');
+    });
+
+    test('should accept the files uploaded by the importer', async () => {
+        const fileEvent = await generator.createEvent({
+            type: 'agora',
+            applications: [],
+            questions: [{ type: 'file', description: 'Passport scan', required: true }]
+        });
+
+        const uploadRes = await request({
+            uri: '/events/' + fileEvent.id + '/applications/files',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            formData: {
+                file: fs.createReadStream('./test/assets/valid_image.png')
+            }
+        });
+        expect(uploadRes.statusCode).toEqual(200);
+
+        const res = await request({
+            uri: '/events/' + fileEvent.id + '/applications/import',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            formData: {
+                file: {
+                    value: Buffer.from(toCsv([
+                        ['user_id', 'body_id', 'meals', 'nationality', 'number_of_events_visited', 'visa_required', 'answers.' + fileEvent.questions[0].id],
+                        [2, bodyId, 'Vegetarian', 'Belgian', 0, 'no', uploadRes.body.data.id]
+                    ])),
+                    options: { filename: 'import.csv' }
+                }
+            }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const application = await Application.findOne({ where: { event_id: fileEvent.id } });
+        expect(application.answers[fileEvent.questions[0].id]).toEqual(uploadRes.body.data.id);
+
+        await fs.rimraf(config.images_dir);
+    });
+
+    test('should not accept the files uploaded by someone else', async () => {
+        const image = await Image.create({ user_id: 42, file_name: 'test.png', file_folder: config.images_dir });
+        const fileEvent = await generator.createEvent({
+            type: 'agora',
+            applications: [],
+            questions: [{ type: 'file', description: 'Passport scan', required: true }]
+        });
+
+        const res = await request({
+            uri: '/events/' + fileEvent.id + '/applications/import',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            formData: {
+                file: {
+                    value: Buffer.from(toCsv([
+                        ['user_id', 'body_id', 'meals', 'nationality', 'number_of_events_visited', 'visa_required', 'answers.' + fileEvent.questions[0].id],
+                        [2, bodyId, 'Vegetarian', 'Belgian', 0, 'no', image.id]
+                    ])),
+                    options: { filename: 'import.csv' }
+                }
+            }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.data.rows[0].errors).toHaveProperty('answers');
+    });
+
+    test('should return 400 on unknown columns', async () => {
+        const res = await importFile(toCsv([[...getHeader(), 'status'], [...getRow(1), 'accepted']]));
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.message).toContain('status');
+    });
+
+    test('should return 400 if the required columns are missing', async () => {
+        const res = await importFile(toCsv([getHeader().slice(1), getRow(1).slice(1)]));
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.message).toContain('user_id');
+    });
+
+    test('should return 400 if there are no rows', async () => {
+        const res = await importFile(toCsv([getHeader()]));
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 422 on the wrong file extension', async () => {
+        const res = await importFile(toCsv([getHeader(), getRow(1)]), 'import.txt');
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 422 if the file is not set', async () => {
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/import',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 if the user has no permissions', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const res = await importFile(toCsv([getHeader(), getRow(1)]));
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(0);
+    });
+
+    test('should return 403 if the event is finished', async () => {
+        await event.update({ status: 'finished' });
+
+        const res = await importFile(toCsv([getHeader(), getRow(1)]));
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(0);
+    });
+});
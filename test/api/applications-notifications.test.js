@@ -0,0 +1,230 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mailer = require('../../lib/mailer');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application } = require('../../models');
+
+describe('Applications notifications', () => {
+    const allNotifications = { status: true, confirmed: true, registered: true, cancelled: true };
+
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+        jest.restoreAllMocks();
+    });
+
+    const setAttribute = (event, application, endpoint, body) => request({
+        uri: '/events/' + event.id + '/applications/' + application.id + '/' + endpoint,
+        method: 'PUT',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    const getTemplates = spy => spy.mock.calls.map(call => call[0].template);
+
+    test('should notify the applicant about the status change', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ status: 'pending' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'accepted' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        const mail = spy.mock.calls[0][0];
+        expect(mail.to).toEqual(application.email);
+        expect(mail.template).toEqual('statutory_status_changed.html');
+        expect(mail.parameters.application.status).toEqual('accepted');
+        expect(mail.parameters.event.id).toEqual(event.id);
+    });
+
+    test('should not notify if the status was not changed', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ status: 'accepted' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'accepted' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should not notify if it is disabled for the event', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: { status: false, confirmed: true } });
+        const application = await generator.createApplication({ status: 'pending' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'rejected' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should not notify by default', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent();
+        const application = await generator.createApplication({ status: 'pending' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'accepted' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should notify the applicant about the confirmation', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ confirmed: false }, event);
+
+        const res = await setAttribute(event, application, 'confirmed', { confirmed: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(getTemplates(spy)).toEqual(['statutory_confirmed.html']);
+    });
+
+    test('should not notify when the attribute is unset', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ confirmed: true }, event);
+
+        const res = await setAttribute(event, application, 'confirmed', { confirmed: false });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should notify the applicant about the registration', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ status: 'accepted', confirmed: true, registered: false }, event);
+
+        const res = await setAttribute(event, application, 'registered', { registered: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(getTemplates(spy)).toEqual(['statutory_registered.html']);
+    });
+
+    test('should notify the applicant about the registration at the check-in', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ type: 'epm', notifications: allNotifications });
+        const application = await generator.createApplication({
+            status: 'accepted',
+            confirmed: true,
+            visa_required: false
+        }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/check-in',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { statutory_id: application.statutory_id }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.changed).toEqual(true);
+        expect(getTemplates(spy)).toEqual(['statutory_registered.html']);
+    });
+
+    test('should notify the applicant about the cancellation', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ cancelled: false }, event);
+
+        const res = await setAttribute(event, application, 'cancel', { cancelled: true });
+
+        expect(res.statusCode).toEqual(200);
+        expect(getTemplates(spy)).toEqual(['statutory_cancelled.html']);
+    });
+
+    test('should notify each applicant on bulk changes', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const first = await generator.createApplication({ status: 'pending', confirmed: false }, event);
+        const second = await generator.createApplication({ status: 'pending', confirmed: false }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/bulk',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { applications: [first.id, second.id], changes: { status: 'accepted', confirmed: true } }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const mails = spy.mock.calls.map(call => call[0]);
+        expect(mails.length).toEqual(4);
+        expect(mails.filter(mail => mail.to === first.email).map(mail => mail.template).sort())
+            .toEqual(['statutory_confirmed.html', 'statutory_status_changed.html']);
+        expect(mails.filter(mail => mail.to === second.email).map(mail => mail.template).sort())
+            .toEqual(['statutory_confirmed.html', 'statutory_status_changed.html']);
+    });
+
+    test('should save the change if the mail was not sent', async () => {
+        jest.spyOn(mailer, 'sendMail').mockImplementation(() => Promise.reject(new Error('Mailer is down.')));
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ status: 'pending' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'accepted' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.status).toEqual('accepted');
+    });
+
+    test('should not wait for the mail to be sent', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail').mockImplementation(() => new Promise(() => {}));
+        const event = await generator.createEvent({ notifications: allNotifications });
+        const application = await generator.createApplication({ status: 'pending' }, event);
+
+        const res = await setAttribute(event, application, 'status', { status: 'accepted' });
+
+        expect(res.statusCode).toEqual(200);
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return 422 on unknown notification for the event', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { notifications: { attended: true } }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('notifications');
+    });
+
+    test('should return 422 on non-boolean notification for the event', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { notifications: { status: 'yes' } }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('notifications');
+    });
+});
@@ -0,0 +1,236 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const fs = require('../../lib/fs');
+const config = require('../../config');
+const mailer = require('../../lib/mailer');
+const { Application, ApplicationChange, Image } = require('../../models');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+
+describe('Applying on behalf of another member', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+        jest.restoreAllMocks();
+    });
+
+    const applyOnBehalf = (event, body) => request({
+        uri: '/events/' + event.id + '/applications/on-behalf',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    test('should create the application for another member', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.user_id).toEqual(1337);
+        expect(res.body.data.created_by).toEqual(regularUser.id);
+
+        // The profile data is taken from the member, not from the request.
+        expect(res.body.data.first_name).toEqual(regularUser.first_name);
+        expect(res.body.data.email).toEqual(regularUser.user.email);
+        expect(res.body.data.body_name).toEqual(regularUser.bodies[0].name);
+    });
+
+    test('should record who has filed the application', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(200);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: res.body.data.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('created_by');
+        expect(changes[0].new_value).toEqual(regularUser.id);
+        expect(changes[0].user_id).toEqual(regularUser.id);
+        expect(changes[0].user_name).toEqual(`${regularUser.first_name} ${regularUser.last_name}`);
+    });
+
+    test('should send the applicant the link to review the application', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(200);
+
+        const mail = spy.mock.calls.map(call => call[0]).find(m => m.template === 'statutory_applied_on_behalf.html');
+        expect(mail).toBeDefined();
+        expect(mail.to).toEqual(regularUser.user.email);
+        expect(mail.parameters.application.id).toEqual(res.body.data.id);
+        expect(mail.parameters.event.id).toEqual(event.id);
+        expect(spy.mock.calls.map(call => call[0].template)).not.toContain('statutory_applied.html');
+    });
+
+    test('should not create the application if the mail was not sent', async () => {
+        mock.mockAll({ mailer: { netError: true } });
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(500);
+
+        const applicationsCount = await Application.count({ where: { event_id: event.id } });
+        expect(applicationsCount).toEqual(0);
+    });
+
+    test('should accept the files uploaded by the one who applies on behalf', async () => {
+        const event = await generator.createEvent({
+            applications: [],
+            questions: [{ type: 'file', description: 'Passport scan', required: true }]
+        });
+
+        const uploadRes = await request({
+            uri: '/events/' + event.id + '/applications/files',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            formData: {
+                file: fs.createReadStream('./test/assets/valid_image.png')
+            }
+        });
+
+        expect(uploadRes.statusCode).toEqual(200);
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id,
+            answers: { [event.questions[0].id]: uploadRes.body.data.id }
+        }, event));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.answers[event.questions[0].id]).toEqual(uploadRes.body.data.id);
+
+        await fs.rimraf(config.images_dir);
+    });
+
+    test('should not accept the files uploaded by someone else', async () => {
+        const event = await generator.createEvent({
+            applications: [],
+            questions: [{ type: 'file', description: 'Passport scan', required: true }]
+        });
+        const image = await Image.create({ user_id: 42, file_name: 'test.png', file_folder: config.images_dir });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id,
+            answers: { [event.questions[0].id]: image.id }
+        }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.errors).toHaveProperty('answers');
+    });
+
+    test('should return 403 if the user has no permissions', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should return 400 if the user ID is invalid', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 'test',
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 404 if the member is not found', async () => {
+        mock.mockAll({ member: { unsuccessfulResponse: true } });
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 if the member is not in the body', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: 1337
+        }, event));
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 422 if the member has already applied', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        await generator.createApplication({ user_id: 1337 }, event);
+
+        const res = await applyOnBehalf(event, generator.generateApplication({
+            user_id: 1337,
+            body_id: regularUser.bodies[0].id
+        }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should not set the creator when applying for oneself', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: generator.generateApplication({
+                user_id: 1337,
+                body_id: regularUser.bodies[0].id,
+                created_by: 1337
+            }, event)
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.user_id).toEqual(regularUser.id);
+        expect(res.body.data.created_by).toEqual(null);
+    });
+});
@@ -0,0 +1,347 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Application, ApplicationChange } = require('../../models');
+
+describe('Visa invitation letters', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const visaData = () => ({
+        visa_required: true,
+        visa_place_of_birth: 'Brussels',
+        visa_passport_number: 'AB123456',
+        visa_passport_issue_date: '2018-01-01',
+        visa_passport_expiration_date: '2028-01-01',
+        visa_passport_issue_authority: 'Ministry',
+        visa_embassy: 'Embassy of Testland',
+        visa_street_and_house: 'Main street 1',
+        visa_postal_code: '1000',
+        visa_city: 'Brussels',
+        visa_country: 'Belgium'
+    });
+
+    const getBinary = (uri, method = 'GET') => request({
+        uri,
+        method,
+        json: false,
+        encoding: null, // make response body to Buffer.
+        headers: { 'X-Auth-Token': 'blablabla' }
+    });
+
+    describe('single letter', () => {
+        test('should generate the PDF letter', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/' + application.id + '/visa-letter');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toEqual('application/pdf');
+            expect(res.headers['content-disposition']).toContain(application.statutory_id);
+            expect(res.body.slice(0, 5).toString()).toEqual('%PDF-');
+        });
+
+        test('should use the event template', async () => {
+            const event = await generator.createEvent({ visa_letter_template: 'Welcome to {{event_name}}, {{ first_name }}!' });
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/' + application.id + '/visa-letter');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.slice(0, 5).toString()).toEqual('%PDF-');
+        });
+
+        test('should draw the non-Latin letters', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(Object.assign(visaData(), {
+                first_name: 'Ирина',
+                last_name: 'Παπαδοπούλου'
+            }), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/' + application.id + '/visa-letter');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.toString('binary')).toContain('DejaVuSans');
+        });
+
+        test('should store when the letter was issued', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/' + application.id + '/visa-letter', 'POST');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toEqual('application/pdf');
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).not.toEqual(null);
+
+            const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+            expect(changes.length).toEqual(1);
+            expect(changes[0].field).toEqual('visa_letter_issued_at');
+        });
+
+        test('should not store anything when previewing the letter', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/' + application.id + '/visa-letter');
+
+            expect(res.statusCode).toEqual(200);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+            expect(await ApplicationChange.count({ where: { application_id: application.id } })).toEqual(0);
+        });
+
+        test('should not issue the letter for the archived event', async () => {
+            const event = await generator.createEvent({ status: 'archived' });
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/visa-letter',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+        });
+
+        test('should not issue the letter for the finished event', async () => {
+            const event = await generator.createEvent({ status: 'finished' });
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/visa-letter',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+        });
+
+        test('should return 400 if the applicant does not need a visa', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication({ visa_required: false }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/visa-letter',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 if the visa data is not filled in', async () => {
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(visaData(), event);
+            await Application.update({ visa_embassy: '' }, { where: { id: application.id }, validate: false, hooks: false });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/visa-letter',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.message).toContain('visa_embassy');
+        });
+
+        test('should return 403 if the user cannot manage incoming', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await generator.createEvent();
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/' + application.id + '/visa-letter',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+        });
+    });
+
+    describe('all letters', () => {
+        test('should generate the ZIP archive with the letters', async () => {
+            const event = await generator.createEvent();
+            const first = await generator.createApplication(Object.assign({ user_id: 1 }, visaData()), event);
+            const second = await generator.createApplication(Object.assign({ user_id: 2 }, visaData()), event);
+            const withoutVisa = await generator.createApplication({ user_id: 3, visa_required: false }, event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/visa-letters');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toEqual('application/zip');
+            expect(res.body.slice(0, 2).toString()).toEqual('PK');
+
+            // The file names are stored as is in the archive.
+            const content = res.body.toString('binary');
+            expect(content).toContain(`visa-letter-${first.statutory_id}.pdf`);
+            expect(content).toContain(`visa-letter-${second.statutory_id}.pdf`);
+            expect(content).not.toContain(`visa-letter-${withoutVisa.statutory_id}.pdf`);
+            expect(content).not.toContain('skipped.txt');
+
+            // Only previewing them, nothing is issued.
+            const applications = await Application.findAll({ where: { event_id: event.id, visa_required: true } });
+            expect(applications.every(application => application.visa_letter_issued_at === null)).toEqual(true);
+        });
+
+        test('should store when the letters were issued', async () => {
+            const event = await generator.createEvent();
+            await generator.createApplication(Object.assign({ user_id: 1 }, visaData()), event);
+            await generator.createApplication(Object.assign({ user_id: 2 }, visaData()), event);
+
+            const res = await getBinary('/events/' + event.id + '/applications/visa-letters', 'POST');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toEqual('application/zip');
+
+            const applications = await Application.findAll({ where: { event_id: event.id, visa_required: true } });
+            expect(applications.every(application => application.visa_letter_issued_at !== null)).toEqual(true);
+        });
+
+        test('should list the applications with missing visa data separately', async () => {
+            const event = await generator.createEvent();
+            const complete = await generator.createApplication(Object.assign({ user_id: 1 }, visaData()), event);
+            const incomplete = await generator.createApplication(Object.assign({ user_id: 2 }, visaData()), event);
+            await Application.update({ visa_embassy: '' }, { where: { id: incomplete.id }, validate: false, hooks: false });
+
+            const res = await getBinary('/events/' + event.id + '/applications/visa-letters', 'POST');
+
+            expect(res.statusCode).toEqual(200);
+
+            const content = res.body.toString('binary');
+            expect(content).toContain(`visa-letter-${complete.statutory_id}.pdf`);
+            expect(content).not.toContain(`visa-letter-${incomplete.statutory_id}.pdf`);
+            expect(content).toContain('skipped.txt');
+
+            const incompleteFromDb = await Application.findByPk(incomplete.id);
+            expect(incompleteFromDb.visa_letter_issued_at).toEqual(null);
+        });
+
+        test('should return 404 if nobody needs a visa', async () => {
+            const event = await generator.createEvent();
+            await generator.createApplication({ visa_required: false }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/visa-letters',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should not issue the letters for the archived event', async () => {
+            const event = await generator.createEvent({ status: 'archived' });
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/visa-letters',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+        });
+
+        test('should not issue the letters for the finished event', async () => {
+            const event = await generator.createEvent({ status: 'finished' });
+            const application = await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/visa-letters',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+
+            const applicationFromDb = await Application.findByPk(application.id);
+            expect(applicationFromDb.visa_letter_issued_at).toEqual(null);
+        });
+
+        test('should return 403 if the user cannot manage incoming', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await generator.createEvent();
+            await generator.createApplication(visaData(), event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/visa-letters',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('templates', () => {
+        test('should not allow unknown placeholders', async () => {
+            const event = await generator.createEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id,
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { visa_letter_template: 'Hello {{password}}' }
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('visa_letter_template');
+        });
+
+        test('should save the template with known placeholders', async () => {
+            const event = await generator.createEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id,
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { visa_letter_template: 'Hello {{first_name}}, see you at {{event_name}}.' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.visa_letter_template).toEqual('Hello {{first_name}}, see you at {{event_name}}.');
+        });
+    });
+});
@@ -0,0 +1,232 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { Application, ApplicationChange } = require('../../models');
+
+describe('Applications waiting list', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const bodyId = regularUser.bodies[0].id;
+
+    const createEvent = async (options = {}) => {
+        const event = await generator.createEvent(Object.assign({ type: 'agora', auto_promote_waiting_list: true }, options));
+        await generator.createPaxLimit({
+            body_id: bodyId,
+            event_type: 'agora',
+            delegate: 1,
+            visitor: 0,
+            envoy: 5,
+            observer: 5
+        });
+        return event;
+    };
+
+    const createApplication = (userId, status, participantType, event) => generator.createApplication({
+        user_id: userId,
+        body_id: bodyId,
+        status,
+        participant_type: participantType,
+        participant_order: userId
+    }, event);
+
+    const cancel = (event, application) => request({
+        uri: '/events/' + event.id + '/applications/' + application.id + '/cancel',
+        method: 'PUT',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body: { cancelled: true }
+    });
+
+    test('should promote the next application on cancellation', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        const res = await cancel(event, accepted);
+        expect(res.statusCode).toEqual(200);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('accepted');
+    });
+
+    test('should promote the next application on rejection', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/' + accepted.id + '/status',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { status: 'rejected' }
+        });
+        expect(res.statusCode).toEqual(200);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('accepted');
+    });
+
+    test('should prefer the same body and participant type over the creation date', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const older = await createApplication(2, 'waiting_list', 'observer', event);
+        const sameType = await createApplication(3, 'waiting_list', 'delegate', event);
+
+        const res = await cancel(event, accepted);
+        expect(res.statusCode).toEqual(200);
+
+        const olderFromDb = await Application.findByPk(older.id);
+        const sameTypeFromDb = await Application.findByPk(sameType.id);
+        expect(olderFromDb.status).toEqual('waiting_list');
+        expect(sameTypeFromDb.status).toEqual('accepted');
+    });
+
+    test('should promote by the creation date', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const first = await createApplication(2, 'waiting_list', 'delegate', event);
+        const second = await createApplication(3, 'waiting_list', 'delegate', event);
+
+        await cancel(event, accepted);
+
+        const firstFromDb = await Application.findByPk(first.id);
+        const secondFromDb = await Application.findByPk(second.id);
+        expect(firstFromDb.status).toEqual('accepted');
+        expect(secondFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should skip the applications that do not fit into the limits', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'observer', event);
+        const visitor = await createApplication(2, 'waiting_list', 'visitor', event);
+        const envoy = await createApplication(3, 'waiting_list', 'envoy', event);
+
+        await cancel(event, accepted);
+
+        const visitorFromDb = await Application.findByPk(visitor.id);
+        const envoyFromDb = await Application.findByPk(envoy.id);
+        expect(visitorFromDb.status).toEqual('waiting_list');
+        expect(envoyFromDb.status).toEqual('accepted');
+    });
+
+    test('should not promote anyone if nobody fits into the limits', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'observer', event);
+        const visitor = await createApplication(2, 'waiting_list', 'visitor', event);
+
+        const res = await cancel(event, accepted);
+        expect(res.statusCode).toEqual(200);
+
+        const visitorFromDb = await Application.findByPk(visitor.id);
+        expect(visitorFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should not promote cancelled applications', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+        await waiting.update({ cancelled: true });
+
+        await cancel(event, accepted);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should not promote if the cancelled application was not accepted', async () => {
+        const event = await createEvent();
+        const pending = await createApplication(1, 'pending', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        await cancel(event, pending);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should not promote if it is disabled for the event', async () => {
+        const event = await createEvent({ auto_promote_waiting_list: false });
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        await cancel(event, accepted);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should record the promotion in the application history', async () => {
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        await cancel(event, accepted);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: waiting.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].field).toEqual('status');
+        expect(changes[0].old_value).toEqual('waiting_list');
+        expect(changes[0].new_value).toEqual('accepted');
+        expect(changes[0].user_id).toEqual(null);
+    });
+
+    test('should revert the promotion but still cancel if the mail was not sent', async () => {
+        mock.mockAll({ mailer: { netError: true } });
+
+        const event = await createEvent();
+        const accepted = await createApplication(1, 'accepted', 'delegate', event);
+        const waiting = await createApplication(2, 'waiting_list', 'delegate', event);
+
+        const res = await cancel(event, accepted);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.cancelled).toEqual(true);
+
+        const waitingFromDb = await Application.findByPk(waiting.id);
+        expect(waitingFromDb.status).toEqual('waiting_list');
+    });
+
+    test('should allow organizers to enable it', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { auto_promote_waiting_list: true }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.auto_promote_waiting_list).toEqual(true);
+    });
+
+    test('should return 422 if the setting is not a boolean', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { auto_promote_waiting_list: 'yes' }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('auto_promote_waiting_list');
+    });
+});
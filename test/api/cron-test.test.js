@@ -71,6 +71,19 @@ describe('Cron testing', () => {
             expect(Object.values(cron.jobs).map(job => job.key)).toContain(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS.key);
         });
 
+        test('should use the event timezone for the deadlines on cron.registerAll()', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [], timezone: 'Asia/Tokyo' });
+            await generator.createPosition({
+                starts: moment().add(1, 'week').toDate(),
+                ends: moment().add(2, 'week').toDate(),
+            }, event);
+
+            cron.clearAll(); // to clear all of them
+            await cron.registerAllDeadlines();
+
+            expect(Object.values(cron.jobs).map(job => job.timezone)).toEqual(['Asia/Tokyo', 'Asia/Tokyo', 'Asia/Tokyo']);
+        });
+
         test('should set the close deadline for plenaries on cron.registerAll()', async () => {
             const event = await generator.createEvent({ type: 'agora', applications: [] });
             const plenary = await generator.createPlenary({
@@ -135,6 +148,24 @@ describe('Cron testing', () => {
             expect(Object.values(cron.jobs).map(job => job.key)).toContain(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS.key);
         });
 
+        test('should use the event timezone for the deadlines', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [], timezone: 'Asia/Tokyo' });
+            const position = generator.generatePosition({
+                starts: moment().add(1, 'week').toDate(),
+                ends: moment().add(2, 'week').toDate(),
+            });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/positions/',
+                method: 'POST',
+                body: position,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(Object.values(cron.jobs).map(job => job.timezone)).toEqual(['Asia/Tokyo', 'Asia/Tokyo', 'Asia/Tokyo']);
+        });
+
         test('should set the close deadline if the applications started but not ended', async () => {
             const event = await generator.createEvent({ type: 'agora', applications: [] });
             const position = generator.generatePosition({
@@ -0,0 +1,175 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mailer = require('../../lib/mailer');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Event } = require('../../models');
+
+describe('Events archiving', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        jest.restoreAllMocks();
+    });
+
+    test('should disallow archiving event if user has no rights', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent({ status: 'published' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/archive',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.status).toEqual('published');
+    });
+
+    test('should disallow archiving draft event', async () => {
+        const event = await generator.createEvent({ status: 'draft' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/archive',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.status).toEqual('draft');
+    });
+
+    test('should archive published event', async () => {
+        const event = await generator.createEvent({ status: 'published' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/archive',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.status).toEqual('archived');
+    });
+
+    test('should not display archived event in the listing', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+
+        const ids = res.body.data.map(e => e.id);
+        expect(ids).not.toContain(event.id);
+    });
+
+    test('should still display archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.id).toEqual(event.id);
+    });
+
+    test('should disallow editing archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Updated name' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.name).not.toEqual('Updated name');
+    });
+
+    test('should disallow applying to archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: generator.generateApplication({}, event)
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should disallow sending mass mails for archived event', async () => {
+        const spy = jest.spyOn(mailer, 'sendMail');
+        const event = await generator.createEvent({ status: 'archived' });
+        await generator.createApplication({ status: 'accepted' }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/massmailer',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { subject: 'Testing', text: 'Testing mail sending.' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should allow listing applications of archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+        const application = await generator.createApplication({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/applications/all',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.map(a => a.id)).toContain(application.id);
+    });
+});
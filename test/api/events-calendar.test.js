@@ -0,0 +1,204 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+
+const countEntries = body => body.split('\r\n').filter(line => line === 'BEGIN:VEVENT').length;
+
+// Long lines are folded, so joining them back before looking for the text.
+const unfold = body => body.replace(/\r\n /g, '');
+
+describe('Events calendar', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    describe('for single event', () => {
+        test('should work without authorization', async () => {
+            mock.mockAll({
+                core: { unauthorized: true },
+                mainPermissions: { unauthorized: true },
+                approvePermissions: { unauthorized: true },
+            });
+
+            const event = await generator.createEvent({ type: 'epm' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('text/calendar');
+            expect(res.body).toContain('BEGIN:VCALENDAR');
+            expect(res.body).toContain('END:VCALENDAR');
+        });
+
+        test('should return 404 if event is not found', async () => {
+            const res = await request({
+                uri: '/events/nonexistant/calendar.ics',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+            expect(res.body).toHaveProperty('message');
+        });
+
+        test('should include event deadlines for EPM', async () => {
+            const event = await generator.createEvent({ type: 'epm' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            // event itself, application period, board approve and participants list publish
+            expect(countEntries(res.body)).toEqual(4);
+            expect(unfold(res.body)).not.toContain('Members list');
+        });
+
+        test('should include memberslist deadlines, positions and plenaries for Agora', async () => {
+            const event = await generator.createEvent({ type: 'agora' });
+            await generator.createPosition({}, event);
+            await generator.createPlenary({}, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            // 4 for event, 2 for memberslists, 3 for position, 1 for plenary
+            expect(countEntries(res.body)).toEqual(10);
+            expect(unfold(res.body)).toContain('Members list submission deadline');
+            expect(unfold(res.body)).toContain('Members list edit deadline');
+            expect(unfold(res.body)).toContain('applications force close');
+            expect(unfold(res.body)).toContain('Plenary');
+        });
+
+        test('should escape special characters', async () => {
+            const event = await generator.createEvent({ type: 'epm', name: 'Test, with; special characters' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(unfold(res.body)).toContain('Test\\, with\\; special characters');
+        });
+
+        test('should not have lines longer than 75 characters', async () => {
+            const event = await generator.createEvent({ type: 'epm', name: 'A'.repeat(200) });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            for (const line of res.body.split('\r\n')) {
+                expect(line.length).toBeLessThanOrEqual(75);
+            }
+        });
+
+        test('should not have lines longer than 75 octets for non-ASCII text', async () => {
+            const name = 'Ευρωπαϊκή Γενική Συνέλευση 🎉 Генеральная ассамблея 🎉 Assemblée générale';
+            const event = await generator.createEvent({ type: 'epm', name, url: 'general-assembly' });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/calendar.ics',
+                method: 'GET',
+                json: false,
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            for (const line of res.body.split('\r\n')) {
+                expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+            }
+
+            // The characters should not be split in the middle.
+            expect(unfold(res.body)).toContain('SUMMARY:' + name);
+        });
+    });
+
+    describe('for all events', () => {
+        test('should work without authorization', async () => {
+            mock.mockAll({
+                core: { unauthorized: true },
+                mainPermissions: { unauthorized: true },
+                approvePermissions: { unauthorized: true },
+            });
+
+            const res = await request({
+                uri: '/calendar.ics',
+                method: 'GET',
+                json: false
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('text/calendar');
+            expect(res.body).toContain('BEGIN:VCALENDAR');
+            expect(countEntries(res.body)).toEqual(0);
+        });
+
+        test('should include only published events', async () => {
+            await generator.createEvent({ type: 'epm', status: 'published', name: 'Published event' });
+            await generator.createEvent({ type: 'epm', status: 'draft', name: 'Draft event' });
+
+            const res = await request({
+                uri: '/calendar.ics',
+                method: 'GET',
+                json: false
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(countEntries(res.body)).toEqual(4);
+            expect(unfold(res.body)).toContain('Published event');
+            expect(unfold(res.body)).not.toContain('Draft event');
+        });
+
+        test('should include positions and plenaries', async () => {
+            const event = await generator.createEvent({ type: 'agora', status: 'published' });
+            await generator.createPosition({}, event);
+            await generator.createPlenary({}, event);
+
+            const res = await request({
+                uri: '/calendar.ics',
+                method: 'GET',
+                json: false
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(countEntries(res.body)).toEqual(10);
+        });
+    });
+});
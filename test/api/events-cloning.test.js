@@ -0,0 +1,283 @@
+const moment = require('moment');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const cron = require('../../lib/cron');
+const {
+    Event,
+    Position,
+    Plenary,
+    Session
+} = require('../../models');
+
+describe('Events cloning', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        cron.clearAll();
+    });
+
+    const getJobsIds = jobType => Object.values(cron.jobs)
+        .filter(job => job.key === jobType.key)
+        .map(job => job.params.id);
+
+    test('should disallow cloning event if user has no rights', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        expect(await Event.count()).toEqual(1);
+    });
+
+    test('should return 400 if offset is not set', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should return 400 if offset is not an integer', async () => {
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 'test' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should return 422 if the URL is taken', async () => {
+        const event = await generator.createEvent({ url: 'taken' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'taken', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('url');
+    });
+
+    test('should clone the event as a draft with the dates shifted', async () => {
+        const event = await generator.createEvent({
+            type: 'agora',
+            status: 'published',
+            locations: [{ name: 'test', position: { lat: 1, lng: 1 } }]
+        });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', name: 'Cloned event', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body).toHaveProperty('data');
+
+        const newEvent = await Event.findByPk(res.body.data.id);
+        expect(newEvent.id).not.toEqual(event.id);
+        expect(newEvent.status).toEqual('draft');
+        expect(newEvent.url).toEqual('cloned');
+        expect(newEvent.name).toEqual('Cloned event');
+        expect(newEvent.questions).toEqual(event.questions);
+        expect(newEvent.locations).toEqual(event.locations);
+        expect(newEvent.fee).toEqual(event.fee);
+
+        for (const field of [
+            'starts',
+            'ends',
+            'application_period_starts',
+            'application_period_ends',
+            'board_approve_deadline',
+            'participants_list_publish_deadline',
+            'memberslist_submission_deadline'
+        ]) {
+            expect(moment(newEvent[field]).diff(event[field], 'days')).toEqual(180);
+        }
+    });
+
+    test('should clone positions and plenaries', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const position = await generator.createPosition({}, event);
+        const plenary = await generator.createPlenary({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+
+        const positions = await Position.findAll({ where: { event_id: res.body.data.id } });
+        expect(positions.length).toEqual(1);
+        expect(positions[0].name).toEqual(position.name);
+        expect(positions[0].places).toEqual(position.places);
+        expect(moment(positions[0].starts).diff(position.starts, 'days')).toEqual(180);
+        expect(moment(positions[0].ends).diff(position.ends, 'days')).toEqual(180);
+        expect(moment(positions[0].ends_force).diff(position.ends_force, 'days')).toEqual(180);
+
+        const plenaries = await Plenary.findAll({ where: { event_id: res.body.data.id } });
+        expect(plenaries.length).toEqual(1);
+        expect(moment(plenaries[0].starts).diff(plenary.starts, 'days')).toEqual(180);
+        expect(moment(plenaries[0].ends).diff(plenary.ends, 'days')).toEqual(180);
+
+        // The original ones should stay intact.
+        expect(await Position.count({ where: { event_id: event.id } })).toEqual(1);
+        expect(await Plenary.count({ where: { event_id: event.id } })).toEqual(1);
+    });
+
+    test('should clone sessions linked to the cloned positions and plenaries', async () => {
+        const event = await generator.createEvent({
+            type: 'agora',
+            locations: [{ id: 'l1', name: 'test', position: { lat: 1, lng: 1 } }]
+        });
+        const position = await generator.createPosition({}, event);
+        const plenary = await generator.createPlenary({}, event);
+        const session = await generator.createSession({
+            plenary_id: plenary.id,
+            position_id: position.id,
+            location_id: 'l1'
+        }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const newPosition = await Position.findOne({ where: { event_id: res.body.data.id } });
+        const newPlenary = await Plenary.findOne({ where: { event_id: res.body.data.id } });
+        const sessions = await Session.findAll({ where: { event_id: res.body.data.id } });
+
+        expect(sessions.length).toEqual(1);
+        expect(sessions[0].name).toEqual(session.name);
+        expect(sessions[0].type).toEqual(session.type);
+        expect(sessions[0].plenary_id).toEqual(newPlenary.id);
+        expect(sessions[0].position_id).toEqual(newPosition.id);
+        expect(sessions[0].location_id).toEqual('l1');
+        expect(moment(sessions[0].starts).diff(session.starts, 'days')).toEqual(180);
+        expect(moment(sessions[0].ends).diff(session.ends, 'days')).toEqual(180);
+    });
+
+    test('should schedule the deadlines for the cloned positions and plenaries', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        await generator.createPosition({
+            starts: moment().add(1, 'week').toDate(),
+            ends: moment().add(2, 'week').toDate(),
+            ends_force: moment().add(3, 'week').toDate()
+        }, event);
+        await generator.createPlenary({
+            starts: moment().add(1, 'week').toDate(),
+            ends: moment().add(2, 'week').toDate()
+        }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const newPosition = await Position.findOne({ where: { event_id: res.body.data.id } });
+        const newPlenary = await Plenary.findOne({ where: { event_id: res.body.data.id } });
+
+        expect(getJobsIds(cron.JOB_TYPES.OPEN_POSITION_APPLICATIONS)).toContain(newPosition.id);
+        expect(getJobsIds(cron.JOB_TYPES.CLOSE_POSITION_APPLICATIONS)).toContain(newPosition.id);
+        expect(getJobsIds(cron.JOB_TYPES.CLOSE_ATTENDANCES)).toContain(newPlenary.id);
+    });
+
+    test('should not schedule the deadlines if the event was not cloned', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const position = await generator.createPosition({
+            starts: moment().add(1, 'week').toDate(),
+            ends: moment().add(2, 'week').toDate(),
+            ends_force: moment().add(3, 'week').toDate()
+        }, event);
+        const plenary = await generator.createPlenary({
+            starts: moment().add(1, 'week').toDate(),
+            ends: moment().add(2, 'week').toDate()
+        }, event);
+
+        // The session is cloned after the positions and plenaries and fails to validate.
+        const session = await generator.createSession({ plenary_id: plenary.id, position_id: position.id }, event);
+        await Session.update({ name: '' }, { where: { id: session.id }, validate: false, hooks: false });
+        cron.clearAll();
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(await Position.count()).toEqual(1);
+        expect(Object.keys(cron.jobs).length).toEqual(0);
+    });
+
+    test('should allow cloning archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/clone',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { url: 'cloned', offset_days: 180 }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.status).toEqual('draft');
+    });
+});
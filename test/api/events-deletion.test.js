@@ -0,0 +1,165 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const {
+    Event,
+    Application,
+    Position,
+    Candidate,
+    Plenary,
+    Attendance,
+    QuestionLine,
+    Question,
+    Session
+} = require('../../models');
+
+describe('Events deletion', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    test('should disallow deleting event if user has no rights', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent();
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb).not.toEqual(null);
+    });
+
+    test('should return 404 if event is not found', async () => {
+        const res = await request({
+            uri: '/events/nonexistant',
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should disallow deleting published event', async () => {
+        const event = await generator.createEvent({ status: 'published' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb).not.toEqual(null);
+    });
+
+    test('should disallow deleting archived event', async () => {
+        const event = await generator.createEvent({ status: 'archived' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb).not.toEqual(null);
+    });
+
+    test('should delete draft event', async () => {
+        const event = await generator.createEvent({ status: 'draft' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body).toHaveProperty('message');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb).toEqual(null);
+    });
+
+    test('should delete everything related to the event', async () => {
+        const event = await generator.createEvent({ status: 'draft', type: 'agora' });
+        const application = await generator.createApplication({}, event);
+        const position = await generator.createPosition({}, event);
+        await generator.createCandidate({}, position);
+        const plenary = await generator.createPlenary({}, event);
+        await generator.createAttendance({ application_id: application.id }, plenary);
+        const questionLine = await generator.createQuestionLine({}, event);
+        await generator.createQuestion({ application_id: application.id }, questionLine);
+        await generator.createSession({ plenary_id: plenary.id }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+
+        expect(await Application.count({ where: { event_id: event.id } })).toEqual(0);
+        expect(await Position.count({ where: { event_id: event.id } })).toEqual(0);
+        expect(await Candidate.count({ where: { position_id: position.id } })).toEqual(0);
+        expect(await Plenary.count({ where: { event_id: event.id } })).toEqual(0);
+        expect(await Attendance.count({ where: { plenary_id: plenary.id } })).toEqual(0);
+        expect(await QuestionLine.count({ where: { event_id: event.id } })).toEqual(0);
+        expect(await Question.count({ where: { question_line_id: questionLine.id } })).toEqual(0);
+        expect(await Session.count({ where: { event_id: event.id } })).toEqual(0);
+    });
+
+    test('should not delete other events', async () => {
+        const event = await generator.createEvent({ status: 'draft' });
+        const otherEvent = await generator.createEvent({ status: 'draft' });
+        await generator.createApplication({}, otherEvent);
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+
+        const otherEventFromDb = await Event.findByPk(otherEvent.id);
+        expect(otherEventFromDb).not.toEqual(null);
+        expect(await Application.count({ where: { event_id: otherEvent.id } })).toEqual(1);
+    });
+});
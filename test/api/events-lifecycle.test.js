@@ -0,0 +1,279 @@
+const moment = require('moment');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mailer = require('../../lib/mailer');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { Event, Attendance, QuestionLine } = require('../../models');
+
+describe('Events lifecycle', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        jest.restoreAllMocks();
+    });
+
+    const changeStatus = (event, status) => request({
+        uri: '/events/' + event.id + '/status',
+        method: 'PUT',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body: { status }
+    });
+
+    describe('transitions', () => {
+        test('should allow the transition from the table', async () => {
+            const event = await generator.createEvent({ status: 'published' });
+            const res = await changeStatus(event, 'ongoing');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('ongoing');
+        });
+
+        test('should disallow the transition not from the table', async () => {
+            const event = await generator.createEvent({ status: 'draft' });
+            const res = await changeStatus(event, 'finished');
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+            expect(res.body).toHaveProperty('message');
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('draft');
+        });
+
+        test('should disallow changing the status of the finished event back', async () => {
+            const event = await generator.createEvent({ status: 'finished' });
+            const res = await changeStatus(event, 'ongoing');
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should allow archiving the finished event', async () => {
+            const event = await generator.createEvent({ status: 'finished' });
+            const res = await request({
+                uri: '/events/' + event.id + '/archive',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('archived');
+        });
+
+        test('should disallow archiving the ongoing event', async () => {
+            const event = await generator.createEvent({ status: 'ongoing' });
+            const res = await request({
+                uri: '/events/' + event.id + '/archive',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('ongoing');
+        });
+    });
+
+    describe('cancelling', () => {
+        test('should cancel the event and notify applicants', async () => {
+            const spy = jest.spyOn(mailer, 'sendMail');
+            const event = await generator.createEvent({ status: 'published', applications: [] });
+            const first = await generator.createApplication({ user_id: 1 }, event);
+            const second = await generator.createApplication({ user_id: 2 }, event);
+
+            const res = await changeStatus(event, 'cancelled');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('cancelled');
+
+            // One mail per applicant, so they don't see each other's emails.
+            const recipients = spy.mock.calls.map(call => call[0].to);
+            expect(recipients.sort()).toEqual([first.email, second.email].sort());
+        });
+
+        test('should cancel the event even if mailer fails', async () => {
+            mock.mockAll({ mailer: { netError: true } });
+
+            const event = await generator.createEvent({ status: 'published', applications: [] });
+            await generator.createApplication({ user_id: 1 }, event);
+
+            const res = await changeStatus(event, 'cancelled');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('cancelled');
+        });
+
+        test('should not send any mails if there are no applications', async () => {
+            const spy = jest.spyOn(mailer, 'sendMail');
+
+            const event = await generator.createEvent({ status: 'draft', applications: [] });
+            const res = await changeStatus(event, 'cancelled');
+
+            expect(res.statusCode).toEqual(200);
+            expect(spy).not.toHaveBeenCalled();
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.status).toEqual('cancelled');
+        });
+
+        test('should not allow applying to the cancelled event', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await generator.createEvent({
+                status: 'cancelled',
+                application_period_starts: moment().subtract(1, 'week').toDate(),
+                application_period_ends: moment().add(1, 'week').toDate(),
+                applications: []
+            });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: generator.generateApplication({ body_id: regularUser.bodies[0].id }, event)
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('finishing', () => {
+        test('should close open attendances and question lines', async () => {
+            const event = await generator.createEvent({ type: 'agora', status: 'ongoing', applications: [] });
+            const application = await generator.createApplication({ user_id: regularUser.id }, event);
+            const plenary = await generator.createPlenary({
+                starts: moment().subtract(1, 'hour').toDate(),
+                ends: moment().add(1, 'hour').toDate()
+            }, event);
+            const attendance = await generator.createAttendance({
+                application_id: application.id,
+                starts: moment().subtract(30, 'minutes').toDate(),
+                ends: null
+            }, plenary);
+            const questionLine = await generator.createQuestionLine({ status: 'open' }, event);
+
+            const res = await changeStatus(event, 'finished');
+
+            expect(res.statusCode).toEqual(200);
+
+            const attendanceFromDb = await Attendance.findByPk(attendance.id);
+            expect(attendanceFromDb.ends).not.toEqual(null);
+
+            const questionLineFromDb = await QuestionLine.findByPk(questionLine.id);
+            expect(questionLineFromDb.status).toEqual('closed');
+        });
+
+        test('should lock the applications for the finished event', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await generator.createEvent({
+                status: 'finished',
+                application_period_starts: moment().subtract(1, 'week').toDate(),
+                application_period_ends: moment().add(1, 'week').toDate(),
+                applications: []
+            });
+            await generator.createApplication({ user_id: regularUser.id }, event);
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/me',
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { meals: 'Carnivore' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('listing', () => {
+        test('should list ongoing and finished events along with published ones', async () => {
+            await generator.createEvent({ status: 'published' });
+            await generator.createEvent({ status: 'ongoing' });
+            await generator.createEvent({ status: 'finished' });
+            await generator.createEvent({ status: 'draft' });
+            await generator.createEvent({ status: 'cancelled' });
+
+            const res = await request({
+                uri: '/',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(3);
+        });
+
+        test('should filter events by status', async () => {
+            await generator.createEvent({ status: 'published' });
+            const ongoing = await generator.createEvent({ status: 'ongoing' });
+            await generator.createEvent({ status: 'finished' });
+
+            const res = await request({
+                uri: '/?status=ongoing',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].id).toEqual(ongoing.id);
+        });
+
+        test('should filter events by multiple statuses', async () => {
+            await generator.createEvent({ status: 'published' });
+            await generator.createEvent({ status: 'ongoing' });
+            await generator.createEvent({ status: 'finished' });
+
+            const res = await request({
+                uri: '/?status[]=ongoing&status[]=finished',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(2);
+        });
+
+        test('should not list non-public events even if asked if the user cannot manage events', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            await generator.createEvent({ status: 'draft' });
+            await generator.createEvent({ status: 'cancelled' });
+
+            const res = await request({
+                uri: '/?status[]=draft&status[]=cancelled',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(0);
+        });
+    });
+});
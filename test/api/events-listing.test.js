@@ -257,4 +257,197 @@ describe('Events listing', () => {
         expect(ids).toContain(first.id);
         expect(ids).toContain(second.id);
     });
+
+    test('should return the total count in meta', async () => {
+        await generator.createEvent({ status: 'published' });
+        await generator.createEvent({ status: 'published' });
+        await generator.createEvent({ status: 'published' });
+
+        const res = await request({
+            uri: '/?limit=2',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.length).toEqual(2);
+        expect(res.body.meta.count).toEqual(3);
+    });
+
+    test('should paginate with limit and offset', async () => {
+        const first = await generator.createEvent({ status: 'published', name: 'A' });
+        const second = await generator.createEvent({ status: 'published', name: 'B' });
+        const third = await generator.createEvent({ status: 'published', name: 'C' });
+
+        const res = await request({
+            uri: '/?sort[field]=name&sort[order]=asc&limit=2&offset=1',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.map(e => e.id)).toEqual([second.id, third.id]);
+        expect(res.body.data.map(e => e.id)).not.toContain(first.id);
+    });
+
+    test('should return 400 on invalid limit or offset', async () => {
+        for (const param of ['limit=-1', 'offset=abc']) {
+            const res = await request({
+                uri: '/?' + param,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        }
+    });
+
+    test('should sort by multiple fields', async () => {
+        const first = await generator.createEvent({ status: 'published', type: 'epm', name: 'B' });
+        const second = await generator.createEvent({ status: 'published', type: 'agora', name: 'C' });
+        const third = await generator.createEvent({ status: 'published', type: 'epm', name: 'A' });
+
+        const res = await request({
+            uri: '/?sort[0][field]=type&sort[0][order]=desc&sort[1][field]=name',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.map(e => e.id)).toEqual([third.id, first.id, second.id]);
+    });
+
+    test('should return 400 when sorting by the field not allowed', async () => {
+        const res = await request({
+            uri: '/?sort[field]=description',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('message');
+    });
+
+    test('should return 400 on invalid sorting order', async () => {
+        const res = await request({
+            uri: '/?sort[field]=name&sort[order]=random',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should filter by body_id', async () => {
+        const event = await generator.createEvent({ status: 'published', body_id: 1337 });
+        await generator.createEvent({ status: 'published', body_id: 1338 });
+
+        const res = await request({
+            uri: '/?body_id=1337',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.length).toEqual(1);
+        expect(res.body.data[0].id).toEqual(event.id);
+        expect(res.body.meta.count).toEqual(1);
+    });
+
+    test('should return 400 on invalid body_id', async () => {
+        const res = await request({
+            uri: '/?body_id=test',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should filter upcoming and past events', async () => {
+        const past = await generator.createEvent({
+            status: 'published',
+            application_period_starts: moment().subtract(7, 'week').toDate(),
+            application_period_ends: moment().subtract(6, 'week').toDate(),
+            board_approve_deadline: moment().subtract(5, 'week').toDate(),
+            participants_list_publish_deadline: moment().subtract(4, 'week').toDate(),
+            memberslist_submission_deadline: moment().subtract(3, 'week').toDate(),
+            starts: moment().subtract(2, 'week').toDate(),
+            ends: moment().subtract(1, 'week').toDate(),
+        });
+        const upcoming = await generator.createEvent({
+            status: 'published',
+            application_period_starts: moment().subtract(7, 'week').toDate(),
+            application_period_ends: moment().subtract(6, 'week').toDate(),
+            board_approve_deadline: moment().subtract(5, 'week').toDate(),
+            participants_list_publish_deadline: moment().subtract(4, 'week').toDate(),
+            memberslist_submission_deadline: moment().subtract(3, 'week').toDate(),
+            starts: moment().add(1, 'week').toDate(),
+            ends: moment().add(2, 'week').toDate()
+        });
+
+        const upcomingRes = await request({
+            uri: '/?period=upcoming',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(upcomingRes.statusCode).toEqual(200);
+        expect(upcomingRes.body.data.map(e => e.id)).toEqual([upcoming.id]);
+
+        const pastRes = await request({
+            uri: '/?period=past',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(pastRes.statusCode).toEqual(200);
+        expect(pastRes.body.data.map(e => e.id)).toEqual([past.id]);
+    });
+
+    test('should return 400 on invalid period', async () => {
+        const res = await request({
+            uri: '/?period=future',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should display drafts of the manageable types if asked', async () => {
+        const draft = await generator.createEvent({ status: 'draft', type: 'agora' });
+        await generator.createEvent({ status: 'published', type: 'agora' });
+
+        const res = await request({
+            uri: '/?status=draft',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.length).toEqual(1);
+        expect(res.body.data[0].id).toEqual(draft.id);
+    });
+
+    test('should not display drafts if the user cannot manage events', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+        await generator.createEvent({ status: 'draft', type: 'agora' });
+
+        const res = await request({
+            uri: '/?status=draft',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.length).toEqual(0);
+        expect(res.body.meta.count).toEqual(0);
+    });
 });
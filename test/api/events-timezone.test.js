@@ -0,0 +1,190 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Event } = require('../../models');
+
+describe('Events timezone', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    test('should set the default timezone if not provided', async () => {
+        const event = await generator.createEvent();
+        expect(event.timezone).toEqual('Europe/Brussels');
+    });
+
+    test('should fail on creating an event with invalid timezone', async () => {
+        const event = generator.generateEvent({ timezone: 'Mars/Olympus_Mons' });
+
+        const res = await request({
+            uri: '/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: event
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('errors');
+        expect(res.body.errors).toHaveProperty('timezone');
+    });
+
+    test('should interpret the dates without offset in the event timezone on creation', async () => {
+        const event = generator.generateEvent({
+            timezone: 'Asia/Tokyo',
+            application_period_starts: '2030-01-01T10:00:00',
+            application_period_ends: '2030-01-10T10:00:00',
+            board_approve_deadline: '2030-01-15',
+            participants_list_publish_deadline: '2030-01-20T10:00:00',
+            memberslist_submission_deadline: '2030-01-25T10:00:00',
+            starts: '2030-02-01T10:00:00',
+            ends: '2030-02-05T10:00:00'
+        });
+
+        const res = await request({
+            uri: '/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: event
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.timezone).toEqual('Asia/Tokyo');
+
+        const eventFromDb = await Event.findByPk(res.body.data.id);
+        expect(eventFromDb.application_period_starts.toISOString()).toEqual('2030-01-01T01:00:00.000Z');
+        expect(eventFromDb.board_approve_deadline.toISOString()).toEqual('2030-01-14T15:00:00.000Z');
+        expect(eventFromDb.starts.toISOString()).toEqual('2030-02-01T01:00:00.000Z');
+
+        // The day before the event start in the event timezone.
+        expect(eventFromDb.memberslist_edit_deadline.toISOString()).toEqual('2030-01-31T01:00:00.000Z');
+    });
+
+    test('should not change the dates with explicit offset', async () => {
+        const event = generator.generateEvent({
+            timezone: 'Asia/Tokyo',
+            application_period_starts: '2030-01-01T10:00:00Z',
+            application_period_ends: '2030-01-10T10:00:00Z',
+            board_approve_deadline: '2030-01-15T10:00:00Z',
+            participants_list_publish_deadline: '2030-01-20T10:00:00Z',
+            memberslist_submission_deadline: '2030-01-25T10:00:00Z',
+            starts: '2030-02-01T10:00:00Z',
+            ends: '2030-02-05T10:00:00+02:00'
+        });
+
+        const res = await request({
+            uri: '/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: event
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const eventFromDb = await Event.findByPk(res.body.data.id);
+        expect(eventFromDb.starts.toISOString()).toEqual('2030-02-01T10:00:00.000Z');
+        expect(eventFromDb.ends.toISOString()).toEqual('2030-02-05T08:00:00.000Z');
+    });
+
+    test('should use the existing event timezone on editing', async () => {
+        const event = await generator.createEvent({ timezone: 'America/New_York' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { ends: '2036-07-01T12:00:00', starts: '2036-06-25T12:00:00' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.starts.toISOString()).toEqual('2036-06-25T16:00:00.000Z');
+        expect(eventFromDb.ends.toISOString()).toEqual('2036-07-01T16:00:00.000Z');
+    });
+
+    test('should use the new event timezone on editing if provided', async () => {
+        const event = await generator.createEvent({ timezone: 'America/New_York' });
+
+        const res = await request({
+            uri: '/events/' + event.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { timezone: 'Europe/Kiev', ends: '2036-07-01T12:00:00', starts: '2036-06-25T12:00:00' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.timezone).toEqual('Europe/Kiev');
+        expect(eventFromDb.starts.toISOString()).toEqual('2036-06-25T09:00:00.000Z');
+    });
+
+    test('should interpret position dates in the event timezone', async () => {
+        const event = await generator.createEvent({ type: 'agora', timezone: 'Asia/Tokyo' });
+        const position = generator.generatePosition({
+            starts: '2030-01-01T10:00:00',
+            ends: '2030-01-10T10:00:00',
+            ends_force: '2030-01-15T10:00:00'
+        });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/positions/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: position
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.starts).toEqual('2030-01-01T01:00:00.000Z');
+        expect(res.body.data.ends).toEqual('2030-01-10T01:00:00.000Z');
+        expect(res.body.data.ends_force).toEqual('2030-01-15T01:00:00.000Z');
+    });
+
+    test('should interpret plenary dates in the event timezone', async () => {
+        const event = await generator.createEvent({ type: 'agora', timezone: 'Asia/Tokyo' });
+        const plenary = generator.generatePlenary({
+            starts: '2030-01-01T10:00:00',
+            ends: '2030-01-01T12:00:00'
+        });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/plenaries/',
+            method: 'POST',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: plenary
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.starts).toEqual('2030-01-01T01:00:00.000Z');
+        expect(res.body.data.ends).toEqual('2030-01-01T03:00:00.000Z');
+    });
+
+    test('should include the timezone in the event calendar', async () => {
+        const event = await generator.createEvent({ timezone: 'Asia/Tokyo' });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/calendar.ics',
+            method: 'GET',
+            json: false,
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body).toContain('X-WR-TIMEZONE:Asia/Tokyo');
+    });
+});
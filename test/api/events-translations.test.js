@@ -0,0 +1,332 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Event } = require('../../models');
+
+describe('Events translations', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    const createTranslatedEvent = () => generator.createEvent({
+        status: 'published',
+        name: 'Spring Agora',
+        description: 'The biggest event.',
+        locations: [
+            { id: 'l1', name: 'Main hall', position: { lat: 1, lng: 1 } },
+            { id: 'l2', name: 'Canteen', position: { lat: 2, lng: 2 } }
+        ],
+        questions: [
+            { id: 'q1', description: 'Why?', type: 'string', required: true },
+            { id: 'q2', description: 'How?', type: 'string', required: true }
+        ],
+        translations: {
+            de: {
+                name: 'Frühlings-Agora',
+                description: 'Die größte Veranstaltung.',
+                questions: { q1: 'Warum?' },
+                locations: { l1: 'Haupthalle' }
+            }
+        }
+    });
+
+    describe('validation', () => {
+        test('should fail if the language code is invalid', async () => {
+            const event = generator.generateEvent({ translations: { german: { name: 'test' } } });
+
+            const res = await request({
+                uri: '/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: event
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.errors).toHaveProperty('translations');
+        });
+
+        test('should fail if the translation is set for the default language', async () => {
+            const event = generator.generateEvent({ translations: { en: { name: 'test' } } });
+
+            const res = await request({
+                uri: '/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: event
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('translations');
+        });
+
+        test('should fail if the name is not a string', async () => {
+            const event = generator.generateEvent({ translations: { de: { name: 123 } } });
+
+            const res = await request({
+                uri: '/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: event
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('translations');
+        });
+
+        test('should fail if the locations are not an object', async () => {
+            const event = generator.generateEvent({ translations: { de: { locations: ['Haupthalle'] } } });
+
+            const res = await request({
+                uri: '/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: event
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('translations');
+        });
+
+        test('should fail if the location IDs are not unique', async () => {
+            const event = generator.generateEvent({
+                locations: [
+                    { id: 'l1', name: 'Main hall', position: { lat: 1, lng: 1 } },
+                    { id: 'l1', name: 'Canteen', position: { lat: 2, lng: 2 } }
+                ]
+            });
+
+            const res = await request({
+                uri: '/',
+                method: 'POST',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: event
+            });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.errors).toHaveProperty('locations');
+        });
+
+        test('should generate the IDs for the locations without them', async () => {
+            const event = await generator.createEvent({
+                locations: [{ name: 'Main hall', position: { lat: 1, lng: 1 } }]
+            });
+
+            expect(typeof event.locations[0].id).toEqual('string');
+            expect(event.locations[0].id.length).toBeGreaterThan(0);
+        });
+
+        test('should save valid translations on editing', async () => {
+            const event = await generator.createEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id,
+                method: 'PUT',
+                headers: { 'X-Auth-Token': 'blablabla' },
+                body: { translations: { fr: { name: 'Agora de printemps' } } }
+            });
+
+            expect(res.statusCode).toEqual(200);
+
+            const eventFromDb = await Event.findByPk(event.id);
+            expect(eventFromDb.translations.fr.name).toEqual('Agora de printemps');
+        });
+    });
+
+    describe('displaying', () => {
+        test('should display the default language if nothing is requested', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.language).toEqual('en');
+            expect(res.body.data.name).toEqual('Spring Agora');
+        });
+
+        test('should use the ?lang= query parameter', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '?lang=de',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.language).toEqual('de');
+            expect(res.body.data.name).toEqual('Frühlings-Agora');
+            expect(res.body.data.description).toEqual('Die größte Veranstaltung.');
+            expect(res.body.data).toHaveProperty('permissions');
+        });
+
+        test('should use the Accept-Language header', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla', 'Accept-Language': 'fr-FR, de-AT;q=0.8, en;q=0.5' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.language).toEqual('de');
+            expect(res.body.data.name).toEqual('Frühlings-Agora');
+        });
+
+        test('should prefer ?lang= over the Accept-Language header', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '?lang=en',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla', 'Accept-Language': 'de' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.language).toEqual('en');
+            expect(res.body.data.name).toEqual('Spring Agora');
+        });
+
+        test('should fall back to the default language if there are no translations', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '?lang=fr',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.language).toEqual('en');
+            expect(res.body.data.name).toEqual('Spring Agora');
+        });
+
+        test('should fall back to the default texts for the fields not translated', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '?lang=de',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.questions[0].description).toEqual('Warum?');
+            expect(res.body.data.questions[1].description).toEqual('How?');
+            expect(res.body.data.locations[0].name).toEqual('Haupthalle');
+            expect(res.body.data.locations[0].position).toEqual({ lat: 1, lng: 1 });
+            expect(res.body.data.locations[1].name).toEqual('Canteen');
+        });
+
+        test('should keep the location translations when the locations are reordered', async () => {
+            const event = await createTranslatedEvent();
+            await event.update({ locations: [event.locations[1], event.locations[0]] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '?lang=de',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.locations[0].name).toEqual('Canteen');
+            expect(res.body.data.locations[1].name).toEqual('Haupthalle');
+        });
+
+        test('should translate the events list', async () => {
+            await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/?lang=de',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].name).toEqual('Frühlings-Agora');
+        });
+    });
+
+    describe('missing translations', () => {
+        test('should list the missing translations for each language', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '/translations/missing',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data).toEqual({ de: ['questions.q2', 'locations.l2'] });
+        });
+
+        test('should list everything as missing for the requested language without translations', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '/translations/missing?lang=fr',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.fr).toEqual([
+                'name',
+                'description',
+                'questions.q1',
+                'questions.q2',
+                'locations.l1',
+                'locations.l2'
+            ]);
+        });
+
+        test('should return 400 for the default language', async () => {
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '/translations/missing?lang=en',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 403 if the user cannot edit the event', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const event = await createTranslatedEvent();
+
+            const res = await request({
+                uri: '/events/' + event.id + '/translations/missing',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
@@ -165,7 +165,7 @@ describe('Export all', () => {
             json: false,
             encoding: null, // make response body to Buffer.
             headers: { 'X-Auth-Token': 'blablabla', 'Content-Type': 'application/json' },
-            qs: { select: ['id', 'answers.0'] }
+            qs: { select: ['id', 'answers.' + event.questions[0].id] }
         });
 
         expect(res.statusCode).toEqual(200);
@@ -181,12 +181,12 @@ describe('Export all', () => {
         // Headers
         expect(sheet[0].length).toEqual(2);
         expect(sheet[0][0]).toEqual(fields.id);
-        expect(sheet[0][1]).toEqual(fields['answers.0']);
+        expect(sheet[0][1]).toEqual(fields['answers.' + event.questions[0].id]);
 
         // Actual data
         expect(sheet[1].length).toEqual(2);
         expect(sheet[1][0]).toEqual(helpers.beautify(application.id));
-        expect(sheet[1][1]).toEqual(helpers.beautify(application.answers[0]));
+        expect(sheet[1][1]).toEqual(helpers.beautify(application.answers[event.questions[0].id]));
     });
 
     test('should filter out selected fields on /incoming', async () => {
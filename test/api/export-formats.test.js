@@ -0,0 +1,217 @@
+const moment = require('moment-timezone');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const constants = require('../../lib/constants');
+const exporter = require('../../lib/export');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+
+describe('Export formats', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    const exportFile = (uri, qs) => request({
+        uri,
+        method: 'GET',
+        json: false,
+        encoding: null, // make response body to Buffer.
+        headers: { 'X-Auth-Token': 'blablabla', 'Content-Type': 'application/json' },
+        qs
+    });
+
+    describe('CSV escaping', () => {
+        test('should not wrap the simple values', () => {
+            expect(exporter.toCsvLine(['test', 1, true])).toEqual('test,1,true\r\n');
+        });
+
+        test('should escape commas, quotes and line breaks', () => {
+            expect(exporter.toCsvLine(['a,b', 'say "hi"', 'line\nbreak'])).toEqual('"a,b","say ""hi""","line\nbreak"\r\n');
+        });
+
+        test('should export empty values as empty strings', () => {
+            expect(exporter.toCsvLine([null, undefined, ''])).toEqual(',,\r\n');
+        });
+    });
+
+    describe('applications', () => {
+        test('should export applications as CSV', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            const application = await generator.createApplication({ user_id: 1, first_name: 'John, "Jr."' }, event);
+
+            const res = await exportFile('/events/' + event.id + '/applications/export/all', {
+                select: ['id', 'first_name'],
+                format: 'csv'
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('text/csv');
+            expect(res.headers['content-disposition']).toContain('stats.csv');
+            expect(res.body.toString()).toEqual('ID,First name\r\n' + application.id + ',"John, ""Jr."""\r\n');
+        });
+
+        test('should export applications as JSON with raw values', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            const application = await generator.createApplication({ user_id: 1, confirmed: true }, event);
+
+            const res = await exportFile('/events/' + event.id + '/applications/export/all', {
+                select: ['id', 'confirmed'],
+                format: 'json'
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('application/json');
+            expect(JSON.parse(res.body.toString())).toEqual([{ id: application.id, confirmed: true }]);
+        });
+
+        test('should export all the rows if there are more than one batch', async () => {
+            const event = await generator.createEvent({ applications: [] });
+            for (let index = 1; index <= 5; index++) {
+                await generator.createApplication({ user_id: index }, event);
+            }
+
+            const batchSize = constants.EXPORT_BATCH_SIZE;
+            constants.EXPORT_BATCH_SIZE = 2;
+
+            try {
+                const res = await exportFile('/events/' + event.id + '/applications/export/all', {
+                    select: ['id', 'user_id'],
+                    format: 'json'
+                });
+
+                expect(res.statusCode).toEqual(200);
+                expect(JSON.parse(res.body.toString()).map(row => row.user_id)).toEqual([1, 2, 3, 4, 5]);
+            } finally {
+                constants.EXPORT_BATCH_SIZE = batchSize;
+            }
+        });
+
+        test('should return 400 if the format is invalid', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/export/all?format=pdf',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body).toHaveProperty('message');
+        });
+
+        test('should return 400 if filtering by the field not visible for incoming', async () => {
+            const event = await generator.createEvent({ applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/applications/export/incoming?format=csv&select[]=id&filter[board_comment]=test',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.message).toContain('board_comment');
+        });
+    });
+
+    describe('candidates', () => {
+        test('should export candidates as CSV', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [] });
+            const position = await generator.createPosition({}, event);
+            const candidate = await generator.createCandidate({}, position);
+
+            const res = await exportFile('/events/' + event.id + '/positions/export', {
+                select: ['id'],
+                format: 'csv'
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('text/csv');
+            expect(res.body.toString()).toEqual(constants.CANDIDATE_FIELDS.id + '\r\n' + candidate.id + '\r\n');
+        });
+
+        test('should return 400 if the format is invalid', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/positions/export?format=pdf',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('plenaries', () => {
+        const createPlenaries = async (event) => {
+            await generator.createPlenary({
+                name: 'Test plenary 1',
+                starts: moment().add(1, 'week').toDate(),
+                ends: moment().add(2, 'week').toDate(),
+            }, event);
+            await generator.createPlenary({
+                name: 'Test plenary 2',
+                starts: moment().add(3, 'week').toDate(),
+                ends: moment().add(4, 'week').toDate(),
+            }, event);
+        };
+
+        test('should export plenaries stats as a ZIP of CSV files', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [] });
+            await createPlenaries(event);
+
+            const res = await exportFile('/events/' + event.id + '/plenaries/stats', { format: 'csv' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('application/zip');
+            expect(res.headers['content-disposition']).toContain('plenary.zip');
+            expect(res.body.slice(0, 2).toString()).toEqual('PK');
+        });
+
+        test('should export plenaries stats as JSON', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [] });
+            await createPlenaries(event);
+
+            const res = await exportFile('/events/' + event.id + '/plenaries/stats', { format: 'json' });
+
+            expect(res.statusCode).toEqual(200);
+
+            const sheets = JSON.parse(res.body.toString());
+            expect(sheets.length).toEqual(4); // general stats, bodies and 2 plenaries
+            sheets.forEach((sheet) => {
+                expect(sheet).toHaveProperty('name');
+                expect(Array.isArray(sheet.data)).toEqual(true);
+            });
+        });
+
+        test('should return 400 if the format is invalid', async () => {
+            const event = await generator.createEvent({ type: 'agora', applications: [] });
+
+            const res = await request({
+                uri: '/events/' + event.id + '/plenaries/stats?format=pdf',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
@@ -0,0 +1,340 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mailer = require('../../lib/mailer');
+const config = require('../../config');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { PaxLimit, PaxLimitRequest } = require('../../models');
+
+describe('Pax limits requests', () => {
+    const bodyId = regularUser.bodies[0].id;
+
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        jest.restoreAllMocks();
+    });
+
+    const submitRequest = body => request({
+        uri: '/limits/agora/requests',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    const reviewRequest = (limitRequest, body) => request({
+        uri: '/limits/agora/requests/' + limitRequest.id + '/status',
+        method: 'PUT',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body
+    });
+
+    describe('submitting', () => {
+        test('should create the request and notify CD', async () => {
+            const spy = jest.spyOn(mailer, 'sendMail');
+
+            const res = await submitRequest({ body_id: bodyId, delegate: 5, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.status).toEqual('pending');
+            expect(res.body.data.delegate).toEqual(5);
+            expect(res.body.data.visitor).toEqual(null);
+            expect(res.body.data.user_id).toEqual(regularUser.id);
+            expect(res.body.data.email).toEqual(regularUser.user.email);
+
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy.mock.calls[0][0].to).toEqual(config.cd_email);
+            expect(spy.mock.calls[0][0].template).toEqual('statutory_pax_limit_requested.html');
+        });
+
+        test('should not create the request if the mail was not sent', async () => {
+            mock.mockAll({ mailer: { netError: true } });
+
+            const res = await submitRequest({ body_id: bodyId, delegate: 5, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(500);
+            expect(await PaxLimitRequest.count()).toEqual(0);
+        });
+
+        test('should return 403 if the user is not in the board of the body', async () => {
+            const res = await submitRequest({ body_id: 1337, delegate: 5, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+            expect(res.body).toHaveProperty('message');
+        });
+
+        test('should return 403 if there is a pending request for this body already', async () => {
+            await generator.createPaxLimitRequest({ body_id: bodyId, event_type: 'agora' });
+
+            const res = await submitRequest({ body_id: bodyId, delegate: 5, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 422 if the justification is not set', async () => {
+            const res = await submitRequest({ body_id: bodyId, delegate: 5 });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.errors).toHaveProperty('justification');
+        });
+
+        test('should return 422 if nothing is requested', async () => {
+            const res = await submitRequest({ body_id: bodyId, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 422 if the amount is invalid', async () => {
+            const res = await submitRequest({ body_id: bodyId, delegate: -1, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(422);
+            expect(res.body.success).toEqual(false);
+            expect(res.body.errors).toHaveProperty('delegate');
+        });
+
+        test('should return 400 on malformed body_id', async () => {
+            const res = await submitRequest({ body_id: 'test', delegate: 5, justification: 'We are big.' });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('listing', () => {
+        test('should list the pending requests by default', async () => {
+            await generator.createPaxLimitRequest({ event_type: 'agora' });
+            await generator.createPaxLimitRequest({ event_type: 'agora', status: 'approved' });
+            await generator.createPaxLimitRequest({ event_type: 'epm' });
+
+            const res = await request({
+                uri: '/limits/agora/requests',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].status).toEqual('pending');
+        });
+
+        test('should filter the requests by status', async () => {
+            await generator.createPaxLimitRequest({ event_type: 'agora' });
+            await generator.createPaxLimitRequest({ event_type: 'agora', status: 'approved' });
+
+            const res = await request({
+                uri: '/limits/agora/requests?status=approved',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].status).toEqual('approved');
+        });
+
+        test('should return 400 on invalid status', async () => {
+            const res = await request({
+                uri: '/limits/agora/requests?status=test',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 403 if the user has no permissions', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+            const res = await request({
+                uri: '/limits/agora/requests',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should allow the requester to see their request', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'agora', user_id: regularUser.id });
+
+            const res = await request({
+                uri: '/limits/agora/requests/' + limitRequest.id,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.id).toEqual(limitRequest.id);
+        });
+
+        test('should not allow others to see the request', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'agora', user_id: 1337 });
+
+            const res = await request({
+                uri: '/limits/agora/requests/' + limitRequest.id,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 404 if the request is for another event type', async () => {
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'epm' });
+
+            const res = await request({
+                uri: '/limits/agora/requests/' + limitRequest.id,
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 on malformed request_id', async () => {
+            const res = await request({
+                uri: '/limits/agora/requests/test',
+                method: 'GET',
+                headers: { 'X-Auth-Token': 'blablabla' }
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+
+    describe('reviewing', () => {
+        test('should create the limit from the default one when approved', async () => {
+            const spy = jest.spyOn(mailer, 'sendMail');
+            const limitRequest = await generator.createPaxLimitRequest({
+                body_id: bodyId,
+                event_type: 'agora',
+                delegate: 5,
+                email: 'board@example.com'
+            });
+
+            const res = await reviewRequest(limitRequest, { status: 'approved', response: 'Sure.' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.success).toEqual(true);
+            expect(res.body.data.status).toEqual('approved');
+            expect(res.body.data.response).toEqual('Sure.');
+            expect(res.body.data.reviewed_by).toEqual(regularUser.id);
+
+            // The body is an antenna, so the rest is taken from the default limits for it.
+            const limit = await PaxLimit.findOne({ where: { body_id: bodyId, event_type: 'agora' } });
+            expect(limit.delegate).toEqual(5);
+            expect(limit.visitor).toEqual(30);
+            expect(limit.envoy).toEqual(0);
+
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy.mock.calls[0][0].to).toEqual('board@example.com');
+            expect(spy.mock.calls[0][0].template).toEqual('statutory_pax_limit_request_approved.html');
+        });
+
+        test('should update the existing limit when approved', async () => {
+            await generator.createPaxLimit({ body_id: bodyId, event_type: 'agora', delegate: 2, visitor: 10 });
+            const limitRequest = await generator.createPaxLimitRequest({
+                body_id: bodyId,
+                event_type: 'agora',
+                delegate: 4,
+                visitor: null
+            });
+
+            const res = await reviewRequest(limitRequest, { status: 'approved' });
+
+            expect(res.statusCode).toEqual(200);
+
+            const limits = await PaxLimit.findAll({ where: { body_id: bodyId, event_type: 'agora' } });
+            expect(limits.length).toEqual(1);
+            expect(limits[0].delegate).toEqual(4);
+            expect(limits[0].visitor).toEqual(10);
+        });
+
+        test('should not change the limits when rejected', async () => {
+            const spy = jest.spyOn(mailer, 'sendMail');
+            const limitRequest = await generator.createPaxLimitRequest({ body_id: bodyId, event_type: 'agora' });
+
+            const res = await reviewRequest(limitRequest, { status: 'rejected', response: 'No.' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.status).toEqual('rejected');
+            expect(await PaxLimit.count()).toEqual(0);
+            expect(spy.mock.calls[0][0].template).toEqual('statutory_pax_limit_request_rejected.html');
+        });
+
+        test('should revert everything if the mail was not sent', async () => {
+            mock.mockAll({ mailer: { netError: true } });
+            const limitRequest = await generator.createPaxLimitRequest({ body_id: bodyId, event_type: 'agora' });
+
+            const res = await reviewRequest(limitRequest, { status: 'approved' });
+
+            expect(res.statusCode).toEqual(500);
+            expect(await PaxLimit.count()).toEqual(0);
+
+            const requestFromDb = await PaxLimitRequest.findByPk(limitRequest.id);
+            expect(requestFromDb.status).toEqual('pending');
+        });
+
+        test('should return 403 if the request is already reviewed', async () => {
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'agora', status: 'rejected' });
+
+            const res = await reviewRequest(limitRequest, { status: 'approved' });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+            expect(await PaxLimit.count()).toEqual(0);
+        });
+
+        test('should return 403 if the user has no permissions', async () => {
+            mock.mockAll({ mainPermissions: { noPermissions: true } });
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'agora' });
+
+            const res = await reviewRequest(limitRequest, { status: 'approved' });
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 400 on invalid status', async () => {
+            const limitRequest = await generator.createPaxLimitRequest({ event_type: 'agora' });
+
+            const res = await reviewRequest(limitRequest, { status: 'pending' });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.success).toEqual(false);
+        });
+
+        test('should return 404 if the request is not found', async () => {
+            const res = await reviewRequest({ id: 1337 }, { status: 'approved' });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.success).toEqual(false);
+        });
+    });
+});
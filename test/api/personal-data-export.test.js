@@ -0,0 +1,113 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const regularUser = require('../assets/oms-core-valid').data;
+const { ApplicationDraft } = require('../../models');
+
+describe('Personal data export', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        await generator.clearAll();
+        mock.cleanAll();
+    });
+
+    test('should return everything stored about the user', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await generator.createApplication({ user_id: regularUser.id }, event);
+        const position = await generator.createPosition({}, event);
+        const candidate = await generator.createCandidate({ user_id: regularUser.id }, position);
+        const plenary = await generator.createPlenary({}, event);
+        const attendance = await generator.createAttendance({ application_id: application.id }, plenary);
+        const questionLine = await generator.createQuestionLine({}, event);
+        const question = await generator.createQuestion({ application_id: application.id }, questionLine);
+        await generator.createMembersList({
+            members: [
+                generator.generateMembersListMember({ user_id: regularUser.id, fee: 10 }),
+                generator.generateMembersListMember({ user_id: regularUser.id + 1 })
+            ]
+        }, event);
+
+        const otherEvent = await generator.createEvent();
+        const draft = await ApplicationDraft.create({ event_id: otherEvent.id, user_id: regularUser.id, data: { meals: 'Meat' } });
+
+        const res = await request({
+            uri: '/personal-data',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.user_id).toEqual(regularUser.id);
+
+        expect(res.body.data.applications.length).toEqual(1);
+        expect(res.body.data.applications[0].id).toEqual(application.id);
+        expect(res.body.data.applications[0].event.id).toEqual(event.id);
+
+        expect(res.body.data.drafts.map(d => d.id)).toEqual([draft.id]);
+        expect(res.body.data.candidatures.map(c => c.id)).toEqual([candidate.id]);
+        expect(res.body.data.questions.map(q => q.id)).toEqual([question.id]);
+        expect(res.body.data.attendances.map(a => a.id)).toEqual([attendance.id]);
+
+        expect(res.body.data.memberslists.length).toEqual(1);
+        expect(res.body.data.memberslists[0].event_id).toEqual(event.id);
+        expect(res.body.data.memberslists[0].user_id).toEqual(regularUser.id);
+        expect(res.body.data.memberslists[0].fee).toEqual(10);
+    });
+
+    test('should not return the data of other users', async () => {
+        const event = await generator.createEvent({ type: 'agora' });
+        const application = await generator.createApplication({ user_id: regularUser.id + 1 }, event);
+        const position = await generator.createPosition({}, event);
+        await generator.createCandidate({ user_id: regularUser.id + 1 }, position);
+        const questionLine = await generator.createQuestionLine({}, event);
+        await generator.createQuestion({ application_id: application.id }, questionLine);
+        await generator.createMembersList({
+            members: [generator.generateMembersListMember({ user_id: regularUser.id + 1 })]
+        }, event);
+
+        const res = await request({
+            uri: '/personal-data',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.applications).toEqual([]);
+        expect(res.body.data.drafts).toEqual([]);
+        expect(res.body.data.candidatures).toEqual([]);
+        expect(res.body.data.questions).toEqual([]);
+        expect(res.body.data.attendances).toEqual([]);
+        expect(res.body.data.memberslists).toEqual([]);
+    });
+
+    test('should return 401 if the user is not authorized', async () => {
+        mock.cleanAll();
+        mock.mockAll({
+            core: { unauthorized: true },
+            mainPermissions: { unauthorized: true },
+            approvePermissions: { unauthorized: true }
+        });
+
+        const res = await request({
+            uri: '/personal-data',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(401);
+        expect(res.body.success).toEqual(false);
+    });
+});
@@ -0,0 +1,263 @@
+const path = require('path');
+const { copyFileSync } = require('fs');
+const moment = require('moment');
+
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const cron = require('../../lib/cron');
+const fs = require('../../lib/fs');
+const config = require('../../config');
+const {
+    Event,
+    Application,
+    ApplicationChange,
+    ApplicationDraft,
+    Image
+} = require('../../models');
+
+describe('Personal data retention', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+        cron.clearAll();
+        config.retention.schedule = false;
+    });
+
+    // The event is created with the dates in the future, so moving them to the past afterwards.
+    const createEndedEvent = async (daysAgo, options = {}) => {
+        const event = await generator.createEvent(options);
+        await Event.update({
+            starts: moment().subtract(daysAgo + 3, 'days').toDate(),
+            ends: moment().subtract(daysAgo, 'days').toDate()
+        }, { where: { id: event.id }, validate: false, hooks: false });
+
+        return event;
+    };
+
+    const createApplicationWithVisa = event => generator.createApplication({
+        visa_required: true,
+        visa_passport_number: 'AB123456',
+        allergies: 'Nuts'
+    }, event);
+
+    // The file uploaded as an answer, stored the same way as the uploaded ones.
+    const createAnswerFile = async (userId, fileName) => {
+        if (!fs.existsSync(config.images_dir)) {
+            await fs.mkdir(config.images_dir, { recursive: true });
+        }
+
+        copyFileSync('./test/assets/valid_image.png', path.join(config.images_dir, fileName));
+
+        return Image.create({ user_id: userId, file_name: fileName, file_folder: config.images_dir });
+    };
+
+    const createEventWithFileQuestion = () => createEndedEvent(config.retention.days + 1, {
+        questions: [
+            { type: 'string', description: 'Motivation', required: true },
+            { type: 'file', description: 'Passport scan', required: false }
+        ]
+    });
+
+    const anonymise = dryRun => cron.JOB_TYPES.ANONYMISE_APPLICATIONS.callback({ dryRun });
+
+    test('should only report and not change anything on dry run', async () => {
+        const event = await createEndedEvent(config.retention.days + 1);
+        const application = await createApplicationWithVisa(event);
+
+        const report = await anonymise(true);
+
+        expect(report.days).toEqual(config.retention.days);
+        expect(report.fields).toContain('visa_passport_number');
+        expect(report.events.length).toEqual(1);
+        expect(report.events[0].id).toEqual(event.id);
+        expect(report.events[0].applications).toEqual(1);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.visa_passport_number).toEqual('AB123456');
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.anonymised_at).toEqual(null);
+    });
+
+    test('should remove the personal data of the applications', async () => {
+        const event = await createEndedEvent(config.retention.days + 1);
+        const application = await createApplicationWithVisa(event);
+
+        await anonymise(false);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.visa_passport_number).toEqual(null);
+        expect(applicationFromDb.visa_embassy).toEqual(null);
+        expect(applicationFromDb.allergies).toEqual(null);
+        expect(applicationFromDb.date_of_birth).toEqual('');
+        expect(applicationFromDb.first_name).toEqual(application.first_name);
+
+        const eventFromDb = await Event.findByPk(event.id);
+        expect(eventFromDb.anonymised_at).not.toEqual(null);
+    });
+
+    test('should remove the personal data from the history and the drafts', async () => {
+        const event = await createEndedEvent(config.retention.days + 1);
+        const application = await createApplicationWithVisa(event);
+        await application.update({ visa_passport_number: 'CD654321' });
+        await ApplicationDraft.create({ event_id: event.id, user_id: 1337, data: { visa_passport_number: 'EF000000' } });
+
+        await anonymise(false);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: application.id } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].old_value).toEqual(null);
+        expect(changes[0].new_value).toEqual(null);
+
+        const draftsCount = await ApplicationDraft.count({ where: { event_id: event.id } });
+        expect(draftsCount).toEqual(0);
+    });
+
+    test('should remove the answers', async () => {
+        const event = await createEventWithFileQuestion();
+        const application = await generator.createApplication({
+            answers: { [event.questions[0].id]: 'I live in Brussels', [event.questions[1].id]: null }
+        }, event);
+
+        const report = await anonymise(false);
+        expect(report.fields).toContain('answers');
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.answers).toEqual({});
+    });
+
+    test('should remove the files uploaded as answers', async () => {
+        const event = await createEventWithFileQuestion();
+        const file = await createAnswerFile(1, 'passport.png');
+        const draftFile = await createAnswerFile(2, 'draft-passport.png');
+        await generator.createApplication({
+            user_id: 1,
+            answers: { [event.questions[0].id]: 'Motivation', [event.questions[1].id]: file.id }
+        }, event);
+        await ApplicationDraft.create({ event_id: event.id, user_id: 2, data: { answers: { [event.questions[1].id]: draftFile.id } } });
+        const otherFile = await createAnswerFile(3, 'other.png');
+
+        await anonymise(false);
+
+        expect(await Image.findByPk(file.id)).toEqual(null);
+        expect(await Image.findByPk(draftFile.id)).toEqual(null);
+        expect(fs.existsSync(file.file_path_absolute)).toEqual(false);
+        expect(fs.existsSync(draftFile.file_path_absolute)).toEqual(false);
+
+        // Other files are not touched.
+        expect(await Image.findByPk(otherFile.id)).not.toEqual(null);
+        expect(fs.existsSync(otherFile.file_path_absolute)).toEqual(true);
+
+        await fs.rimraf(config.images_dir);
+    });
+
+    test('should remove the answers and the replaced files from the history', async () => {
+        const event = await createEventWithFileQuestion();
+        const oldFile = await createAnswerFile(1, 'old-passport.png');
+        const newFile = await createAnswerFile(1, 'new-passport.png');
+        const application = await generator.createApplication({
+            user_id: 1,
+            answers: { [event.questions[0].id]: 'Motivation', [event.questions[1].id]: oldFile.id }
+        }, event);
+        await application.update({ answers: { [event.questions[0].id]: 'Motivation', [event.questions[1].id]: newFile.id } });
+
+        await anonymise(false);
+
+        const changes = await ApplicationChange.findAll({ where: { application_id: application.id, field: 'answers' } });
+        expect(changes.length).toEqual(1);
+        expect(changes[0].old_value).toEqual(null);
+        expect(changes[0].new_value).toEqual(null);
+
+        expect(await Image.count({ where: { id: [oldFile.id, newFile.id] } })).toEqual(0);
+        expect(fs.existsSync(oldFile.file_path_absolute)).toEqual(false);
+
+        await fs.rimraf(config.images_dir);
+    });
+
+    test('should not touch the events that ended recently', async () => {
+        const event = await createEndedEvent(config.retention.days - 1);
+        const application = await createApplicationWithVisa(event);
+
+        const report = await anonymise(false);
+        expect(report.events.length).toEqual(0);
+
+        const applicationFromDb = await Application.findByPk(application.id);
+        expect(applicationFromDb.visa_passport_number).toEqual('AB123456');
+    });
+
+    test('should not report the events that were already anonymised', async () => {
+        await createEndedEvent(config.retention.days + 1);
+
+        await anonymise(false);
+        const report = await anonymise(true);
+
+        expect(report.events.length).toEqual(0);
+    });
+
+    test('should schedule the recurring job if the schedule is set', async () => {
+        config.retention.schedule = '0 3 * * *';
+
+        const id = cron.registerRetentionJob();
+
+        expect(cron.jobs[id].key).toEqual(cron.JOB_TYPES.ANONYMISE_APPLICATIONS.key);
+        expect(cron.jobs[id].recurring).toEqual(true);
+        expect(cron.jobs[id].params).toEqual({ dryRun: config.retention.dry_run });
+    });
+
+    test('should keep the recurring job after executing it', async () => {
+        config.retention.schedule = '0 3 * * *';
+
+        const id = cron.registerRetentionJob();
+        await cron.executeJob(id);
+
+        expect(cron.jobs).toHaveProperty(String(id));
+    });
+
+    test('should not schedule the job if the schedule is not set', async () => {
+        const id = cron.registerRetentionJob();
+
+        expect(id).toEqual(null);
+        expect(Object.keys(cron.jobs).length).toEqual(0);
+    });
+
+    test('should display the report to the users who can see background tasks', async () => {
+        const event = await createEndedEvent(config.retention.days + 1);
+
+        const res = await request({
+            uri: '/tasks/retention',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.events.map(e => e.id)).toEqual([event.id]);
+    });
+
+    test('should not display the report to the users who cannot see background tasks', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const res = await request({
+            uri: '/tasks/retention',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+});
@@ -1,5 +1,5 @@
 const xlsx = require('node-xlsx');
-const moment = require('moment');
+const moment = require('moment-timezone');
 
 const { startServer, stopServer } = require('../../lib/server.js');
 const { request } = require('../scripts/helpers');
@@ -105,8 +105,8 @@ describe('Plenaries exports', () => {
 
         const plenarySheetData = plenaryDetailsSheet.data;
         expect(plenarySheetData[0][1]).toEqual(plenary.name); // B1
-        expect(plenarySheetData[1][1]).toEqual(moment(plenary.starts).format('YYYY-MM-DD HH:mm:ss')); // B2
-        expect(plenarySheetData[2][1]).toEqual(moment(plenary.ends).format('YYYY-MM-DD HH:mm:ss')); // B3
+        expect(plenarySheetData[1][1]).toEqual(moment.tz(plenary.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss')); // B2
+        expect(plenarySheetData[2][1]).toEqual(moment.tz(plenary.ends, event.timezone).format('YYYY-MM-DD HH:mm:ss')); // B3
         expect(plenarySheetData[3][1]).toEqual(3600.0.toFixed(2)); // B4
     });
 
@@ -158,18 +158,18 @@ describe('Plenaries exports', () => {
         const plenarySheetData = plenaryDetailsSheet.data;
         expect(plenarySheetData.length).toEqual(9); // 4 plenary details, empty line, headers, 3 attendances
 
-        expect(plenarySheetData[6][3]).toEqual(moment(firstAttendance.starts).format('YYYY-MM-DD HH:mm:ss'));
-        expect(plenarySheetData[6][4]).toEqual(moment(firstAttendance.ends).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[6][3]).toEqual(moment.tz(firstAttendance.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[6][4]).toEqual(moment.tz(firstAttendance.ends, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
         expect(plenarySheetData[6][5]).toEqual(60.0.toFixed(2)); // only 60 seconds tracked
         expect(plenarySheetData[6][6]).toEqual((60 / 3600 * 100).toFixed(2) + '%');
 
-        expect(plenarySheetData[7][3]).toEqual(moment(secondAttendance.starts).format('YYYY-MM-DD HH:mm:ss'));
-        expect(plenarySheetData[7][4]).toEqual(moment(secondAttendance.ends).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[7][3]).toEqual(moment.tz(secondAttendance.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[7][4]).toEqual(moment.tz(secondAttendance.ends, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
         expect(plenarySheetData[7][5]).toEqual(120.0.toFixed(2)); // all 2 minutes tracked
         expect(plenarySheetData[7][6]).toEqual((120 / 3600 * 100).toFixed(2) + '%');
 
-        expect(plenarySheetData[8][3]).toEqual(moment(thirdAttendance.starts).format('YYYY-MM-DD HH:mm:ss'));
-        expect(plenarySheetData[8][4]).toEqual(moment(thirdAttendance.ends).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[8][3]).toEqual(moment.tz(thirdAttendance.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[8][4]).toEqual(moment.tz(thirdAttendance.ends, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
         expect(plenarySheetData[8][5]).toEqual(60.0.toFixed(2)); // 60 seconds tracked
         expect(plenarySheetData[8][6]).toEqual((60 / 3600 * 100).toFixed(2) + '%');
     });
@@ -208,7 +208,7 @@ describe('Plenaries exports', () => {
         const plenarySheetData = plenaryDetailsSheet.data;
         expect(plenarySheetData.length).toEqual(7); // 4 plenary details, empty line, headers, 1 attendance
 
-        expect(plenarySheetData[6][3]).toEqual(moment(attendance.starts).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[6][3]).toEqual(moment.tz(attendance.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
         expect(plenarySheetData[6][4]).toBeUndefined();
         expect(plenarySheetData[6][5]).toEqual('0.00'); // only 60 seconds tracked
         expect(plenarySheetData[6][6]).toEqual('0.00%');
@@ -248,8 +248,8 @@ describe('Plenaries exports', () => {
         const plenarySheetData = plenaryDetailsSheet.data;
         expect(plenarySheetData.length).toEqual(7); // 4 plenary details, empty line, headers, 1 attendance
 
-        expect(plenarySheetData[6][3]).toEqual(moment(attendance.starts).format('YYYY-MM-DD HH:mm:ss'));
-        expect(plenarySheetData[6][4]).toEqual(moment(attendance.ends).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[6][3]).toEqual(moment.tz(attendance.starts, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
+        expect(plenarySheetData[6][4]).toEqual(moment.tz(attendance.ends, event.timezone).format('YYYY-MM-DD HH:mm:ss'));
         expect(plenarySheetData[6][5]).toEqual('0.00'); // only 60 seconds tracked
         expect(plenarySheetData[6][6]).toEqual('0.00%');
     });
@@ -0,0 +1,199 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+
+describe('Sessions creation', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    const createEvent = (options = {}) => generator.createEvent(Object.assign({
+        type: 'agora',
+        applications: [],
+        timezone: 'Europe/Brussels',
+        locations: [{ id: 'l1', name: 'Main hall', position: { lat: 1, lng: 1 } }],
+        application_period_starts: '2030-01-01T10:00:00Z',
+        application_period_ends: '2030-01-10T10:00:00Z',
+        board_approve_deadline: '2030-01-15T10:00:00Z',
+        participants_list_publish_deadline: '2030-01-20T10:00:00Z',
+        memberslist_submission_deadline: '2030-01-25T10:00:00Z',
+        starts: '2030-03-01T08:00:00Z',
+        ends: '2030-03-05T20:00:00Z'
+    }, options));
+
+    const createSession = (event, session) => request({
+        uri: '/events/' + event.id + '/sessions',
+        method: 'POST',
+        headers: { 'X-Auth-Token': 'blablabla' },
+        body: session
+    });
+
+    test('should create a session', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({
+            name: 'Opening plenary',
+            room: 'Room 101',
+            location_id: 'l1'
+        }, event));
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.event_id).toEqual(event.id);
+        expect(res.body.data.name).toEqual('Opening plenary');
+        expect(res.body.data.room).toEqual('Room 101');
+        expect(res.body.data.location_id).toEqual('l1');
+    });
+
+    test('should interpret the dates without offset in the event timezone', async () => {
+        const event = await createEvent({ timezone: 'Asia/Tokyo' });
+        const res = await createSession(event, generator.generateSession({
+            starts: '2030-03-02T10:00:00',
+            ends: '2030-03-02T12:00:00'
+        }, event));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.starts).toEqual('2030-03-02T01:00:00.000Z');
+        expect(res.body.data.ends).toEqual('2030-03-02T03:00:00.000Z');
+    });
+
+    test('should fail if the name is not set', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({ name: '' }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('name');
+    });
+
+    test('should fail if the type is invalid', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({ type: 'party' }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('type');
+    });
+
+    test('should fail if the session ends before it starts', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({
+            starts: '2030-03-02T12:00:00Z',
+            ends: '2030-03-02T10:00:00Z'
+        }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('ends');
+    });
+
+    test('should fail if the session starts before the event', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({
+            starts: '2030-02-28T10:00:00Z',
+            ends: '2030-03-01T10:00:00Z'
+        }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body).toHaveProperty('errors');
+        expect(res.body.errors).toHaveProperty('starts');
+    });
+
+    test('should fail if the session ends after the event', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({
+            starts: '2030-03-05T19:00:00Z',
+            ends: '2030-03-05T21:00:00Z'
+        }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('ends');
+    });
+
+    test('should fail if the location does not exist', async () => {
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({ location_id: 'l2' }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('location_id');
+    });
+
+    test('should link the session to the plenary of the event', async () => {
+        const event = await createEvent();
+        const plenary = await generator.createPlenary({}, event);
+        const res = await createSession(event, generator.generateSession({ type: 'plenary', plenary_id: plenary.id }, event));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.plenary_id).toEqual(plenary.id);
+    });
+
+    test('should fail if the plenary is from another event', async () => {
+        const event = await createEvent();
+        const otherEvent = await createEvent();
+        const plenary = await generator.createPlenary({}, otherEvent);
+        const res = await createSession(event, generator.generateSession({ plenary_id: plenary.id }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('plenary_id');
+    });
+
+    test('should link the session to the position of the event', async () => {
+        const event = await createEvent();
+        const position = await generator.createPosition({}, event);
+        const res = await createSession(event, generator.generateSession({ position_id: position.id }, event));
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.position_id).toEqual(position.id);
+    });
+
+    test('should fail if the position is from another event', async () => {
+        const event = await createEvent();
+        const otherEvent = await createEvent();
+        const position = await generator.createPosition({}, otherEvent);
+        const res = await createSession(event, generator.generateSession({ position_id: position.id }, event));
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('position_id');
+    });
+
+    test('should return 403 if the user cannot manage sessions', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({}, event));
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 401 if the user is not authorized', async () => {
+        mock.mockAll({
+            core: { unauthorized: true },
+            mainPermissions: { unauthorized: true },
+            approvePermissions: { unauthorized: true },
+        });
+
+        const event = await createEvent();
+        const res = await createSession(event, generator.generateSession({}, event));
+
+        expect(res.statusCode).toEqual(401);
+        expect(res.body.success).toEqual(false);
+    });
+});
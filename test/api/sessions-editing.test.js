@@ -0,0 +1,187 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+const { Session } = require('../../models');
+
+describe('Sessions editing', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    test('should edit the session', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({ name: 'Lunch', type: 'meal' }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Dinner', room: 'Canteen' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.name).toEqual('Dinner');
+        expect(res.body.data.room).toEqual('Canteen');
+
+        const sessionFromDb = await Session.findByPk(session.id);
+        expect(sessionFromDb.name).toEqual('Dinner');
+    });
+
+    test('should not move the session to another event', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        const otherEvent = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { event_id: otherEvent.id }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const sessionFromDb = await Session.findByPk(session.id);
+        expect(sessionFromDb.event_id).toEqual(event.id);
+    });
+
+    test('should fail if the session is moved outside of the event', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { ends: new Date(event.ends.getTime() + 60 * 60 * 1000) }
+        });
+
+        expect(res.statusCode).toEqual(422);
+        expect(res.body.success).toEqual(false);
+        expect(res.body.errors).toHaveProperty('ends');
+    });
+
+    test('should return 404 if the session is from another event', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        const otherEvent = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, otherEvent);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Test' }
+        });
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 400 if the session ID is invalid', async () => {
+        const event = await generator.createEvent({ applications: [] });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/invalid',
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Test' }
+        });
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should return 403 on editing if the user cannot manage sessions', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Test' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should not allow editing sessions of the archived event', async () => {
+        const event = await generator.createEvent({ applications: [], status: 'archived' });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'PUT',
+            headers: { 'X-Auth-Token': 'blablabla' },
+            body: { name: 'Test' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body.success).toEqual(false);
+    });
+
+    test('should delete the session', async () => {
+        const event = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body).toHaveProperty('message');
+
+        const sessionFromDb = await Session.findByPk(session.id);
+        expect(sessionFromDb).toEqual(null);
+    });
+
+    test('should return 403 on deleting if the user cannot manage sessions', async () => {
+        mock.mockAll({ mainPermissions: { noPermissions: true } });
+
+        const event = await generator.createEvent({ applications: [] });
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/' + session.id,
+            method: 'DELETE',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(403);
+
+        const sessionFromDb = await Session.findByPk(session.id);
+        expect(sessionFromDb).not.toEqual(null);
+    });
+
+    test('should unlink the session if the plenary is deleted', async () => {
+        const event = await generator.createEvent({ type: 'agora', applications: [] });
+        const plenary = await generator.createPlenary({}, event);
+        const session = await generator.createSession({ plenary_id: plenary.id }, event);
+
+        await plenary.destroy();
+
+        const sessionFromDb = await Session.findByPk(session.id);
+        expect(sessionFromDb.plenary_id).toEqual(null);
+    });
+});
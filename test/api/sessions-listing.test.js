@@ -0,0 +1,197 @@
+const { startServer, stopServer } = require('../../lib/server.js');
+const { request } = require('../scripts/helpers');
+const mock = require('../scripts/mock-core-registry');
+const generator = require('../scripts/generator');
+
+describe('Sessions listing', () => {
+    beforeAll(async () => {
+        await startServer();
+    });
+
+    afterAll(async () => {
+        await stopServer();
+    });
+
+    beforeEach(async () => {
+        mock.mockAll();
+    });
+
+    afterEach(async () => {
+        mock.cleanAll();
+        await generator.clearAll();
+    });
+
+    // Calendar lines longer than 75 characters are split.
+    const unfold = body => body.replace(/\r\n /g, '');
+
+    const createEvent = () => generator.createEvent({
+        applications: [],
+        locations: [{ id: 'l1', name: 'Main hall', position: { lat: 1, lng: 1 } }],
+        translations: { de: { locations: { l1: 'Haupthalle' } } },
+        application_period_starts: '2030-01-01T10:00:00Z',
+        application_period_ends: '2030-01-10T10:00:00Z',
+        board_approve_deadline: '2030-01-15T10:00:00Z',
+        participants_list_publish_deadline: '2030-01-20T10:00:00Z',
+        memberslist_submission_deadline: '2030-01-25T10:00:00Z',
+        starts: '2030-03-01T08:00:00Z',
+        ends: '2030-03-05T20:00:00Z'
+    });
+
+    test('should list the sessions without authorization', async () => {
+        mock.mockAll({
+            core: { unauthorized: true },
+            mainPermissions: { unauthorized: true },
+            approvePermissions: { unauthorized: true },
+        });
+
+        const event = await createEvent();
+        const session = await generator.createSession({}, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions',
+            method: 'GET'
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.success).toEqual(true);
+        expect(res.body.data.length).toEqual(1);
+        expect(res.body.data[0].id).toEqual(session.id);
+    });
+
+    test('should list the sessions ordered by start date', async () => {
+        const event = await createEvent();
+        const second = await generator.createSession({ starts: '2030-03-02T10:00:00Z', ends: '2030-03-02T12:00:00Z' }, event);
+        const first = await generator.createSession({ starts: '2030-03-01T10:00:00Z', ends: '2030-03-01T12:00:00Z' }, event);
+        await generator.createSession({}, await createEvent());
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.map(s => s.id)).toEqual([first.id, second.id]);
+    });
+
+    test('should filter the sessions by type', async () => {
+        const event = await createEvent();
+        const meal = await generator.createSession({ type: 'meal' }, event);
+        await generator.createSession({ type: 'workshop' }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions?type=meal',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.length).toEqual(1);
+        expect(res.body.data[0].id).toEqual(meal.id);
+    });
+
+    test('should include the linked location', async () => {
+        const event = await createEvent();
+        await generator.createSession({ location_id: 'l1' }, event);
+        await generator.createSession({ location_id: null }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+
+        const locations = res.body.data.map(s => s.location);
+        expect(locations).toContainEqual({ id: 'l1', name: 'Main hall', position: { lat: 1, lng: 1 } });
+        expect(locations).toContainEqual(null);
+    });
+
+    test('should keep the linked location when the locations are reordered', async () => {
+        const event = await createEvent();
+        await generator.createSession({ location_id: 'l1' }, event);
+        await event.update({
+            locations: [{ id: 'l2', name: 'Canteen', position: { lat: 2, lng: 2 } }, event.locations[0]]
+        });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data[0].location.name).toEqual('Main hall');
+    });
+
+    test('should not link the session to another location if its location was removed', async () => {
+        const event = await createEvent();
+        await generator.createSession({ location_id: 'l1' }, event);
+        await event.update({ locations: [{ id: 'l2', name: 'Canteen', position: { lat: 2, lng: 2 } }] });
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data[0].location).toEqual(null);
+    });
+
+    test('should translate the linked location', async () => {
+        const event = await createEvent();
+        await generator.createSession({ location_id: 'l1' }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions?lang=de',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data[0].location.name).toEqual('Haupthalle');
+    });
+
+    test('should export the sessions as a calendar', async () => {
+        const event = await createEvent();
+        const session = await generator.createSession({
+            name: 'Opening plenary',
+            description: 'The very first one',
+            room: 'Room 101',
+            location_id: 'l1',
+            starts: '2030-03-01T10:00:00Z',
+            ends: '2030-03-01T12:00:00Z'
+        }, event);
+
+        const res = await request({
+            uri: '/events/' + event.id + '/sessions/calendar.ics',
+            method: 'GET',
+            json: false
+        });
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.headers['content-type']).toContain('text/calendar');
+
+        const body = unfold(res.body);
+        expect(body).toContain('BEGIN:VCALENDAR');
+        expect(body).toContain(`UID:${event.url}-session-${session.id}@`);
+        expect(body).toContain('DTSTART:20300301T100000Z');
+        expect(body).toContain('DTEND:20300301T120000Z');
+        expect(body).toContain('Opening plenary');
+        expect(body).toContain('DESCRIPTION:The very first one');
+        expect(body).toContain('LOCATION:Room 101\\, Main hall');
+    });
+
+    test('should return 404 for non-existing event', async () => {
+        const res = await request({
+            uri: '/events/1337/sessions',
+            method: 'GET',
+            headers: { 'X-Auth-Token': 'blablabla' }
+        });
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body.success).toEqual(false);
+    });
+});
@@ -1,4 +1,4 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
 const tk = require('timekeeper');
 
 const { startServer, stopServer } = require('../../lib/server.js');
@@ -28,6 +28,9 @@ describe('Statistics testing', () => {
         await generator.clearAll();
     });
 
+    // The stats are grouped by the dates in the event's timezone.
+    const formatDate = date => moment.tz(date, event.timezone).format('YYYY-MM-DD');
+
     test('should return nothing if no applications', async () => {
         const res = await request({
             uri: '/events/' + event.id + '/applications/stats',
@@ -81,8 +84,8 @@ describe('Statistics testing', () => {
         expect(res.body).not.toHaveProperty('errors');
         expect(res.body).toHaveProperty('data');
         expect(Object.keys(res.body.data.by_date).length).toEqual(2);
-        expect(res.body.data.by_date.find(d => d.date === moment(firstPax.created_at).format('YYYY-MM-DD')).value).toEqual(1);
-        expect(res.body.data.by_date.find(d => d.date === moment(secondPax.created_at).format('YYYY-MM-DD')).value).toEqual(1);
+        expect(res.body.data.by_date.find(d => d.date === formatDate(firstPax.created_at)).value).toEqual(1);
+        expect(res.body.data.by_date.find(d => d.date === formatDate(secondPax.created_at)).value).toEqual(1);
     });
 
     test('should work in a proper way by date cumulative', async () => {
@@ -103,8 +106,8 @@ describe('Statistics testing', () => {
         expect(res.body).not.toHaveProperty('errors');
         expect(res.body).toHaveProperty('data');
         expect(Object.keys(res.body.data.by_date_cumulative).length).toEqual(2);
-        expect(res.body.data.by_date_cumulative.find(d => d.date === moment(firstPax.created_at).format('YYYY-MM-DD')).value).toEqual(1);
-        expect(res.body.data.by_date_cumulative.find(d => d.date === moment(secondPax.created_at).format('YYYY-MM-DD')).value).toEqual(2);
+        expect(res.body.data.by_date_cumulative.find(d => d.date === formatDate(firstPax.created_at)).value).toEqual(1);
+        expect(res.body.data.by_date_cumulative.find(d => d.date === formatDate(secondPax.created_at)).value).toEqual(2);
     });
 
     test('should work in a proper way by body', async () => {
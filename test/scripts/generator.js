@@ -6,6 +6,7 @@ const {
     Application,
     MembersList,
     PaxLimit,
+    PaxLimitRequest,
     VotesPerAntenna,
     VotesPerDelegate,
     Position,
@@ -13,7 +14,10 @@ const {
     Plenary,
     Attendance,
     QuestionLine,
-    Question
+    Question,
+    Session,
+    ApplicationChange,
+    ApplicationDraft
 } = require('../../models');
 
 const notSet = field => typeof field === 'undefined';
@@ -64,7 +68,7 @@ exports.generateQuestionForEvent = (options = {}) => {
     if (notSet(options.description)) options.description = faker.lorem.sentence();
     if (notSet(options.required)) options.required = true;
     if (notSet(options.type)) options.type = 'string';
-    if (notSet(options.values) && options.type === 'select') options.values = ['First', 'Second'];
+    if (notSet(options.values) && ['select', 'multiselect'].includes(options.type)) options.values = ['First', 'Second'];
 
     return options;
 };
@@ -92,8 +96,10 @@ exports.generateApplication = (options = {}, event = null) => {
     if (notSet(options.meals)) options.meals = faker.lorem.sentence();
     if (notSet(options.number_of_events_visited)) options.number_of_events_visited = faker.random.number({ min: 0, max: 100 });
 
-    if (notSet(options.answers)) {
-        const answersCount = event ? event.questions.length : Math.round(Math.random() * 5) + 1; // from 1 to 6
+    if (notSet(options.answers) && event) {
+        options.answers = event.questions.reduce((acc, question) => Object.assign(acc, { [question.id]: faker.lorem.sentence() }), {});
+    } else if (notSet(options.answers)) {
+        const answersCount = Math.round(Math.random() * 5) + 1; // from 1 to 6
         options.answers = Array.from({ length: answersCount }, () => faker.lorem.sentence());
     }
 
@@ -143,6 +149,18 @@ exports.generatePaxLimit = (options = {}) => {
     return options;
 };
 
+exports.generatePaxLimitRequest = (options = {}) => {
+    if (notSet(options.body_id)) options.body_id = faker.random.number(100);
+    if (notSet(options.delegate)) options.delegate = faker.random.number(100);
+    if (notSet(options.event_type)) options.event_type = faker.random.arrayElement(['agora', 'epm']);
+    if (notSet(options.justification)) options.justification = faker.lorem.paragraph();
+    if (notSet(options.user_id)) options.user_id = faker.random.number(100);
+    if (notSet(options.user_name)) options.user_name = faker.name.findName();
+    if (notSet(options.email)) options.email = faker.internet.email();
+
+    return options;
+};
+
 exports.generatePosition = (options = {}, event = null) => {
     if (notSet(options.name)) options.name = faker.lorem.sentence();
     if (notSet(options.places)) options.places = faker.random.number({ min: 1, max: 10 });
@@ -226,6 +244,24 @@ exports.generatePlenary = (options = {}, event = null) => {
     return options;
 };
 
+exports.generateSession = (options = {}, event = null) => {
+    if (notSet(options.name)) options.name = faker.lorem.sentence();
+    if (notSet(options.type)) options.type = faker.random.arrayElement(['plenary', 'workshop', 'meal', 'other']);
+
+    // The session should be within the event, so using its dates if possible.
+    if (event && event.id) {
+        options.event_id = event.id;
+
+        if (notSet(options.starts)) options.starts = event.starts;
+        if (notSet(options.ends)) options.ends = moment(event.starts).add(moment(event.ends).diff(event.starts) / 2).toDate();
+    }
+
+    if (notSet(options.starts)) options.starts = faker.date.future();
+    if (notSet(options.ends)) options.ends = faker.date.future(null, options.starts);
+
+    return options;
+};
+
 exports.generateAttendance = (options = {}, plenary = null) => {
     if (notSet(options.starts)) options.starts = faker.date.future();
     if (notSet(options.ends)) options.ends = faker.date.future(null, options.starts);
@@ -253,6 +289,10 @@ exports.createPaxLimit = (options = {}) => {
     return PaxLimit.create(exports.generatePaxLimit(options));
 };
 
+exports.createPaxLimitRequest = (options = {}) => {
+    return PaxLimitRequest.create(exports.generatePaxLimitRequest(options));
+};
+
 exports.createPosition = (options = {}, event = null) => {
     return Position.create(exports.generatePosition(options, event), { include: [Candidate] });
 };
@@ -265,6 +305,10 @@ exports.createPlenary = (options = {}, plenary = null) => {
     return Plenary.create(exports.generatePlenary(options, plenary), { include: [Attendance] });
 };
 
+exports.createSession = (options = {}, event = null) => {
+    return Session.create(exports.generateSession(options, event));
+};
+
 exports.createAttendance = (options = {}, attendance = null) => {
     return Attendance.create(exports.generateAttendance(options, attendance));
 };
@@ -278,6 +322,7 @@ exports.createQuestion = (options = {}, questionLine = null) => {
 };
 
 exports.clearAll = async () => {
+    await Session.destroy({ where: {}, truncate: { cascade: true } });
     await Question.destroy({ where: {}, truncate: { cascade: true } });
     await QuestionLine.destroy({ where: {}, truncate: { cascade: true } });
     await Attendance.destroy({ where: {}, truncate: { cascade: true } });
@@ -287,7 +332,10 @@ exports.clearAll = async () => {
     await VotesPerDelegate.destroy({ where: {}, truncate: { cascade: true } });
     await VotesPerAntenna.destroy({ where: {}, truncate: { cascade: true } });
     await MembersList.destroy({ where: {}, truncate: { cascade: true } });
+    await ApplicationChange.destroy({ where: {}, truncate: { cascade: true } });
+    await ApplicationDraft.destroy({ where: {}, truncate: { cascade: true } });
     await Application.destroy({ where: {}, truncate: { cascade: true } });
     await Event.destroy({ where: {}, truncate: { cascade: true } });
     await PaxLimit.destroy({ where: {}, truncate: { cascade: true } });
+    await PaxLimitRequest.destroy({ where: {}, truncate: { cascade: true } });
 };
@@ -0,0 +1,14 @@
+const nock = require('nock');
+
+const { sequelize } = require('../../lib/sequelize');
+
+// Everything that outlives the test file keeps all of the modules loaded for it in memory,
+// so the tests run out of memory eventually. Bugsnag client is starting the timer that
+// is never stopped, and the errors are not reported to it in tests anyway.
+jest.mock('../../lib/bugsnag', () => ({ notify: () => {} }));
+
+afterAll(async () => {
+    // nock is patching the http module, which is shared between the test files.
+    nock.restore();
+    await sequelize.close();
+});